@@ -0,0 +1,76 @@
+// auth-token.js - Short-lived HMAC-signed tokens (JWT, HS256) built on Node's crypto module.
+const crypto = require('crypto');
+
+/**
+ * Encodes a Buffer or string as base64url (RFC 7515).
+ * @param {Buffer|string} value - The value to encode.
+ * @returns {string} The base64url string.
+ */
+function base64url(value) {
+    return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * Computes the HMAC-SHA256 signature of the signing input ("header.payload").
+ * @param {string} signingInput - The first two segments of the token.
+ * @param {string} secret - The shared secret.
+ * @returns {string} The base64url signature.
+ */
+function sign(signingInput, secret) {
+    return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url');
+}
+
+/**
+ * Issues a signed token.
+ * @param {object} claims - The claims to carry (e.g., { sub: userId, name }).
+ * @param {object} options
+ * @param {string} options.secret - The shared secret used to sign the token.
+ * @param {number} [options.expiresInSeconds=300] - Lifetime of the token.
+ * @returns {{token: string, expiresAt: string}} The token and its expiration date (ISO 8601).
+ */
+function signToken(claims, { secret, expiresInSeconds = 300 }) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const payload = { ...claims, iat: issuedAt, exp: issuedAt + expiresInSeconds };
+
+    const signingInput = `${base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64url(JSON.stringify(payload))}`;
+    return {
+        token: `${signingInput}.${sign(signingInput, secret)}`,
+        expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+}
+
+/**
+ * Verifies the signature and the expiration of a token.
+ * @param {string} token - The token to verify.
+ * @param {object} options
+ * @param {string} options.secret - The shared secret the token must be signed with.
+ * @returns {object} The claims of the token.
+ * @throws {Error} If the token is malformed, its signature is invalid or it has expired.
+ */
+function verifyToken(token, { secret }) {
+    const segments = typeof token === 'string' ? token.split('.') : [];
+    if (segments.length !== 3) throw new Error('Malformed token.');
+
+    const [header, payload, signature] = segments;
+    const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+    const received = Buffer.from(signature);
+
+    // Constant-time comparison, to avoid leaking the signature through timing.
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid token signature.');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        throw new Error('Malformed token.');
+    }
+
+    if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+        throw new Error('Token expired.');
+    }
+    return claims;
+}
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,329 @@
+// bus-transport.js - Transports of the Kafky bus: where the native emits of the EventBusWrapper are delivered.
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger.js');
+const log = createLogger('BusTransport');
+
+// Where the event broker listens by default (see `event-broker.js`).
+const DEFAULT_BROKER_ADDRESS = '127.0.0.1:7070';
+
+// Reconnection to the broker: exponential backoff between these bounds.
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 10000;
+
+// WebSocket.OPEN / WebSocket.CLOSED
+const SOCKET_OPEN = 1;
+const SOCKET_CLOSED = 3;
+
+/**
+ * TRANSPORT INTERFACE
+ * A transport is what the EventBusWrapper decorates: an EventEmitter whose `emit(eventName, event)` delivers
+ * the event to the listeners subscribed with `on(eventName, listener)`, and `close()` to release it.
+ * The bus only talks to its transport through the EventEmitter API, so any adapter honoring it can be plugged in.
+ */
+
+/**
+ * The default transport: a plain in-process EventEmitter. Every service runs in the same Node process.
+ */
+class InMemoryTransport extends EventEmitter {
+    close() {}
+}
+
+/**
+ * A transport that spans several Node processes through a small local broker (see `event-broker.js`).
+ *
+ * The broker only relays the processes that prove they know its shared secret (KAFKY_BUS_SECRET), so a stranger
+ * reaching its port can neither inject events nor read them. On connection, before anything else:
+ * - broker → { kind: 'challenge', nonce }
+ * - process → { kind: 'hello', proof }: the HMAC-SHA256 of the nonce with the secret (the secret never travels).
+ * - broker → { kind: 'welcome' }, or { kind: 'rejected', reason } and it closes the connection.
+ * Until it's welcomed, the transport keeps what it writes in its outbox.
+ *
+ * Every native emit is delivered to the local listeners and also sent to the broker, which relays it to the
+ * other processes; events received from the broker are only delivered locally. As the bus calls the native emit
+ * for both the eager and the "-KAFKED" version, remote services receive both, but only the process that published
+ * an event persists it.
+ *
+ * Wire format: one JSON message per line.
+ * - { kind: 'event', eventName, event, context }: a native emit.
+ * - { kind: 'socket-send' | 'socket-close', nodeId, socketId, ... }: a remote service writing to (or closing) a WebSocket.
+ * - { kind: 'socket-closed', nodeId, socketId }: a WebSocket closed in the process that holds it.
+ *
+ * The transient context doesn't cross processes, except for `context.socket`: the WebSocket is sent as a reference
+ * and the other processes get a `RemoteSocket` whose `send()` and `close()` travel back to the one that holds it.
+ * That lets the ChatDispatcher keep its rooms of sockets while running in its own process.
+ */
+class SocketTransport extends EventEmitter {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.address='127.0.0.1:7070'] - The broker: 'host:port', a port or a Unix socket path.
+     * @param {string} options.secret - The shared secret of the broker (KAFKY_BUS_SECRET).
+     * @param {Function} [options.shouldForward] - Decides whether an event name leaves the process. By default
+     *        every event does but the log events, which each process writes with its own LoggingService.
+     */
+    constructor({ address = DEFAULT_BROKER_ADDRESS, secret, shouldForward = (eventName) => !eventName.startsWith('log:') } = {}) {
+        super();
+        if (!secret) throw new Error('The socket transport needs the shared secret of the event broker: set KAFKY_BUS_SECRET.');
+        this.address = address;
+        this.secret = secret;
+        this.shouldForward = shouldForward;
+        this.nodeId = uuidv4(); // Identifies this process in the socket references.
+
+        this.socket = null;
+        this.connected = false;     // Welcomed by the broker (see the handshake above), not just connected.
+        this.closed = false;
+        this.reconnectAttempts = 0;
+        this.outbox = [];           // Lines written while disconnected, flushed on (re)connection.
+        this.receivedData = '';     // Incomplete line received from the broker.
+
+        this.localSockets = new Map();  // WebSockets of this process referenced by other processes. Type: Map<socketId, WebSocket>
+        this.remoteSockets = new Map(); // Proxies of the WebSockets of other processes. Type: Map<socketId, RemoteSocket>
+
+        this.connect();
+    }
+
+    /**
+     * Delivers an event to the local listeners and, for domain events, to the other processes.
+     * Other calls (e.g., 'newListener') are only local.
+     * @returns {boolean} Whether the event had local listeners.
+     */
+    emit(eventName, event, ...args) {
+        // Sent before notifying the local listeners: the events they publish in turn must reach the broker after this one.
+        if (typeof event?.eventId === 'string' && this.shouldForward(eventName)) {
+            this.write({ kind: 'event', eventName, event, context: this.serializeContext(event.context) });
+        }
+        return super.emit(eventName, event, ...args);
+    }
+
+    /**
+     * Connects to the broker, and reconnects with exponential backoff whenever the connection is lost.
+     */
+    connect() {
+        if (this.closed) return;
+        const socket = net.connect(parseAddress(this.address));
+        this.socket = socket;
+        socket.setEncoding('utf8');
+
+        // Once connected, the broker speaks first: it sends the 'challenge' of the handshake (see receive).
+
+        socket.on('data', (chunk) => {
+            const lines = (this.receivedData + chunk).split('\n');
+            this.receivedData = lines.pop();
+            lines.filter(line => line.length > 0).forEach(line => this.receive(line));
+        });
+
+        socket.on('error', (error) => {
+            if (!this.connected) return; // Couldn't connect: 'close' comes next and schedules the retry.
+            log.error(`Connection to the event broker at ${this.address} failed.`, { error });
+        });
+
+        socket.on('close', () => {
+            this.connected = false;
+            this.receivedData = '';
+            if (this.closed) return;
+
+            const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+            this.reconnectAttempts++;
+            log.warn(`Event broker at ${this.address} unavailable. Retrying in ${delay} ms...`);
+            setTimeout(() => this.connect(), delay);
+        });
+    }
+
+    /**
+     * Closes the connection with the broker, once the pending messages are written.
+     */
+    close() {
+        this.closed = true;
+        if (this.socket) this.socket.end();
+    }
+
+    /**
+     * Sends a message to the broker, or keeps it until the connection is back.
+     * @param {object} message - A message of the wire format.
+     */
+    write(message) {
+        const line = JSON.stringify(message) + '\n';
+        if (this.connected) this.socket.write(line);
+        else this.outbox.push(line);
+    }
+
+    /**
+     * Handles a message relayed by the broker.
+     * @param {string} line - A message of the wire format.
+     */
+    receive(line) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch (error) {
+            log.error('Malformed message received from the event broker.', { error });
+            return;
+        }
+
+        switch (message.kind) {
+            case 'event': {
+                // A plain object shaped like the DomainEvent, with its (non-enumerable) transient context.
+                const event = message.event;
+                Object.defineProperty(event, 'context', { value: this.deserializeContext(message.context), enumerable: false, writable: false });
+                try {
+                    super.emit(message.eventName, event); // Local listeners only: it must not go back to the broker.
+                } catch (error) {
+                    log.error(`Listener failed to handle remote event '${message.eventName}'.`, { error }, event.metadata?.correlationId);
+                }
+                break;
+            }
+            case 'challenge':
+                this.socket.write(JSON.stringify({ kind: 'hello', proof: handshakeProof(this.secret, message.nonce) }) + '\n');
+                break;
+            case 'welcome':
+                log.info(`Connected to the event broker at ${this.address}.`);
+                this.connected = true;
+                this.reconnectAttempts = 0;
+                this.outbox.splice(0).forEach(line => this.socket.write(line));
+                break;
+            case 'rejected':
+                log.error(`The event broker at ${this.address} rejected this process: ${message.reason}`);
+                break;
+            case 'socket-send':
+            case 'socket-close': {
+                if (message.nodeId !== this.nodeId) return;
+                const socket = this.localSockets.get(message.socketId);
+                if (!socket || socket.readyState !== SOCKET_OPEN) return;
+                if (message.kind === 'socket-send') socket.send(message.data);
+                else socket.close(message.code, message.reason);
+                break;
+            }
+            case 'socket-closed': {
+                const remoteSocket = this.remoteSockets.get(message.socketId);
+                if (!remoteSocket) return;
+                remoteSocket.readyState = SOCKET_CLOSED;
+                this.remoteSockets.delete(message.socketId);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Turns the transient context of an event into what is sent to the other processes: a reference to its socket.
+     * @param {object} [context={}] - The context of the event.
+     * @returns {{socket?: {nodeId: string, socketId: string, userId: number|null}}}
+     */
+    serializeContext(context = {}) {
+        const { socket } = context;
+        if (!socket) return {};
+        if (socket instanceof RemoteSocket) return { socket: socket.toReference() };
+
+        // A WebSocket of this process: it gets an ID the first time, and its closing is announced to the others.
+        if (!socket.socketId) {
+            socket.socketId = uuidv4();
+            this.localSockets.set(socket.socketId, socket);
+            socket.once('close', () => {
+                this.localSockets.delete(socket.socketId);
+                this.write({ kind: 'socket-closed', nodeId: this.nodeId, socketId: socket.socketId });
+            });
+        }
+        return { socket: { nodeId: this.nodeId, socketId: socket.socketId, userId: socket.userId ?? null } };
+    }
+
+    /**
+     * Rebuilds the context of an event received from the broker.
+     * The same socket always gets the same RemoteSocket, so services can keep it in their Maps and Sets.
+     * @param {object} [context={}] - The serialized context.
+     * @returns {object} The context, with a live socket (local or remote) if the event had one.
+     */
+    deserializeContext({ socket: reference } = {}) {
+        if (!reference) return {};
+        if (reference.nodeId === this.nodeId) return { socket: this.localSockets.get(reference.socketId) };
+
+        if (!this.remoteSockets.has(reference.socketId)) {
+            this.remoteSockets.set(reference.socketId, new RemoteSocket(this, reference));
+        }
+        const remoteSocket = this.remoteSockets.get(reference.socketId);
+        remoteSocket.userId = reference.userId; // Set once the socket is authenticated.
+        return { socket: remoteSocket };
+    }
+}
+
+/**
+ * Stand-in for a WebSocket held by another process. It offers what the services use of a socket
+ * (`send`, `close`, `readyState` and the properties they attach to it, like `userId`).
+ */
+class RemoteSocket {
+    /**
+     * @param {SocketTransport} transport - The transport the writes travel through.
+     * @param {{nodeId: string, socketId: string, userId: number|null}} reference - The socket in its process.
+     */
+    constructor(transport, { nodeId, socketId, userId }) {
+        this.transport = transport;
+        this.nodeId = nodeId;
+        this.socketId = socketId;
+        this.userId = userId;
+        this.readyState = SOCKET_OPEN; // Until its process announces it closed.
+    }
+
+    /**
+     * @param {string} data - The frame to send to the client.
+     */
+    send(data) {
+        this.transport.write({ kind: 'socket-send', nodeId: this.nodeId, socketId: this.socketId, data });
+    }
+
+    /**
+     * @param {number} [code] - The WebSocket close code.
+     * @param {string} [reason] - The close reason.
+     */
+    close(code, reason) {
+        this.transport.write({ kind: 'socket-close', nodeId: this.nodeId, socketId: this.socketId, code, reason });
+    }
+
+    /**
+     * @returns {{nodeId: string, socketId: string, userId: number|null}}
+     */
+    toReference() {
+        return { nodeId: this.nodeId, socketId: this.socketId, userId: this.userId };
+    }
+}
+
+/**
+ * The proof of the handshake with the broker: the HMAC-SHA256 of its challenge with the shared secret.
+ * @param {string} secret - The shared secret (KAFKY_BUS_SECRET).
+ * @param {string} nonce - The challenge sent by the broker.
+ * @returns {string} The proof, hex-encoded.
+ */
+function handshakeProof(secret, nonce) {
+    return crypto.createHmac('sha256', secret).update(String(nonce)).digest('hex');
+}
+
+/**
+ * Turns a broker address into the options of `net.connect` / `server.listen`.
+ * @param {string|number} address - 'host:port', a port, or a Unix socket path (or a Windows named pipe).
+ * @returns {{host?: string, port?: number, path?: string}}
+ */
+function parseAddress(address) {
+    const text = String(address);
+    if (/^\d+$/.test(text)) return { host: '127.0.0.1', port: Number(text) };
+
+    const hostAndPort = /^([^/\\]+):(\d+)$/.exec(text);
+    if (hostAndPort) return { host: hostAndPort[1], port: Number(hostAndPort[2]) };
+
+    return { path: text };
+}
+
+/**
+ * Creates the transport selected by the environment:
+ * KAFKY_BUS_TRANSPORT=socket (with the broker at KAFKY_BUS_BROKER and its secret in KAFKY_BUS_SECRET)
+ * or the in-memory one by default.
+ * @returns {EventEmitter}
+ */
+function createTransport() {
+    const transportName = process.env.KAFKY_BUS_TRANSPORT || 'memory';
+    if (transportName === 'socket') {
+        return new SocketTransport({ address: process.env.KAFKY_BUS_BROKER || DEFAULT_BROKER_ADDRESS, secret: process.env.KAFKY_BUS_SECRET });
+    }
+    if (transportName !== 'memory') throw new Error(`Unknown bus transport '${transportName}'. Use 'memory' or 'socket'.`);
+    return new InMemoryTransport();
+}
+
+module.exports = { InMemoryTransport, SocketTransport, RemoteSocket, createTransport, parseAddress, handshakeProof, DEFAULT_BROKER_ADDRESS };
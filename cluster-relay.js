@@ -0,0 +1,86 @@
+// cluster-relay.js - Delivers the events published by the other server nodes of a cluster to the services of this one.
+const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
+const log = createLogger('ClusterRelay');
+
+// The events whose consequences reach the sockets of every node: new and corrected messages (broadcasts and acks),
+// failed messages, receipts, memberships, presence and chat selections (tab revocation).
+// Only events whose subscribers don't need a transient context (a socket) can be relayed.
+const RELAYED_EVENT_TYPES = [
+    'message-projected',
+    'message-updated',
+    'duplicate-message-ignored',
+    'message-projection-failed',
+    'receipt-projected',
+    'membership-projected',
+    'user-online',
+    'user-offline',
+    'chat-selected-by-user'
+];
+
+/**
+ * When several `server.js` nodes share the Event Store (KAFKY_CLUSTER=true), each one only notifies the events
+ * it publishes. This service tails `event_log` from the last logId it has seen and relays the events stored by
+ * the other nodes to the local eager subscribers (e.g., the Dispatcher broadcasts a message projected elsewhere
+ * to the rooms of this node). The events of this node are skipped by their `metadata.nodeId`: they were
+ * already delivered live, so nothing is delivered twice.
+ *
+ * NOTE: Ephemeral events (e.g., typing indicators) are never stored, so they don't cross nodes.
+ */
+class ClusterRelay {
+    /**
+     * @param {object} database - The database module/client for data operations.
+     * @param {object} [options={}]
+     * @param {number} [options.pollIntervalMs=200] - How often the Event Store is read.
+     */
+    constructor(database, { pollIntervalMs = 200 } = {}) {
+        this.db = database;
+        this.pollIntervalMs = pollIntervalMs;
+        this.offset = 0; // The last logId read.
+        this.polling = false;
+        this.timer = null;
+        log.info(`Cluster relay initialized (node: ${eventBus.nodeId}).`);
+    }
+
+    /**
+     * Starts tailing the Event Store from its current end: the events stored before this node started
+     * belong to sockets that are not connected here.
+     */
+    async listen() {
+        this.offset = await this.db.getLastLogId();
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    }
+
+    /**
+     * Relays every event of the other nodes stored since the last poll, in logId order.
+     * A poll is skipped while the previous one is still running.
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            let page;
+            do {
+                page = await this.db.getEventsAfter(RELAYED_EVENT_TYPES, this.offset);
+                for (const { logId, event } of page) {
+                    this.offset = logId;
+                    if (event.metadata.nodeId === eventBus.nodeId) continue; // Already delivered live.
+                    eventBus.relay(event);
+                }
+            } while (page.length > 0);
+        } catch (error) {
+            log.error('Failed to read the Event Store.', { error });
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Stops tailing the Event Store.
+     */
+    stop() {
+        clearInterval(this.timer);
+    }
+}
+
+module.exports = ClusterRelay;
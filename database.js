@@ -1,68 +1,333 @@
 const sqlite3 = require('sqlite3').verbose();
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger.js');
+const log = createLogger('Database');
 
 // Initialize the database connection.
 // The .verbose() option provides more detailed stack traces for debugging.
 const db = new sqlite3.Database('./chats.sqlite');
 
+// Transactions run on a connection of their own. On the shared one, any statement issued while a transaction
+// is open (e.g., the INSERT of `logEvent`) would become part of it, and be erased if the transaction rolls back.
+const transactionDb = new sqlite3.Database('./chats.sqlite');
+
+// Wait (instead of failing with SQLITE_BUSY) when another connection, e.g. the transaction connection or a
+// maintenance script like `rebuild-read-model.js`, is holding a write lock on the file.
+db.configure('busyTimeout', 5000);
+transactionDb.configure('busyTimeout', 5000);
+
+// Statements run on the libuv threadpool, and one that is waiting for a lock keeps its thread busy. Run the
+// statements of the shared connection one at a time, so while a transaction is open they can't take every
+// thread of the pool and leave none for the statements of the transaction (which would never commit).
+db.serialize();
+
+// Transactions on the transaction connection are chained one after another (see runInTransaction).
+let transactionQueue = Promise.resolve();
+// Set while the work of a transaction runs, so its statements go to the transaction connection.
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * The connection a statement must run on: the transaction connection inside the work of `runInTransaction`,
+ * the shared one anywhere else.
+ * @returns {sqlite3.Database}
+ */
+function connection() {
+    return transactionContext.getStore() || db;
+}
+
+// --- Internal promisified helpers, used by multi-statement operations (e.g., inside transactions) ---
+function runAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        connection().run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function getAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        connection().get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+    });
+}
+
+function allAsync(sql, params = []) {
+    return new Promise((resolve, reject) => {
+        connection().all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+    });
+}
+
+function execAsync(sql) {
+    return new Promise((resolve, reject) => {
+        connection().exec(sql, (err) => err ? reject(err) : resolve());
+    });
+}
+
 /**
- * Retrieves the IDs of the two users participating in a specific chat.
+ * Retrieves the IDs of the users participating in a specific chat.
  * @param {number} chatId - The unique ID of the chat.
- * @returns {Promise<object|null>} A promise that resolves to an object like { id_user1, id_user2 } or null if not found.
+ * @returns {Promise<Array<number>>} A promise that resolves to the member IDs (empty if the chat doesn't exist).
  */
 function getChatParticipants(chatId) {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT id_user1, id_user2 FROM chats WHERE id_chat = ?`;
-        
-        // Use db.get() here because we expect exactly one row in return.
-        db.get(sql, [chatId], (err, row) => {
+        const sql = `SELECT id_user FROM chat_participants WHERE id_chat = ? ORDER BY id_user ASC`;
+
+        connection().all(sql, [chatId], (err, rows) => {
             if (err) {
-                console.error("Error fetching chat participants:", err);
+                log.error("Error fetching chat participants.", { error: err });
                 reject(err);
             } else {
-                resolve(row);
+                resolve(rows.map(row => row.id_user));
             }
         });
     });
 }
 
 /**
- * Fetches the message history for a given chat, ordered by creation time.
- * Can optionally fetch only messages created after a specific message ID.
+ * Checks whether a user is a member of a chat.
+ * @param {number} chatId - The unique ID of the chat.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<boolean>}
+ */
+async function isChatMember(chatId, userId) {
+    const row = await getAsync(`SELECT 1 AS member FROM chat_participants WHERE id_chat = ? AND id_user = ?`, [chatId, userId]);
+    return Boolean(row);
+}
+
+/**
+ * Retrieves a chat by its ID.
  * @param {number} chatId - The unique ID of the chat.
- * @param {number} [sinceMessageId=0] - Optional. If provided, fetches only messages with an ID greater than this value.
- * @returns {Promise<Array>} A promise that resolves to an array of message objects.
+ * @returns {Promise<object|null>} A promise that resolves to { id_chat, name, is_group, created_by } or null if not found.
+ */
+async function getChat(chatId) {
+    const row = await getAsync(`SELECT id_chat, name, is_group, created_by FROM chats WHERE id_chat = ?`, [chatId]);
+    return row || null;
+}
+
+/**
+ * Retrieves a user by their username.
+ * @param {string} username - The unique username.
+ * @returns {Promise<object|null>} A promise that resolves to { id_user, username } or null if not found.
  */
-function getChatHistory(chatId, sinceMessageId = 0) { // <-- Parámetro añadido con valor por defecto
+async function getUserByUsername(username) {
+    const row = await getAsync(`SELECT id_user, username FROM users WHERE username = ?`, [username]);
+    return row || null;
+}
+
+/**
+ * Retrieves the users who share at least one chat with a given user, with their last-seen time.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<{id_user: number, last_seen_at: string|null}>>}
+ */
+function getChatPeers(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT DISTINCT u.id_user, u.last_seen_at
+            FROM chat_participants me
+            JOIN chat_participants peer ON peer.id_chat = me.id_chat AND peer.id_user != me.id_user
+            JOIN users u ON u.id_user = peer.id_user
+            WHERE me.id_user = ?`;
+        connection().all(sql, [userId], (err, rows) => {
+            if (err) {
+                log.error("Error fetching chat peers.", { error: err });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Stores the last time a user was seen online.
+ * @param {number} userId - The ID of the user.
+ * @param {string} lastSeenAt - ISO 8601 timestamp.
+ * @returns {Promise<void>}
+ */
+async function saveLastSeen(userId, lastSeenAt) {
+    await runAsync(`UPDATE users SET last_seen_at = ? WHERE id_user = ?`, [lastSeenAt, userId]);
+}
+
+/**
+ * Retrieves the user directory.
+ * @returns {Promise<Array<{id_user: number, username: string}>>} All the users, ordered by ID.
+ */
+function getUsers() {
+    return new Promise((resolve, reject) => {
+        connection().all(`SELECT id_user, username FROM users ORDER BY id_user ASC`, [], (err, rows) => {
+            if (err) {
+                log.error("Error fetching users.", { error: err });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves the chats a user participates in, with the participants' names and the last message,
+ * most recently active first.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<{id: number, name: string, isGroup: boolean, createdBy: number|null, participants: Array<{id: number, name: string}>, lastMessage: object|null}>>}
+ */
+function getUserChats(userId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT c.id_chat, c.name, c.is_group, c.created_by,
+                   (SELECT json_group_array(json_object('id', u.id_user, 'name', u.username))
+                    FROM chat_participants p
+                    JOIN users u ON u.id_user = p.id_user
+                    WHERE p.id_chat = c.id_chat) AS participants,
+                   lm.id_message, lm.message, lm.created_at, lm.id_user AS last_id_user
+            FROM chat_participants me
+            JOIN chats c ON c.id_chat = me.id_chat
+            LEFT JOIN messages lm ON lm.id_message = (SELECT MAX(id_message) FROM messages WHERE id_chat = c.id_chat)
+            WHERE me.id_user = ?
+            ORDER BY COALESCE(lm.id_message, 0) DESC, c.id_chat ASC`;
+
+        connection().all(sql, [userId], (err, rows) => {
+            if (err) {
+                log.error("Error fetching user chats.", { error: err });
+                return reject(err);
+            }
+            resolve(rows.map(row => ({
+                id: row.id_chat,
+                name: row.name,
+                isGroup: Boolean(row.is_group),
+                createdBy: row.created_by,
+                participants: JSON.parse(row.participants).sort((a, b) => a.id - b.id),
+                lastMessage: row.id_message ? {
+                    id_message: row.id_message,
+                    id_user: row.last_id_user,
+                    message: row.message,
+                    created_at: row.created_at
+                } : null
+            })));
+        });
+    });
+}
+
+// Messages per page of history: the first page when a chat is opened, and each older page when the user scrolls up.
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Fetches a page of the message history of a chat, ordered by ID (the order in which the messages were projected).
+ * The page holds the most recent `limit` messages of the range: the ones after `sinceMessageId` (what the client
+ * is missing) or, for older pages, the ones before `beforeMessageId`.
+ * @param {number} chatId - The unique ID of the chat.
+ * @param {object} [options]
+ * @param {number} [options.sinceMessageId=0] - Only messages with an ID greater than this value.
+ * @param {number|null} [options.beforeMessageId=null] - Only messages with an ID lower than this value.
+ * @param {number} [options.limit=HISTORY_PAGE_SIZE] - The maximum number of messages in the page.
+ * @returns {Promise<{messages: Array, hasMore: boolean}>} The page, and whether there are older messages in the range that didn't fit in it.
+ */
+function getChatHistory(chatId, { sinceMessageId = 0, beforeMessageId = null, limit = HISTORY_PAGE_SIZE } = {}) {
     return new Promise((resolve, reject) => {
-        // La consulta base es la misma
         let sql = `
-            SELECT m.id_message, m.id_chat, m.message, m.created_at, u.id_user, u.username
+            SELECT m.id_message, m.id_chat, m.message, m.created_at, m.edited_at, m.deleted_at, m.client_message_id, u.id_user, u.username
             FROM messages m
             JOIN users u ON m.id_user = u.id_user
-            WHERE m.id_chat = ?`;
-        
-        const params = [chatId];
+            WHERE m.id_chat = ? AND m.id_message > ?`;
+        const params = [chatId, sinceMessageId];
 
-        // Añadimos dinámicamente la condición para el ID del mensaje
-        if (sinceMessageId > 0) {
-            sql += ` AND m.id_message > ?`;
-            params.push(sinceMessageId);
+        if (beforeMessageId !== null) {
+            sql += ` AND m.id_message < ?`;
+            params.push(beforeMessageId);
         }
 
-        sql += ` ORDER BY m.created_at ASC`;
-        
-        // Usamos db.all() para obtener todas las filas que coincidan
-        db.all(sql, params, (err, rows) => {
+        // The newest messages of the range first, one more than the page size to know if there are more.
+        sql += ` ORDER BY m.id_message DESC LIMIT ?`;
+        params.push(limit + 1);
+
+        connection().all(sql, params, (err, rows) => {
             if (err) {
-                console.error("Error fetching chat history:", err);
+                log.error("Error fetching chat history.", { error: err });
                 reject(err);
             } else {
-                resolve(rows);
+                resolve({
+                    messages: rows.slice(0, limit).reverse(),
+                    hasMore: rows.length > limit
+                });
             }
         });
     });
 }
 
+// Delimiters of the matched terms in the snippets. Control characters, so they can't come from a message.
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+/**
+ * Turns what the user typed into an FTS5 query: every word must appear (as a prefix, so "hol" finds "hola").
+ * Each word is quoted, so the FTS5 syntax (AND, OR, NEAR, "*", quotes...) can't be injected.
+ * @param {string} text - The search text.
+ * @returns {string} The FTS5 MATCH expression, or '' if there are no words.
+ */
+function toFtsQuery(text) {
+    return text.split(/\s+/)
+        .filter(word => word !== '')
+        .map(word => `"${word.replace(/"/g, '""')}"*`)
+        .join(' ');
+}
+
+/**
+ * Escapes the HTML special characters of a text.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Searches the messages of the chats a user participates in, newest first.
+ * @param {number} userId - The ID of the user searching. Only their chats are searched.
+ * @param {string} text - The search text.
+ * @param {object} [options]
+ * @param {number|null} [options.chatId=null] - Only search this chat.
+ * @param {number} [options.limit=20] - The maximum number of results (max 50).
+ * @returns {Promise<Array<{id_message: number, id_chat: number, id_user: number, username: string, created_at: string, snippet: string}>>}
+ *          The matching messages. `snippet` is an HTML-escaped excerpt with the matched terms in <mark> tags.
+ */
+function searchMessages(userId, text, { chatId = null, limit = 20 } = {}) {
+    const query = toFtsQuery(text);
+    if (query === '') return Promise.resolve([]);
+
+    return new Promise((resolve, reject) => {
+        let sql = `
+            SELECT m.id_message, m.id_chat, m.created_at, u.id_user, u.username,
+                   snippet(messages_fts, 0, '${MATCH_START}', '${MATCH_END}', '…', 12) AS snippet
+            FROM messages_fts
+            JOIN messages m ON m.id_message = messages_fts.rowid
+            JOIN chat_participants p ON p.id_chat = m.id_chat AND p.id_user = ?
+            JOIN users u ON m.id_user = u.id_user
+            WHERE messages_fts MATCH ?`;
+        const params = [userId, query];
+
+        if (chatId !== null) {
+            sql += ` AND m.id_chat = ?`;
+            params.push(chatId);
+        }
+
+        sql += ` ORDER BY m.id_message DESC LIMIT ?`;
+        params.push(Math.min(Math.max(limit, 1), 50));
+
+        connection().all(sql, params, (err, rows) => {
+            if (err) {
+                log.error("Error searching messages.", { error: err });
+                return reject(err);
+            }
+            resolve(rows.map(row => ({
+                ...row,
+                snippet: escapeHtml(row.snippet)
+                    .replaceAll(MATCH_START, '<mark>')
+                    .replaceAll(MATCH_END, '</mark>')
+            })));
+        });
+    });
+}
+
 /**
  * Inserts a new message into the database and returns the newly created message object.
  * @param {number} chatId - The ID of the chat to add the message to.
@@ -77,7 +342,7 @@ function addMessage(chatId, userId, message) {
         // NOTE: Must use a classic `function` here, not an arrow function (=>).
         // This is crucial because `sqlite3` binds `this` to the statement context,
         // allowing us to access `this.lastID`. Arrow functions don't have their own `this`.
-        db.run(sql, [chatId, userId, message], function(err) { 
+        connection().run(sql, [chatId, userId, message], function(err) { 
             if (err) {
                 return reject(err);
             }
@@ -85,12 +350,12 @@ function addMessage(chatId, userId, message) {
             // After inserting, fetch the complete message object to return to the client.
             // This ensures the response includes generated values like the ID and timestamp.
             const newMessageSql = `
-                SELECT m.id_message, m.id_chat, m.message, m.created_at, u.id_user, u.username
+                SELECT m.id_message, m.id_chat, m.message, m.created_at, m.edited_at, m.deleted_at, m.client_message_id, u.id_user, u.username
                 FROM messages m
                 JOIN users u ON m.id_user = u.id_user
                 WHERE m.id_message = ?`;
             
-            db.get(newMessageSql, [this.lastID], (err, row) => {
+            connection().get(newMessageSql, [this.lastID], (err, row) => {
                 if (err) reject(err);
                 else resolve(row);
             });
@@ -102,6 +367,7 @@ function addMessage(chatId, userId, message) {
  * Logs a domain event to the event_log table for auditing and traceability.
  * This function acts as the persistence layer for the Event Store, capturing
  * every significant action that occurs within the application.
+ * Besides the whole event (as JSON), its metadata is copied into indexed columns to be queried (see queryEvents).
  *
  * @param {string} eventType - The unique name of the event (e.g., 'incoming-message', 'message-persisted').
  * @param {object} payload - The data associated with the event, which will be serialized to JSON.
@@ -109,14 +375,21 @@ function addMessage(chatId, userId, message) {
  */
 function logEvent(event) {
     return new Promise((resolve, reject) => {
-        const sql = "INSERT INTO event_log (event_type, payload) VALUES (?, ?)";
+        // created_at is stored with milliseconds: it's the moment the event was "KAFKED",
+        // and traces use it to measure the persistence lag since the eager emit.
+        const sql = `
+            INSERT INTO event_log (event_type, payload, created_at, event_id, correlation_id, causation_id, event_timestamp, partition_key)
+            VALUES (?, ?, strftime('%Y-%m-%d %H:%M:%f', 'now'), ?, ?, ?, ?, ?)`;
 
         // The event object is stringified to be stored in a single TEXT column called "payload".
-        const eventJson = JSON.stringify(event);
+        // Only its serializable parts are stored: the transient context (e.g., sockets) is left out.
+        const { eventId, type, payload, metadata } = event;
+        const eventJson = JSON.stringify({ eventId, type, payload, metadata });
+        const { correlationId, causationId, timestamp, partitionKey } = event.metadata;
         
-        db.run(sql, [event.type, eventJson], function(err) {
+        connection().run(sql, [event.type, eventJson, event.eventId, correlationId, causationId, timestamp, partitionKey ?? null], function(err) {
             if (err) {
-                console.error(`Error logging event '${event.type}':`, err);
+                log.error(`Error logging event '${event.type}'.`, { error: err });
                 // In a production system, a failed event log could trigger a critical alert.
                 return reject(err);
             }
@@ -126,6 +399,25 @@ function logEvent(event) {
     });
 }
 
+/**
+ * Converts a stored event_log row back into an event object.
+ * The first rows of the Event Store predate the DomainEvent envelope and only contain the raw payload,
+ * so those are wrapped in an equivalent envelope to let consumers handle every row the same way.
+ * @param {object} row - An event_log row with { event_type, payload, created_at }.
+ * @returns {object} The event (eventId, type, payload, metadata).
+ */
+function parseStoredEvent(row) {
+    const stored = JSON.parse(row.payload);
+    if (stored && stored.eventId && stored.metadata) return stored;
+
+    return {
+        eventId: null,
+        type: row.event_type,
+        payload: stored,
+        metadata: { timestamp: row.created_at, correlationId: null, causationId: null }
+    };
+}
+
 /**
  * Retrieves a single event from the event_log by its ID.
  * This function is the gateway to our Event Store, the single source of truth.
@@ -134,15 +426,15 @@ function logEvent(event) {
  */
 function getEventByLogId(logId) {
     return new Promise((resolve, reject) => {
-        const sql = `SELECT event_type, payload FROM event_log WHERE id_event = ?`;
-        db.get(sql, [logId], (err, row) => {
+        const sql = `SELECT event_type, payload, created_at FROM event_log WHERE id_event = ?`;
+        connection().get(sql, [logId], (err, row) => {
             if (err) {
-                console.error("Error fetching event from log:", err);
+                log.error("Error fetching event from log.", { error: err });
                 return reject(err);
             }
             if (row) {
                 // The whole event (eventId, type, payload, metadata...) is saved as a string in the column "payload", so we convert it to Object
-                resolve(JSON.parse(row.payload));
+                resolve(parseStoredEvent(row));
             } else {
                 resolve(null); // Event not found
             }
@@ -150,11 +442,848 @@ function getEventByLogId(logId) {
     });
 }
 
+/**
+ * Serializes an event that failed to be persisted, so the Dead-Letter Queue can keep it.
+ * Unlike `logEvent`, it never throws: circular references (e.g., runtime handles) are replaced by a marker.
+ * @param {object} event - The event to serialize.
+ * @returns {string} The JSON representation of the event.
+ */
+function serializeFailedEvent(event) {
+    const seen = new WeakSet();
+    return JSON.stringify(event, (key, value) => {
+        if (typeof value === 'object' && value !== null) {
+            if (seen.has(value)) return '[Circular]';
+            seen.add(value);
+        }
+        return value;
+    });
+}
+
+/**
+ * Stores an event that could not be written to the event_log in the Dead-Letter Queue,
+ * or one that a consumer failed to handle (then `consumer` names it).
+ * Entries are unique per eventId: if the same event fails again (e.g., during a replay),
+ * its attempt count is increased and the last error (and consumer) is kept.
+ * @param {object} event - The full failed event.
+ * @param {Error} error - The error raised while persisting or handling it.
+ * @param {string|null} [consumer=null] - The consumer that failed to handle the event (e.g., 'group:persistence-service').
+ * @returns {Promise<{deadLetterId: number, attempts: number}>} The Dead-Letter entry ID and its attempt count.
+ */
+function addDeadLetter(event, error, consumer = null) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            INSERT INTO dead_letter_events (event_id, event_type, event, error, consumer)
+            VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(event_id) DO UPDATE SET
+                attempts = attempts + 1,
+                error = excluded.error,
+                consumer = excluded.consumer,
+                status = 'pending',
+                updated_at = CURRENT_TIMESTAMP`;
+
+        const errorText = (error && error.stack) || String(error);
+        // The events stored before the DomainEvent envelope have no eventId: their logId identifies them.
+        const eventId = event.eventId || `logId:${event.metadata.logId}`;
+
+        connection().run(sql, [eventId, event.type, serializeFailedEvent(event), errorText, consumer], (err) => {
+            if (err) {
+                log.error("Error storing event in the Dead-Letter Queue.", { error: err });
+                return reject(err);
+            }
+
+            connection().get(`SELECT id_dead_letter, attempts FROM dead_letter_events WHERE event_id = ?`, [eventId], (err, row) => {
+                if (err) reject(err);
+                else resolve({ deadLetterId: row.id_dead_letter, attempts: row.attempts });
+            });
+        });
+    });
+}
+
+/**
+ * Lists the Dead-Letter Queue entries (without the full event), newest first.
+ * @param {string} [status] - Optional. Filters by status ('pending' or 'replayed').
+ * @returns {Promise<Array>} A promise that resolves to an array of Dead-Letter entries.
+ */
+function getDeadLetters(status) {
+    return new Promise((resolve, reject) => {
+        let sql = `
+            SELECT id_dead_letter, event_id, event_type, consumer, error, attempts, status, replayed_log_id, created_at, updated_at
+            FROM dead_letter_events`;
+        const params = [];
+
+        if (status) {
+            sql += ` WHERE status = ?`;
+            params.push(status);
+        }
+
+        sql += ` ORDER BY id_dead_letter DESC`;
+
+        connection().all(sql, params, (err, rows) => {
+            if (err) {
+                log.error("Error fetching the Dead-Letter Queue.", { error: err });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves a single Dead-Letter entry, including the full failed event.
+ * @param {number} deadLetterId - The ID of the Dead-Letter entry.
+ * @returns {Promise<object|null>} The entry with its `event` parsed, or null if not found.
+ */
+function getDeadLetterById(deadLetterId) {
+    return new Promise((resolve, reject) => {
+        const sql = `SELECT * FROM dead_letter_events WHERE id_dead_letter = ?`;
+        connection().get(sql, [deadLetterId], (err, row) => {
+            if (err) {
+                log.error("Error fetching Dead-Letter entry.", { error: err });
+                return reject(err);
+            }
+            if (row) {
+                row.event = JSON.parse(row.event);
+            }
+            resolve(row || null);
+        });
+    });
+}
+
+/**
+ * Marks a Dead-Letter entry as successfully replayed.
+ * @param {number} deadLetterId - The ID of the Dead-Letter entry.
+ * @param {number} logId - The event_log ID assigned to the event once replayed.
+ * @returns {Promise<void>}
+ */
+function markDeadLetterReplayed(deadLetterId, logId) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            UPDATE dead_letter_events
+            SET status = 'replayed', replayed_log_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id_dead_letter = ?`;
+        connection().run(sql, [logId, deadLetterId], (err) => {
+            if (err) reject(err);
+            else resolve();
+        });
+    });
+}
+
+/**
+ * Runs a unit of work inside a write transaction (BEGIN IMMEDIATE ... COMMIT).
+ * If the work throws, the transaction is rolled back and the error is re-thrown.
+ *
+ * Every statement of `work` (and of the functions it calls) runs on the dedicated transaction connection,
+ * and nothing else does: the statements of the other services, on the shared connection, wait for the
+ * transaction to end instead of becoming part of it.
+ * NOTE: SQLite doesn't allow nested transactions, so transactions are queued and executed one at a time.
+ * @param {Function} work - An async function performing the queries of the transaction.
+ * @returns {Promise<*>} A promise that resolves with the value returned by `work`.
+ */
+function runInTransaction(work) {
+    const transaction = transactionQueue.then(async () => {
+        return transactionContext.run(transactionDb, async () => {
+            await runAsync('BEGIN IMMEDIATE');
+            try {
+                const result = await work();
+                await runAsync('COMMIT');
+                return result;
+            } catch (error) {
+                await runAsync('ROLLBACK').catch(rollbackError => log.error("Error rolling back transaction.", { error: rollbackError }));
+                throw error;
+            }
+        });
+    });
+
+    // A failed transaction must not block the ones queued after it.
+    transactionQueue = transaction.catch(() => {});
+    return transaction;
+}
+
+/**
+ * Reads events from the event_log in logId order, starting after a given logId.
+ * It's the way to "replay" the Event Store (e.g., to rebuild a read model), page by page.
+ * @param {Array<string>} eventTypes - The event types to read (e.g., ['incoming-message']).
+ * @param {number} [afterLogId=0] - Only events with a logId greater than this value are returned.
+ * @param {number} [limit=500] - Maximum number of events to return.
+ * @returns {Promise<Array<{logId: number, createdAt: string, event: object}>>} The events, oldest first.
+ */
+function getEventsAfter(eventTypes, afterLogId = 0, limit = 500) {
+    return new Promise((resolve, reject) => {
+        const placeholders = eventTypes.map(() => '?').join(', ');
+        const sql = `
+            SELECT id_event, event_type, payload, created_at
+            FROM event_log
+            WHERE event_type IN (${placeholders}) AND id_event > ?
+            ORDER BY id_event ASC
+            LIMIT ?`;
+
+        connection().all(sql, [...eventTypes, afterLogId, limit], (err, rows) => {
+            if (err) {
+                log.error("Error reading events from log.", { error: err });
+                return reject(err);
+            }
+            resolve(rows.map(row => ({ logId: row.id_event, createdAt: row.created_at, event: parseStoredEvent(row) })));
+        });
+    });
+}
+
+/**
+ * Counts the events of the given types stored in the event_log.
+ * @param {Array<string>} eventTypes - The event types to count.
+ * @returns {Promise<number>} The number of events.
+ */
+function countEvents(eventTypes) {
+    return new Promise((resolve, reject) => {
+        const placeholders = eventTypes.map(() => '?').join(', ');
+        const sql = `SELECT COUNT(*) AS total FROM event_log WHERE event_type IN (${placeholders})`;
+        connection().get(sql, eventTypes, (err, row) => {
+            if (err) reject(err);
+            else resolve(row.total);
+        });
+    });
+}
+
+// The tables of the `messages` read model that a rebuild replaces (see createMessagesShadowTable).
+const READ_MODEL_TABLES = ['messages', 'message_projections'];
+
+/**
+ * (Re)creates the empty shadow tables where the `messages` read model (and its logId mapping) is rebuilt.
+ * They are created from the definitions of the live tables (as stored in `sqlite_master`), so they always
+ * mirror them, columns added by later migrations included. Their indexes and triggers are created when the
+ * tables are swapped (see swapMessagesShadowTable).
+ * @returns {Promise<void>}
+ */
+async function createMessagesShadowTable() {
+    for (const table of READ_MODEL_TABLES) {
+        const { sql } = await getAsync(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+        // e.g., 'CREATE TABLE messages (...' or, after a rebuild renamed it, 'CREATE TABLE "messages" (...'.
+        const shadowSql = sql.replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}_rebuild`);
+        await execAsync(`DROP TABLE IF EXISTS ${table}_rebuild; ${shadowSql};`);
+    }
+}
+
+/**
+ * Tells what the projector did with an 'incoming-message' when it was projected live: the ID of the message it
+ * produced (from the logId mapping, or from the 'message-projected' event it caused), or whether it failed.
+ * @param {number} logId - The event_log ID of an 'incoming-message'.
+ * @returns {Promise<{messageId: number|null, failed: boolean}>} No ID and not failed if it was never projected
+ *          (or if it predates the DomainEvent envelope, so nothing links it to its projection).
+ */
+async function getMessageProjectionOutcome(logId) {
+    const row = await getAsync(`
+        SELECT
+            (SELECT id_message FROM message_projections WHERE log_id = i.id_event) AS mapped_id,
+            (SELECT json_extract(p.payload, '$.payload.id_message') FROM event_log p
+                WHERE p.causation_id = i.event_id AND p.event_type = 'message-projected' LIMIT 1) AS projected_id,
+            EXISTS (SELECT 1 FROM event_log f
+                WHERE f.causation_id = i.event_id AND f.event_type = 'message-projection-failed') AS failed
+        FROM event_log i
+        WHERE i.id_event = ?`, [logId]);
+    if (!row) return { messageId: null, failed: false };
+    return { messageId: row.mapped_id ?? row.projected_id ?? null, failed: row.failed === 1 };
+}
+
+/**
+ * Inserts a projected message into the shadow table, keeping the original creation time (and its original ID,
+ * if it had one), and records which logId produced it.
+ * A message without an ID gets a provisional, negative one: the live projector may be handing out new IDs
+ * meanwhile, so the final ones are only assigned inside the transaction of the swap (see assignShadowMessageIds).
+ * A resend of a message already in the shadow table (same user and clientMessageId) is skipped.
+ * @param {number} logId - The event_log ID of the 'incoming-message' being projected.
+ * @param {number|null} messageId - The ID the message had in the read model, or null to assign a new one.
+ * @param {number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user who sent the message.
+ * @param {string} message - The content of the message.
+ * @param {string} createdAt - The time the original event was stored (SQLite DATETIME format).
+ * @param {string|null} [clientMessageId=null] - The ID the client gave to the message.
+ * @returns {Promise<number>} The ID of the rebuilt message.
+ */
+async function addShadowMessage(logId, messageId, chatId, userId, message, createdAt, clientMessageId = null) {
+    if (clientMessageId) {
+        const duplicate = await getAsync(
+            `SELECT id_message FROM messages_rebuild WHERE id_user = ? AND client_message_id = ?`, [userId, clientMessageId]
+        );
+        if (duplicate) return duplicate.id_message;
+    }
+
+    const { lastID } = await runAsync(`
+        INSERT INTO messages_rebuild (id_message, id_chat, id_user, message, created_at, client_message_id)
+        VALUES (COALESCE(?, (SELECT MIN(COALESCE(MIN(id_message), 0), 0) - 1 FROM messages_rebuild)), ?, ?, ?, datetime(?), ?)`,
+        [messageId, chatId, userId, message, createdAt, clientMessageId]
+    );
+    await runAsync("INSERT INTO message_projections_rebuild (log_id, id_message) VALUES (?, ?)", [logId, lastID]);
+    return lastID;
+}
+
+/**
+ * Applies a 'message-edited' or 'message-deleted' event to a message of the shadow table.
+ * @param {number} messageId - The ID of the message in the shadow table.
+ * @param {'edited'|'deleted'} correction - The kind of correction.
+ * @param {string|null} message - The new content ('edited'), ignored for 'deleted'.
+ * @param {string} createdAt - The time the correction event was stored (SQLite DATETIME format).
+ * @returns {Promise<void>}
+ */
+async function correctShadowMessage(messageId, correction, message, createdAt) {
+    await runAsync(correction === 'edited'
+        ? "UPDATE messages_rebuild SET message = ?, edited_at = datetime(?) WHERE id_message = ? AND deleted_at IS NULL"
+        : "UPDATE messages_rebuild SET message = NULL, deleted_at = datetime(?) WHERE id_message = ? AND deleted_at IS NULL",
+        correction === 'edited' ? [message, createdAt, messageId] : [createdAt, messageId]
+    );
+}
+
+/**
+ * Retrieves the id_message produced by a given logId in the shadow logId mapping.
+ * @param {number} logId - The event_log ID of an 'incoming-message'.
+ * @returns {Promise<number|null>} The ID of the rebuilt message, or null.
+ */
+async function getShadowMessageIdByLogId(logId) {
+    const row = await getAsync(`SELECT id_message FROM message_projections_rebuild WHERE log_id = ?`, [logId]);
+    return row ? row.id_message : null;
+}
+
+/**
+ * Gives their final IDs to the messages of the shadow table that got a provisional one (see addShadowMessage).
+ * The ones the live projector has projected since keep the ID it gave them, and the ones whose live projection
+ * failed are dropped (as the rebuild does with the failures it finds in the Event Store). The rest get new IDs
+ * after every ID the read model has handed out, in logId order.
+ * Must be called inside the transaction of the swap (see runInTransaction), so the live projector can't
+ * hand out any of those IDs before the swap.
+ * @returns {Promise<void>}
+ */
+async function assignShadowMessageIds() {
+    // STEP 1: Messages projected live in the meantime.
+    await execAsync(`
+        UPDATE messages_rebuild SET id_message = (
+            SELECT live.id_message FROM message_projections_rebuild shadow
+            JOIN message_projections live ON live.log_id = shadow.log_id
+            WHERE shadow.id_message = messages_rebuild.id_message)
+        WHERE id_message < 0 AND id_message IN (
+            SELECT shadow.id_message FROM message_projections_rebuild shadow
+            JOIN message_projections live ON live.log_id = shadow.log_id);
+        UPDATE message_projections_rebuild SET id_message = (
+            SELECT id_message FROM message_projections WHERE log_id = message_projections_rebuild.log_id)
+        WHERE id_message < 0 AND log_id IN (SELECT log_id FROM message_projections);`);
+
+    // STEP 2: Messages whose live projection failed in the meantime.
+    await execAsync(`
+        DELETE FROM message_projections_rebuild WHERE id_message < 0 AND log_id IN (
+            SELECT i.id_event FROM event_log i JOIN event_log f
+                ON f.causation_id = i.event_id AND f.event_type = 'message-projection-failed');
+        DELETE FROM messages_rebuild WHERE id_message < 0
+            AND id_message NOT IN (SELECT id_message FROM message_projections_rebuild);`);
+
+    // STEP 3: New IDs (-1 is the first provisional ID, -2 the second...), and the sequence the projector goes on from.
+    const { lastId } = await getAsync(`
+        SELECT MAX(
+            COALESCE((SELECT seq FROM sqlite_sequence WHERE name = 'messages'), 0),
+            COALESCE((SELECT MAX(id_message) FROM messages), 0),
+            COALESCE((SELECT MAX(id_message) FROM messages_rebuild), 0)) AS lastId`);
+    await runAsync(`UPDATE messages_rebuild SET id_message = ? - id_message WHERE id_message < 0`, [lastId]);
+    await runAsync(`UPDATE message_projections_rebuild SET id_message = ? - id_message WHERE id_message < 0`, [lastId]);
+    await runAsync(`DELETE FROM sqlite_sequence WHERE name = 'messages_rebuild'`);
+    await runAsync(`
+        INSERT INTO sqlite_sequence (name, seq)
+        SELECT 'messages_rebuild', MAX(?, COALESCE((SELECT MAX(id_message) FROM messages_rebuild), 0))`, [lastId]);
+}
+
+/**
+ * Retrieves the messages of the read model that are missing from the shadow table: no event of the
+ * Event Store backs them (e.g., seeded rows, or messages projected before events were linked to them).
+ * @param {number} [limit=10] - Maximum number of IDs to return.
+ * @returns {Promise<{total: number, messageIds: Array<number>}>} How many there are, and the first IDs.
+ */
+function getUnbackedMessages(limit = 10) {
+    return new Promise((resolve, reject) => {
+        const sql = `
+            SELECT id_message FROM messages
+            WHERE id_message NOT IN (SELECT id_message FROM messages_rebuild)
+            ORDER BY id_message ASC`;
+        connection().all(sql, [], (err, rows) => {
+            if (err) reject(err);
+            else resolve({ total: rows.length, messageIds: rows.slice(0, limit).map(row => row.id_message) });
+        });
+    });
+}
+
+/**
+ * Replaces the `messages` read model (and its logId mapping) with the rebuilt shadow tables,
+ * and re-indexes the search index. Read positions beyond the last message of their chat are pulled back to it.
+ * The indexes and triggers of the live tables are created again on the new ones, as they were defined.
+ * Must be called inside a transaction (see runInTransaction) so readers never see a missing table.
+ * @returns {Promise<void>}
+ */
+async function swapMessagesShadowTable() {
+    // Dropping a table drops its indexes and triggers: keep their definitions first.
+    const placeholders = READ_MODEL_TABLES.map(() => '?').join(', ');
+    const schema = await allAsync(`
+        SELECT sql FROM sqlite_master
+        WHERE type IN ('index', 'trigger') AND tbl_name IN (${placeholders}) AND sql IS NOT NULL`, READ_MODEL_TABLES);
+
+    await execAsync(READ_MODEL_TABLES.map(table => `
+        DROP TABLE ${table};
+        ALTER TABLE ${table}_rebuild RENAME TO ${table};`).join(''));
+    for (const { sql } of schema) await execAsync(sql);
+
+    await execAsync(`
+        DELETE FROM messages_fts;
+        INSERT INTO messages_fts (rowid, message) SELECT id_message, message FROM messages WHERE message IS NOT NULL;
+        UPDATE chat_read_positions SET
+            last_delivered_id = MIN(last_delivered_id, (SELECT COALESCE(MAX(id_message), 0) FROM messages WHERE id_chat = chat_read_positions.id_chat)),
+            last_read_id = MIN(last_read_id, (SELECT COALESCE(MAX(id_message), 0) FROM messages WHERE id_chat = chat_read_positions.id_chat));`);
+}
+
+/**
+ * Retrieves the last logId processed by a projector.
+ * @param {string} projector - The name of the projector (e.g., 'messages').
+ * @returns {Promise<number>} The checkpoint, or 0 if the projector has never processed an event.
+ */
+async function getProjectorCheckpoint(projector) {
+    const row = await getAsync(`SELECT last_log_id FROM projector_checkpoints WHERE projector = ?`, [projector]);
+    return row ? row.last_log_id : 0;
+}
+
+/**
+ * Stores the last logId processed by a projector.
+ * Call it inside the same transaction as the projection write, so both succeed or fail together.
+ * The checkpoint never goes backwards: when several nodes run the projector, one lagging behind can't undo
+ * the progress of the others.
+ * @param {string} projector - The name of the projector.
+ * @param {number} logId - The last processed logId.
+ * @returns {Promise<void>}
+ */
+async function saveProjectorCheckpoint(projector, logId) {
+    await runAsync(`
+        INSERT INTO projector_checkpoints (projector, last_log_id) VALUES (?, ?)
+        ON CONFLICT(projector) DO UPDATE SET last_log_id = MAX(last_log_id, excluded.last_log_id), updated_at = CURRENT_TIMESTAMP`,
+        [projector, logId]
+    );
+}
+
+/**
+ * Idempotently projects an 'incoming-message' into the `messages` read model.
+ * In a single transaction it inserts the message, records which logId produced which id_message
+ * and advances the projector checkpoint. Events at or below the checkpoint are skipped.
+ * A resend of a projected message (same user and clientMessageId) only advances the checkpoint.
+ * @param {string} projector - The name of the projector owning the checkpoint.
+ * @param {number} logId - The event_log ID of the event being projected.
+ * @param {number} chatId - The ID of the chat to add the message to.
+ * @param {number} userId - The ID of the user sending the message.
+ * @param {string} message - The content of the message.
+ * @param {string|null} [clientMessageId=null] - The ID the client gave to the message (unique per user).
+ * @returns {Promise<{message: object, duplicate: boolean}|null>} The full message object (the original one for a resend)
+ *          and whether the event was a resend, or null if the logId was already projected.
+ */
+async function projectMessage(projector, logId, chatId, userId, message, clientMessageId = null) {
+    const projection = await runInTransaction(async () => {
+        // Checked again inside the transaction: the checkpoint is the guarantee, not the caller.
+        if (logId <= await getProjectorCheckpoint(projector)) return null;
+
+        if (clientMessageId) {
+            const original = await getAsync(`SELECT id_message FROM messages WHERE id_user = ? AND client_message_id = ?`, [userId, clientMessageId]);
+            if (original) {
+                await saveProjectorCheckpoint(projector, logId);
+                return { messageId: original.id_message, duplicate: true };
+            }
+        }
+
+        const { lastID } = await runAsync(
+            "INSERT INTO messages (id_chat, id_user, message, client_message_id) VALUES (?, ?, ?, ?)", [chatId, userId, message, clientMessageId]
+        );
+        await runAsync("INSERT INTO message_projections (log_id, id_message) VALUES (?, ?)", [logId, lastID]);
+        await runAsync("INSERT INTO messages_fts (rowid, message) VALUES (?, ?)", [lastID, message]);
+        await saveProjectorCheckpoint(projector, logId);
+        return { messageId: lastID, duplicate: false };
+    });
+
+    if (!projection) return null;
+
+    // After committing, fetch the complete message object (with username and timestamp).
+    return { message: await getMessageById(projection.messageId), duplicate: projection.duplicate };
+}
+
+/**
+ * Idempotently projects a 'chat-created' event into the `chats` and `chat_participants` read model.
+ * Same transactional contract as projectMessage: the insert and the checkpoint are committed together.
+ * @param {string} projector - The name of the projector owning the checkpoint.
+ * @param {number} logId - The event_log ID of the event being projected.
+ * @param {object} chat - The chat being created.
+ * @param {string} chat.name - The name of the group.
+ * @param {number} chat.createdBy - The ID of the user creating the group.
+ * @param {Array<number>} chat.memberIds - The IDs of the initial members (the creator included).
+ * @returns {Promise<number|null>} The ID assigned to the new chat, or null if the logId was already projected.
+ */
+async function projectChatCreated(projector, logId, { name, createdBy, memberIds }) {
+    return runInTransaction(async () => {
+        if (logId <= await getProjectorCheckpoint(projector)) return null;
+
+        const { lastID } = await runAsync("INSERT INTO chats (name, is_group, created_by) VALUES (?, 1, ?)", [name, createdBy]);
+        for (const memberId of new Set([createdBy, ...memberIds])) {
+            await runAsync("INSERT OR IGNORE INTO chat_participants (id_chat, id_user) VALUES (?, ?)", [lastID, memberId]);
+        }
+        await saveProjectorCheckpoint(projector, logId);
+        return lastID;
+    });
+}
+
+/**
+ * Idempotently projects a 'member-added' or 'member-removed' event into `chat_participants`.
+ * @param {string} projector - The name of the projector owning the checkpoint.
+ * @param {number} logId - The event_log ID of the event being projected.
+ * @param {'added'|'removed'} change - Whether the user joins or leaves the chat.
+ * @param {number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the member.
+ * @returns {Promise<boolean|null>} Whether the membership actually changed, or null if the logId was already projected.
+ */
+async function projectMembershipChange(projector, logId, change, chatId, userId) {
+    return runInTransaction(async () => {
+        if (logId <= await getProjectorCheckpoint(projector)) return null;
+
+        const { changes } = change === 'added'
+            ? await runAsync("INSERT OR IGNORE INTO chat_participants (id_chat, id_user) VALUES (?, ?)", [chatId, userId])
+            : await runAsync("DELETE FROM chat_participants WHERE id_chat = ? AND id_user = ?", [chatId, userId]);
+        await saveProjectorCheckpoint(projector, logId);
+        return changes > 0;
+    });
+}
+
+/**
+ * Idempotently projects a 'message-edited' or 'message-deleted' event into the `messages` read model.
+ * An edit replaces the text, a deletion leaves a tombstone (NULL text with `deleted_at`).
+ * Deleted messages can't be corrected anymore. Shares the checkpoint of projectMessage.
+ * @param {string} projector - The name of the projector owning the checkpoint.
+ * @param {number} logId - The event_log ID of the event being projected.
+ * @param {'edited'|'deleted'} correction - The kind of correction.
+ * @param {number} messageId - The ID of the message to correct.
+ * @param {string|null} [message] - The new content of the message ('edited' only).
+ * @returns {Promise<object|null>} The corrected message object, or null if it was already projected or couldn't be corrected.
+ */
+async function projectMessageCorrection(projector, logId, correction, messageId, message = null) {
+    const changed = await runInTransaction(async () => {
+        if (logId <= await getProjectorCheckpoint(projector)) return false;
+
+        const { changes } = correction === 'edited'
+            ? await runAsync("UPDATE messages SET message = ?, edited_at = CURRENT_TIMESTAMP WHERE id_message = ? AND deleted_at IS NULL", [message, messageId])
+            : await runAsync("UPDATE messages SET message = NULL, deleted_at = CURRENT_TIMESTAMP WHERE id_message = ? AND deleted_at IS NULL", [messageId]);
+
+        // The search index follows the message: the new text is searchable, a deleted message is not.
+        if (changes > 0) {
+            await runAsync("DELETE FROM messages_fts WHERE rowid = ?", [messageId]);
+            if (correction === 'edited') await runAsync("INSERT INTO messages_fts (rowid, message) VALUES (?, ?)", [messageId, message]);
+        }
+        await saveProjectorCheckpoint(projector, logId);
+        return changes > 0;
+    });
+
+    return changed ? getMessageById(messageId) : null;
+}
+
+/**
+ * Retrieves a message of the read model, with its author's username.
+ * @param {number} messageId - The ID of the message.
+ * @returns {Promise<object|null>} The message object, or null if not found.
+ */
+async function getMessageById(messageId) {
+    const row = await getAsync(`
+        SELECT m.id_message, m.id_chat, m.message, m.created_at, m.edited_at, m.deleted_at, m.client_message_id, u.id_user, u.username
+        FROM messages m
+        JOIN users u ON m.id_user = u.id_user
+        WHERE m.id_message = ?`, [messageId]);
+    return row || null;
+}
+
+/**
+ * Retrieves a message by the ID its author's client gave to it.
+ * @param {number} userId - The ID of the author.
+ * @param {string} clientMessageId - The ID generated by the client.
+ * @returns {Promise<object|null>} The message object, or null if it hasn't been projected.
+ */
+async function getMessageByClientId(userId, clientMessageId) {
+    const row = await getAsync(`SELECT id_message FROM messages WHERE id_user = ? AND client_message_id = ?`, [userId, clientMessageId]);
+    return row ? getMessageById(row.id_message) : null;
+}
+
+/**
+ * Retrieves the logId of the 'incoming-message' that produced a message, if it's known.
+ * @param {number} messageId - The ID of the message.
+ * @returns {Promise<number|null>} The logId, or null (e.g., for messages projected before the mapping existed).
+ */
+async function getLogIdByMessageId(messageId) {
+    const row = await getAsync(`SELECT log_id FROM message_projections WHERE id_message = ?`, [messageId]);
+    return row ? row.log_id : null;
+}
+
+/**
+ * Retrieves the id_message produced by a given logId, if it was projected.
+ * @param {number} logId - The event_log ID of an 'incoming-message'.
+ * @returns {Promise<number|null>} The ID of the projected message, or null.
+ */
+async function getMessageIdByLogId(logId) {
+    const row = await getAsync(`SELECT id_message FROM message_projections WHERE log_id = ?`, [logId]);
+    return row ? row.id_message : null;
+}
+
+/**
+ * Retrieves the ID of the last message of a chat.
+ * @param {number} chatId - The unique ID of the chat.
+ * @returns {Promise<number>} The ID of the last message, or 0 if the chat has none.
+ */
+async function getLastMessageId(chatId) {
+    const row = await getAsync(`SELECT MAX(id_message) AS last_id FROM messages WHERE id_chat = ?`, [chatId]);
+    return row.last_id || 0;
+}
+
+/**
+ * Retrieves the read positions of every member of a chat that has received a message.
+ * @param {number} chatId - The unique ID of the chat.
+ * @returns {Promise<Array<{id_user: number, last_delivered_id: number, last_read_id: number}>>}
+ */
+function getReadPositions(chatId) {
+    return new Promise((resolve, reject) => {
+        const sql = `SELECT id_user, last_delivered_id, last_read_id FROM chat_read_positions WHERE id_chat = ?`;
+        connection().all(sql, [chatId], (err, rows) => {
+            if (err) {
+                log.error("Error fetching read positions.", { error: err });
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+}
+
+/**
+ * Retrieves the read position of a user in a chat.
+ * @param {number} chatId - The unique ID of the chat.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<{last_delivered_id: number, last_read_id: number}>} Zeros if nothing was delivered yet.
+ */
+async function getReadPosition(chatId, userId) {
+    const row = await getAsync(`SELECT last_delivered_id, last_read_id FROM chat_read_positions WHERE id_chat = ? AND id_user = ?`, [chatId, userId]);
+    return row || { last_delivered_id: 0, last_read_id: 0 };
+}
+
+/**
+ * Idempotently projects a 'message-delivered' or 'message-read' event into `chat_read_positions`.
+ * Positions only move forward, and reading a message implies it was delivered.
+ * @param {string} projector - The name of the projector owning the checkpoint.
+ * @param {number} logId - The event_log ID of the event being projected.
+ * @param {'delivered'|'read'} receipt - The kind of receipt.
+ * @param {number} chatId - The ID of the chat.
+ * @param {number} userId - The ID of the user who received or read the message.
+ * @param {number} messageId - The ID of the last message received or read.
+ * @returns {Promise<object|null>} The new position { last_delivered_id, last_read_id }, or null if the logId was already projected.
+ */
+async function projectReceipt(projector, logId, receipt, chatId, userId, messageId) {
+    return runInTransaction(async () => {
+        if (logId <= await getProjectorCheckpoint(projector)) return null;
+
+        await runAsync(`
+            INSERT INTO chat_read_positions (id_chat, id_user, last_delivered_id, last_read_id) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id_chat, id_user) DO UPDATE SET
+                last_delivered_id = MAX(last_delivered_id, excluded.last_delivered_id),
+                last_read_id = MAX(last_read_id, excluded.last_read_id),
+                updated_at = CURRENT_TIMESTAMP`,
+            [chatId, userId, messageId, receipt === 'read' ? messageId : 0]
+        );
+        await saveProjectorCheckpoint(projector, logId);
+        return getReadPosition(chatId, userId);
+    });
+}
+
+/**
+ * Retrieves the offset (last delivered logId) committed by a consumer group.
+ * @param {string} groupName - The name of the consumer group.
+ * @returns {Promise<number|null>} The committed offset, or null if the group has never committed one.
+ */
+async function getConsumerOffset(groupName) {
+    const row = await getAsync(`SELECT last_log_id FROM consumer_offsets WHERE group_name = ?`, [groupName]);
+    return row ? row.last_log_id : null;
+}
+
+/**
+ * Commits the offset (last delivered logId) of a consumer group.
+ * @param {string} groupName - The name of the consumer group.
+ * @param {number} logId - The last delivered logId.
+ * @returns {Promise<void>}
+ */
+async function commitConsumerOffset(groupName, logId) {
+    await runAsync(`
+        INSERT INTO consumer_offsets (group_name, last_log_id) VALUES (?, ?)
+        ON CONFLICT(group_name) DO UPDATE SET last_log_id = excluded.last_log_id, updated_at = CURRENT_TIMESTAMP`,
+        [groupName, logId]
+    );
+}
+
+/**
+ * Retrieves the logId of the last event stored in the event_log.
+ * @returns {Promise<number>} The last logId, or 0 if the log is empty.
+ */
+async function getLastLogId() {
+    const row = await getAsync(`SELECT MAX(id_event) AS last_log_id FROM event_log`);
+    return row.last_log_id || 0;
+}
+
+/**
+ * Retrieves every event of a correlation (i.e., of a single user interaction), in logId order.
+ * @param {string} correlationId - The correlation ID shared by the events.
+ * @param {object} [options={}]
+ * @param {number} [options.memberId] - Only events of the chats this user is a member of (as in queryEvents).
+ * @returns {Promise<Array<{logId: number, createdAt: string, event: object}>>} The events, oldest first.
+ */
+function getEventsByCorrelationId(correlationId, { memberId } = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = ['correlation_id = ?'];
+        const params = [correlationId];
+        if (memberId !== undefined && memberId !== null) {
+            conditions.push(`partition_key IN (SELECT CAST(id_chat AS TEXT) FROM chat_participants WHERE id_user = ?)`);
+            params.push(Number(memberId));
+        }
+
+        const sql = `
+            SELECT id_event, event_type, payload, created_at
+            FROM event_log
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id_event ASC`;
+
+        connection().all(sql, params, (err, rows) => {
+            if (err) {
+                log.error("Error fetching events by correlation ID.", { error: err });
+                return reject(err);
+            }
+            resolve(rows.map(row => ({ logId: row.id_event, createdAt: row.created_at, event: parseStoredEvent(row) })));
+        });
+    });
+}
+
+/**
+ * Queries the Event Store with filters and cursor pagination (by logId, ascending).
+ * Filters on metadata use the indexed columns; `userId` is read from the JSON payload, so it
+ * should be combined with another filter on large logs.
+ * @param {object} [filters={}]
+ * @param {string|Array<string>} [filters.eventType] - One or more event types.
+ * @param {string} [filters.eventId] - The eventId of a DomainEvent.
+ * @param {string} [filters.correlationId] - Events of a single user interaction.
+ * @param {string} [filters.causationId] - Events caused by a given eventId.
+ * @param {string|number} [filters.partitionKey] - Events of a partition.
+ * @param {number} [filters.chatId] - Events of a chat (chat events use the chatId as partition key).
+ * @param {number} [filters.userId] - Events whose payload has this userId.
+ * @param {number} [filters.memberId] - Only events of the chats this user is a member of.
+ * @param {string} [filters.from] - ISO 8601 date. Events emitted at or after it.
+ * @param {string} [filters.to] - ISO 8601 date. Events emitted before it.
+ * @param {number} [filters.cursor=0] - Only events with a logId greater than the cursor (the `nextCursor` of the previous page).
+ * @param {number} [filters.limit=100] - Page size (max 1000).
+ * @returns {Promise<{events: Array<{logId: number, createdAt: string, event: object}>, nextCursor: number|null}>}
+ *          The page of events and the cursor of the next page, or null if this is the last page.
+ */
+function queryEvents(filters = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = ['id_event > ?'];
+        const params = [Number(filters.cursor) || 0];
+
+        if (filters.eventType) {
+            const eventTypes = [].concat(filters.eventType);
+            conditions.push(`event_type IN (${eventTypes.map(() => '?').join(', ')})`);
+            params.push(...eventTypes);
+        }
+
+        const columnFilters = {
+            eventId: 'event_id',
+            correlationId: 'correlation_id',
+            causationId: 'causation_id',
+            partitionKey: 'partition_key',
+            chatId: 'partition_key'
+        };
+        Object.entries(columnFilters).forEach(([filter, column]) => {
+            if (filters[filter] === undefined || filters[filter] === null) return;
+            conditions.push(`${column} = ?`);
+            params.push(String(filters[filter])); // partition_key is a TEXT column
+        });
+
+        if (filters.userId !== undefined && filters.userId !== null) {
+            conditions.push(`json_extract(payload, '$.payload.userId') = ?`);
+            params.push(Number(filters.userId));
+        }
+        if (filters.memberId !== undefined && filters.memberId !== null) {
+            conditions.push(`partition_key IN (SELECT CAST(id_chat AS TEXT) FROM chat_participants WHERE id_user = ?)`);
+            params.push(Number(filters.memberId));
+        }
+        if (filters.from) {
+            conditions.push('event_timestamp >= ?');
+            params.push(new Date(filters.from).toISOString());
+        }
+        if (filters.to) {
+            conditions.push('event_timestamp < ?');
+            params.push(new Date(filters.to).toISOString());
+        }
+
+        const limit = Math.min(Math.max(Number(filters.limit) || 100, 1), 1000);
+        const sql = `
+            SELECT id_event, event_type, payload, created_at
+            FROM event_log
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id_event ASC
+            LIMIT ?`;
+
+        connection().all(sql, [...params, limit], (err, rows) => {
+            if (err) {
+                log.error("Error querying the event log.", { error: err });
+                return reject(err);
+            }
+            const events = rows.map(row => ({ logId: row.id_event, createdAt: row.created_at, event: parseStoredEvent(row) }));
+            const nextCursor = events.length === limit ? events[events.length - 1].logId : null;
+            resolve({ events, nextCursor });
+        });
+    });
+}
+
 // Expose the database interaction functions.
 module.exports = { 
-    getChatHistory, 
+    getChatHistory,
+    searchMessages, 
+    getUserByUsername,
+    getUsers,
+    getChatPeers,
+    saveLastSeen,
+    getUserChats,
     addMessage,
     getChatParticipants,
+    isChatMember,
+    getChat,
     logEvent,
-    getEventByLogId
+    getEventByLogId,
+    addDeadLetter,
+    getDeadLetters,
+    getDeadLetterById,
+    markDeadLetterReplayed,
+    runInTransaction,
+    getEventsAfter,
+    countEvents,
+    createMessagesShadowTable,
+    getMessageProjectionOutcome,
+    addShadowMessage,
+    correctShadowMessage,
+    getShadowMessageIdByLogId,
+    assignShadowMessageIds,
+    getUnbackedMessages,
+    swapMessagesShadowTable,
+    getProjectorCheckpoint,
+    saveProjectorCheckpoint,
+    projectMessage,
+    projectChatCreated,
+    projectMembershipChange,
+    projectMessageCorrection,
+    getMessageById,
+    getMessageByClientId,
+    getLogIdByMessageId,
+    getMessageIdByLogId,
+    getLastMessageId,
+    getReadPositions,
+    getReadPosition,
+    projectReceipt,
+    getConsumerOffset,
+    commitConsumerOffset,
+    getLastLogId,
+    getEventsByCorrelationId,
+    queryEvents
 };
\ No newline at end of file
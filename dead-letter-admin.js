@@ -0,0 +1,82 @@
+// dead-letter-admin.js - Command line tool to manage the Dead-Letter Queue of the Kafky bus.
+//
+// Usage:
+//   node dead-letter-admin.js list [pending|replayed]
+//   node dead-letter-admin.js inspect <deadLetterId>
+//   node dead-letter-admin.js replay <deadLetterId>
+//
+// It talks to the admin routes of the running server (KAFKY_URL, default http://localhost:8000),
+// so replayed events go through the live EventBus and reach the services subscribed to them.
+// If the server has an admin token (KAFKY_ADMIN_TOKEN), the same variable must be set here.
+
+const BASE_URL = process.env.KAFKY_URL || 'http://localhost:8000';
+const ADMIN_TOKEN = process.env.KAFKY_ADMIN_TOKEN;
+
+/**
+ * Calls an admin route of the server and returns its JSON response.
+ * @param {string} method - The HTTP method.
+ * @param {string} route - The route, relative to BASE_URL.
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function request(method, route) {
+    const headers = ADMIN_TOKEN ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {};
+    const response = await fetch(`${BASE_URL}${route}`, { method, headers });
+    return { status: response.status, body: await response.json() };
+}
+
+async function main() {
+    const [command, arg] = process.argv.slice(2);
+
+    switch (command) {
+        case 'list': {
+            const query = arg ? `?status=${encodeURIComponent(arg)}` : '';
+            const { status, body } = await request('GET', `/admin/dead-letters${query}`);
+            if (status !== 200) return fail(body.error);
+            if (body.length === 0) {
+                console.log('The Dead-Letter Queue is empty.');
+                break;
+            }
+            console.table(body.map(entry => ({
+                id: entry.id_dead_letter,
+                type: entry.event_type,
+                eventId: entry.event_id,
+                consumer: entry.consumer || '-',
+                attempts: entry.attempts,
+                status: entry.status,
+                updatedAt: entry.updated_at
+            })));
+            break;
+        }
+
+        case 'inspect': {
+            const { status, body } = await request('GET', `/admin/dead-letters/${arg}`);
+            if (status !== 200) return fail(body.error);
+            console.log(JSON.stringify(body, null, 2));
+            break;
+        }
+
+        case 'replay': {
+            const { status, body } = await request('POST', `/admin/dead-letters/${arg}/replay`);
+            if (status === 404 || status === 401 || status === 403) return fail(body.error);
+            if (body.error) return fail(body.error);
+            if (body.replayed) {
+                console.log(`Event replayed and persisted with log ID: ${body.logId}`);
+            } else if (body.deadLetter.status === 'replayed') {
+                console.log(`Event was already replayed (log ID: ${body.logId}).`);
+            } else {
+                fail(`Replay failed again (attempts: ${body.deadLetter.attempts}). Last error:\n${body.deadLetter.error}`);
+            }
+            break;
+        }
+
+        default:
+            fail('Usage: node dead-letter-admin.js <list [status] | inspect <id> | replay <id>>');
+    }
+}
+
+function fail(message) {
+    console.error(message);
+    process.exitCode = 1;
+}
+
+main().catch(error => fail(`Could not reach the server at ${BASE_URL}: ${error.message}`));
@@ -1,7 +1,12 @@
 // dispatcher.js - Manages WebSocket room subscriptions and message broadcasting.
 const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
 const DomainEvent = require('./domain-event.js');
 const db = require('./database.js');
+const log = createLogger('Dispatcher');
+
+// How long a typing indicator stays on without a new 'user-typing' event (the Gateway throttles them to one every 2s).
+const TYPING_EXPIRY_MS = 5000;
 
 /**
  * Handles the logic of distributing real-time messages to the correct clients.
@@ -16,7 +21,9 @@ class ChatDispatcher {
      */
     constructor() {
         this.chatRooms = new Map();
-        console.log('[Dispatcher] Dispatcher service initialized.');
+        // Expiry timers of the users currently typing. Type: Map<`${chatId}:${userId}`, Timeout>
+        this.typingTimers = new Map();
+        log.info('Dispatcher service initialized.');
     }
 
     /**
@@ -31,21 +38,49 @@ class ChatDispatcher {
         // we prioritize a lower latency for the end-user over the absolute guarantee
         // of logging the projection event itself before notifying.
         eventBus.on('message-projected', (projectedEvent) => {
-            console.log(`[Dispatcher] 'message-projected' event received. Dispatching message...`);
+            log.info(`'message-projected' event received. Dispatching message...`);
 
             const { payload, metadata } = projectedEvent;
-            this.dispatch(payload.id_chat, payload);
+            this.stopTyping(payload.id_chat, payload.id_user); // The message the user was typing has arrived
+            const recipientIds = this.dispatch(payload.id_chat, payload);
 
-            //We send an event to comunicate a message has been dispatched
+            //We send an event to comunicate a message has been dispatched (the ReceiptService records the deliveries)
             const dispatchedEvent = new DomainEvent(
                 'message-dispatched',
                 { 
                     dispatchedMessage: payload,
                     targetChatId: payload.id_chat,
+                    recipientIds
+                },
+                {
+                    correlationId: metadata.correlationId,
+                    causationId: projectedEvent.eventId,
+                    partitionKey: payload.id_chat
+                }
+            );
+
+            eventBus.emit(dispatchedEvent);
+        });
+
+        //EAGER SUSCRIPTION
+        // An edited or deleted message is broadcast in full, so open clients replace their copy in place.
+        eventBus.on('message-updated', (updatedEvent) => {
+            log.info(`'message-updated' event received. Dispatching correction...`);
+
+            const { payload, metadata } = updatedEvent;
+            const recipientIds = this.dispatch(payload.id_chat, payload, 'chat.message.updated');
+
+            const dispatchedEvent = new DomainEvent(
+                'message-dispatched',
+                {
+                    dispatchedMessage: payload,
+                    targetChatId: payload.id_chat,
+                    recipientIds
                 },
                 {
                     correlationId: metadata.correlationId,
-                    causationId: projectedEvent.eventId
+                    causationId: updatedEvent.eventId,
+                    partitionKey: payload.id_chat
                 }
             );
 
@@ -54,37 +89,51 @@ class ChatDispatcher {
 
         //EAGER SUSCRIPTION
         eventBus.on('chat-selected-by-user', async (incomingEvent) => {
-            console.log(`[Dispatcher] 'chat-selected' event received. Introducing user in room...`);
+            log.info(`'chat-selected' event received. Introducing user in room...`);
 
-            const { payload, metadata } = incomingEvent;
-            const { socket, chatId, userId, lastMessageId } = payload;
+            const { payload, metadata, context } = incomingEvent;
+            const { chatId, userId, lastMessageId } = payload;
+            const { socket } = context; // The live socket travels in the transient context, never in the payload.
+            if (!socket) return; // Selected in another node of the cluster: the socket is in the rooms of its Dispatcher.
 
             this.subscribe(socket, chatId);
 
             // TO-DO DECOUPLING:
             // We get the history (this could instead trigger an event "history-requested" to be handle by other service
             // and only send the history when a "history-ready" event is published
-            const history = await db.getChatHistory(chatId, lastMessageId);
+            // Only the first page: the most recent messages the client is missing.
+            // `hasMore` tells it there are more of them (a gap with its cache): older pages come with 'chat.history.before'.
+            const { messages: history, hasMore } = await db.getChatHistory(chatId, { sinceMessageId: lastMessageId });
 
             // If there are new messages, we send them
             if (history.length > 0) {
-                console.log(`[Dispatcher] Sending ${history.length} new messages to user ${userId} for chat ${chatId}.`);
-                socket.send(JSON.stringify({ type: 'chat.history', payload: history }));
+                log.info(`Sending ${history.length} new messages to user ${userId} for chat ${chatId}.`, {}, metadata.correlationId);
+                socket.send(JSON.stringify({ type: 'chat.history', payload: { chatId, messages: history, hasMore } }));
             } else {
-                console.log(`[Dispatcher] User ${userId} is already up to date for chat ${chatId}.`);
+                log.info(`User ${userId} is already up to date for chat ${chatId}.`, {}, metadata.correlationId);
             }
 
-            //We send an event to comunicate the user is now in the room
-            //NOTE: currently no service is suscribed to this event
+            // The receipts of the other members, so the client can draw the ticks of its messages.
+            const receipts = await db.getReadPositions(chatId);
+            socket.send(JSON.stringify({ type: 'chat.receipts', payload: { chatId, receipts: receipts.map(toReceipt) } }));
+
+            //We send an event to comunicate the user is now in the room, with every message up to `lastDeliveredId`
+            //NOTE: the ReceiptService records it as delivered
+            // (the `lastMessageId` of the client is not trusted: it's only a hint of its local cache)
+            const lastDeliveredId = history.length > 0
+                ? Math.max(...history.map(message => message.id_message))
+                : await db.getLastMessageId(chatId);
             const userInRoomEvent = new DomainEvent(
                 'user-in-room',
                 { 
                     userId: userId,
                     chatId: chatId,
+                    lastMessageId: lastDeliveredId
                 },
                 {
                     correlationId: metadata.correlationId,
-                    causationId: incomingEvent.eventId
+                    causationId: incomingEvent.eventId,
+                    partitionKey: chatId
                 }
             );
 
@@ -92,13 +141,50 @@ class ChatDispatcher {
         });
 
         //EAGER SUSCRIPTION
-        eventBus.on('connection-closed', ({ payload: { socket, chatId, userId } }) => {
+        // Ephemeral event: only the eager emit exists, there is no "-KAFKED" version to subscribe to.
+        eventBus.on('user-typing', ({ payload: { chatId, userId } }) => this.startTyping(chatId, userId));
+
+        //EAGER SUSCRIPTION
+        // A member received or read messages: the other members in the room update their ticks.
+        eventBus.on('receipt-projected', ({ payload }) => {
+            const room = this.chatRooms.get(payload.chatId);
+            if (!room) return;
+
+            // The payload ({ chatId, userId, lastDeliveredId, lastReadId }) is already what the clients expect.
+            const receiptMessage = JSON.stringify({ type: 'chat.receipt.updated', payload });
+            for (const socketInRoom of room) {
+                if (socketInRoom.userId !== payload.userId && socketInRoom.readyState === 1) {
+                    socketInRoom.send(receiptMessage);
+                }
+            }
+        });
+
+        //EAGER SUSCRIPTION
+        eventBus.on('connection-closed', ({ payload: { chatId, userId }, context: { socket } }) => {
             if(!chatId) return; //if the user have no chat, we don't need to do anything
 
-            console.log(`[Dispatcher] 'connection-closed' event received. Deleting user ${userId} from the room ${chatId}...`);
+            log.info(`'connection-closed' event received. Deleting user ${userId} from the room ${chatId}...`);
 
             //clean the connection from our chatRooms map
             this.unsubscribe(socket, chatId);
+            this.stopTyping(chatId, userId);
+        });
+
+        //EAGER SUSCRIPTION
+        // A member removed from a group must stop receiving its messages right away: every socket of theirs
+        // in the room is kicked out (the Gateway tells the client and stops accepting its messages for the chat).
+        eventBus.on('membership-projected', ({ payload: { chatId, change, userIds } }) => {
+            if (change !== 'removed') return;
+
+            const room = this.chatRooms.get(chatId);
+            if (!room) return;
+
+            for (const socket of [...room]) {
+                if (userIds.includes(socket.userId)) {
+                    log.info(`User ${socket.userId} was removed from chat ${chatId}. Kicking socket out of the room...`);
+                    this.unsubscribe(socket, chatId);
+                }
+            }
         });
 
         /**
@@ -112,10 +198,10 @@ class ChatDispatcher {
                 let cleanRoom = true;
                 if (eventType === 'chat-revoked-by-new-tab') cleanRoom = false;
 
-                const { payload: { socket, userId, chatId } } = event;
+                const { payload: { userId, chatId }, context: { socket } } = event;
 
                 if (socket && chatId) {
-                    console.log(`[Dispatcher] Handling '${eventType}' for user ${userId} in room ${socket.currentChatId}.`);
+                    log.info(`Handling '${eventType}' for user ${userId} in room ${socket.currentChatId}.`);
                     this.unsubscribe(socket, chatId, cleanRoom);
                 }
             });
@@ -139,7 +225,7 @@ class ChatDispatcher {
         // during disconnects or when changing rooms.
         socket.currentChatId = chatId;
 
-        console.log(`[Dispatcher] Socket subscribed to room ${chatId}. Total members: ${this.chatRooms.get(chatId).size}`);
+        log.info(`Socket subscribed to room ${chatId}. Total members: ${this.chatRooms.get(chatId).size}`);
     }
 
     /**
@@ -152,12 +238,60 @@ class ChatDispatcher {
         if (chatId && this.chatRooms.has(chatId)) {
             const room = this.chatRooms.get(chatId);
             room.delete(socket);
-            console.log(`[Dispatcher] Socket unsubscribed from room ${chatId}. Remaining members: ${room.size}`);
+            log.info(`Socket unsubscribed from room ${chatId}. Remaining members: ${room.size}`);
 
             // Housekeeping: Remove empty rooms to prevent potential memory leaks.
             if (cleanRoom && room.size === 0) {
                 this.chatRooms.delete(chatId);
-                console.log(`[Dispatcher] Room ${chatId} is empty and has been removed.`);
+                log.info(`Room ${chatId} is empty and has been removed.`);
+            }
+        }
+    }
+
+    /**
+     * Shows (or keeps showing) that a user is typing to the other members of the room.
+     * Only the start is relayed; renewals just push the expiry back.
+     * @param {number} chatId - The ID of the chat room.
+     * @param {number} userId - The ID of the user typing.
+     */
+    startTyping(chatId, userId) {
+        const key = `${chatId}:${userId}`;
+        const isNew = !this.typingTimers.has(key);
+
+        clearTimeout(this.typingTimers.get(key));
+        this.typingTimers.set(key, setTimeout(() => this.stopTyping(chatId, userId), TYPING_EXPIRY_MS));
+
+        if (isNew) this.relayTyping(chatId, userId, true);
+    }
+
+    /**
+     * Hides the typing indicator of a user, if it was on (expired, message sent or connection closed).
+     * @param {number} chatId - The ID of the chat room.
+     * @param {number} userId - The ID of the user.
+     */
+    stopTyping(chatId, userId) {
+        const key = `${chatId}:${userId}`;
+        if (!this.typingTimers.has(key)) return;
+
+        clearTimeout(this.typingTimers.get(key));
+        this.typingTimers.delete(key);
+        this.relayTyping(chatId, userId, false);
+    }
+
+    /**
+     * Sends the typing state of a user to the other members of the room.
+     * @param {number} chatId - The ID of the chat room.
+     * @param {number} userId - The ID of the user.
+     * @param {boolean} isTyping - Whether the indicator must be shown or hidden.
+     */
+    relayTyping(chatId, userId, isTyping) {
+        const room = this.chatRooms.get(chatId);
+        if (!room) return;
+
+        const typingMessage = JSON.stringify({ type: 'chat.typing', payload: { chatId, userId, isTyping } });
+        for (const socketInRoom of room) {
+            if (socketInRoom.userId !== userId && socketInRoom.readyState === 1) {
+                socketInRoom.send(typingMessage);
             }
         }
     }
@@ -166,23 +300,38 @@ class ChatDispatcher {
      * Broadcasts a message payload to all connected sockets in a specific chat room.
      * @param {number} chatId - The ID of the target chat room.
      * @param {object} messagePayload - The message object to be sent.
+     * @param {string} [messageType='chat.message.broadcast'] - The type of the frame sent to the clients.
+     * @returns {Array<number>} The IDs of the users the message was written to.
      */
-    dispatch(chatId, messagePayload) {
+    dispatch(chatId, messagePayload, messageType = 'chat.message.broadcast') {
         const room = this.chatRooms.get(chatId);
         if (room && room.size > 0) {
-            const broadcastPayload = JSON.stringify({ type: 'chat.message.broadcast', payload: messagePayload });
-            console.log(`[Dispatcher] Broadcasting message to ${room.size} members in room ${chatId}`);
+            const broadcastPayload = JSON.stringify({ type: messageType, payload: messagePayload });
+            log.info(`Broadcasting message to ${room.size} members in room ${chatId}`);
             
+            const recipientIds = new Set();
             for (const socketInRoom of room) {
                 // Ensure the socket is still open before attempting to send. (readyState 1 === OPEN)
                 if (socketInRoom.readyState === 1) { 
                     socketInRoom.send(broadcastPayload);
+                    recipientIds.add(socketInRoom.userId);
                 }
             }
+            return [...recipientIds];
         }
+        return [];
     }
 }
 
+/**
+ * Maps a row of `chat_read_positions` to the receipt sent to the clients.
+ * @param {object} position - { id_user, last_delivered_id, last_read_id }.
+ * @returns {{userId: number, lastDeliveredId: number, lastReadId: number}}
+ */
+function toReceipt(position) {
+    return { userId: position.id_user, lastDeliveredId: position.last_delivered_id, lastReadId: position.last_read_id };
+}
+
 // Export the class itself, not an instance. This allows the main server file (`server.js`)
 // to create the instance and inject dependencies (like the chatRooms map),
 // adhering to the Dependency Injection pattern.
@@ -5,7 +5,8 @@ const { v4: uuidv4 } = require('uuid');
  * @description Represents an immutable fact that has occurred in the system.
  * It is the fundamental unit of communication in an event-driven architecture.
  * 
- * TO-DO: implement its mandatory use in the architecture, validating it in the proxy
+ * Its shape is mandatory: the EventBus proxy validates every published event against
+ * the DomainEvent envelope schema (see `event-schemas.js`).
  * */
 class DomainEvent {
     /**
@@ -14,8 +15,12 @@ class DomainEvent {
      * @param {object} [metadata={}] - Optional metadata for traceability.
      * @param {string} [metadata.correlationId] - ID used to group all events of the same user interaction.
      * @param {string} [metadata.causationId] - ID of the event that caused the creation of this event.
+     * @param {string|number} [metadata.partitionKey] - Key whose events must be handled in order (e.g., the chatId).
+     * @param {boolean} [metadata.ephemeral=false] - If true, the event is only notified (eager emit): never persisted nor KAFKED.
+     * @param {string} [metadata.nodeId] - The node that published the event (the bus fills it in).
+     * @param {object} [context={}] - Transient runtime handles (e.g., { socket }). Never persisted.
      */
-    constructor(type, payload, metadata = {}) {
+    constructor(type, payload, metadata = {}, context = {}) {
         /**
          * @property {string} eventId - A globally unique identifier for this event instance.
          * Generated at the time of creation.
@@ -49,8 +54,33 @@ class DomainEvent {
             /**
              * @property {string|null} causationId - Points to the eventId of the event that caused this one.
              */
-            causationId: metadata.causationId || null
+            causationId: metadata.causationId || null,
+
+            /**
+             * @property {string|number|null} partitionKey - Events sharing a partition key are delivered to each
+             * handler one at a time and in order (like a Kafka partition). Chat events use the chatId.
+             */
+            partitionKey: metadata.partitionKey ?? null,
+
+            /**
+             * @property {boolean} ephemeral - High-frequency, throwaway signals (e.g., "user is typing") are ephemeral:
+             * the bus notifies them to the eager subscribers and drops them, so they don't flood the Event Store.
+             */
+            ephemeral: metadata.ephemeral === true,
+
+            /**
+             * @property {string|null} nodeId - The server node that published the event. Set by the bus when it's
+             * published (see `KAFKY_NODE_ID`), so the other nodes of a cluster know it's not theirs.
+             */
+            nodeId: metadata.nodeId ?? null
         };
+
+        /**
+         * @property {object} context - Transient, in-process context of the event (e.g., the live WebSocket
+         * of the user). It's non-enumerable, so it's left out of `JSON.stringify` and never reaches the Event Store:
+         * only the serializable payload and metadata are persisted. Events read back from the Event Store have no context.
+         */
+        Object.defineProperty(this, 'context', { value: context, enumerable: false, writable: false });
     }
 }
 
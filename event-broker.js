@@ -0,0 +1,177 @@
+// event-broker.js - A small local broker that relays the messages of the Kafky bus between processes.
+//
+// Usage:
+//   node event-broker.js [address]
+//
+// `address` is 'host:port', a port or a Unix socket path (default: KAFKY_BUS_BROKER or 127.0.0.1:7070).
+// The processes connect to it with KAFKY_BUS_TRANSPORT=socket (see `bus-transport.js`).
+// The broker and every process must share the secret in KAFKY_BUS_SECRET: the broker won't start without it.
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { parseAddress, handshakeProof, DEFAULT_BROKER_ADDRESS } = require('./bus-transport.js');
+const { createLogger } = require('./logger.js');
+const log = createLogger('EventBroker');
+
+// A connection that hasn't completed the handshake by then (or has sent a longer first line) is closed.
+const HANDSHAKE_TIMEOUT_MS = 5000;
+const MAX_HELLO_LENGTH = 1024;
+
+/**
+ * Relays every line a process writes to all the other connected processes, in the order it was received.
+ * The broker doesn't parse nor store anything: persistence stays in the Event Store of the publishing process,
+ * and a process that was disconnected catches up from `event_log` (see the durable consumer groups of the bus).
+ *
+ * Only the processes that complete the handshake (see SocketTransport) join the relay: anything else that
+ * reaches the port is closed without receiving or sending a single event.
+ */
+class EventBroker {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.address='127.0.0.1:7070'] - Where to listen: 'host:port', a port or a Unix socket path.
+     * @param {string} options.secret - The secret the processes must prove they know (KAFKY_BUS_SECRET).
+     */
+    constructor({ address = DEFAULT_BROKER_ADDRESS, secret } = {}) {
+        if (!secret) throw new Error('The event broker needs a shared secret: set KAFKY_BUS_SECRET.');
+        this.address = address;
+        this.secret = secret;
+        this.peers = new Set(); // Connected processes. Type: Set<net.Socket>
+        this.handshakes = new Set(); // Connections that haven't completed the handshake yet. Type: Set<net.Socket>
+        this.server = net.createServer(peer => this.handlePeer(peer));
+    }
+
+    /**
+     * Starts listening. A stale Unix socket file (left by a broker that crashed) is removed first.
+     * @returns {Promise<void>}
+     */
+    listen() {
+        const options = parseAddress(this.address);
+        if (options.path && fs.existsSync(options.path)) fs.unlinkSync(options.path);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(options, () => {
+                log.info(`Listening on ${this.address}.`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Challenges a new connection and, once it has proven it knows the secret, relays its complete lines to the others.
+     * @param {net.Socket} peer - The connection of a process.
+     */
+    handlePeer(peer) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        let state = 'handshake'; // 'handshake' → 'relaying', or 'rejected'.
+        const reject = (reason) => {
+            state = 'rejected';
+            this.handshakes.delete(peer);
+            this.reject(peer, reason);
+        };
+        this.handshakes.add(peer);
+        const handshakeTimer = setTimeout(() => reject('The handshake timed out.'), HANDSHAKE_TIMEOUT_MS);
+
+        let pending = '';
+        peer.setEncoding('utf8');
+        peer.write(JSON.stringify({ kind: 'challenge', nonce }) + '\n');
+        peer.on('data', (chunk) => {
+            if (state === 'rejected') return;
+            const lines = (pending + chunk).split('\n');
+            pending = lines.pop();
+
+            // The first line must be the 'hello' of the handshake.
+            if (state === 'handshake' && lines.length === 0 && pending.length > MAX_HELLO_LENGTH) return reject('Invalid handshake.');
+            if (state === 'handshake' && lines.length > 0) {
+                clearTimeout(handshakeTimer);
+                if (!this.verifyHello(lines.shift(), nonce)) return reject('Invalid handshake: check KAFKY_BUS_SECRET.');
+
+                state = 'relaying';
+                this.handshakes.delete(peer);
+                peer.write(JSON.stringify({ kind: 'welcome' }) + '\n');
+                this.peers.add(peer);
+                log.info(`Process connected. Connected processes: ${this.peers.size}.`);
+            }
+            if (state !== 'relaying' || lines.length === 0) return;
+
+            const data = lines.map(line => line + '\n').join('');
+            for (const otherPeer of this.peers) {
+                if (otherPeer !== peer) otherPeer.write(data);
+            }
+        });
+
+        peer.on('error', (error) => log.error('Connection error.', { error }));
+        peer.on('close', () => {
+            clearTimeout(handshakeTimer);
+            this.handshakes.delete(peer);
+            if (!this.peers.delete(peer)) return;
+            log.info(`Process disconnected. Connected processes: ${this.peers.size}.`);
+        });
+    }
+
+    /**
+     * @param {string} line - The first line received from a connection.
+     * @param {string} nonce - The challenge sent to it.
+     * @returns {boolean} Whether it's a 'hello' with the proof of the secret.
+     */
+    verifyHello(line, nonce) {
+        let message;
+        try {
+            message = JSON.parse(line);
+        } catch {
+            return false;
+        }
+        if (message?.kind !== 'hello' || typeof message.proof !== 'string') return false;
+
+        const expected = Buffer.from(handshakeProof(this.secret, nonce));
+        const received = Buffer.from(message.proof);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Tells a connection why it's not accepted, and closes it.
+     * @param {net.Socket} peer - The connection.
+     * @param {string} reason - e.g., 'The handshake timed out.'.
+     */
+    reject(peer, reason) {
+        log.warn(`Connection rejected: ${reason}`);
+        peer.end(JSON.stringify({ kind: 'rejected', reason }) + '\n');
+    }
+
+    /**
+     * Stops accepting processes and closes the current connections.
+     */
+    close() {
+        this.handshakes.forEach(peer => peer.destroy());
+        this.peers.forEach(peer => peer.destroy());
+        this.server.close();
+    }
+}
+
+if (require.main === module) {
+    // The bus of the broker process only carries its own log events: it must not connect to the broker itself.
+    process.env.KAFKY_BUS_TRANSPORT = 'memory';
+    require('./event-bus.js');
+
+    // Like the services run on their own (see `run-service.js`), the broker writes its own log file.
+    const LoggingService = require('./logging-service.js');
+    new LoggingService({
+        level: process.env.KAFKY_LOG_LEVEL || 'info',
+        filePath: process.env.KAFKY_LOG_FILE || path.join(__dirname, 'logs', 'broker.log')
+    }).listen();
+
+    const address = process.argv[2] || process.env.KAFKY_BUS_BROKER || DEFAULT_BROKER_ADDRESS;
+    try {
+        const broker = new EventBroker({ address, secret: process.env.KAFKY_BUS_SECRET });
+        broker.listen().catch((error) => {
+            log.error(`Could not listen on ${broker.address}.`, { error });
+            process.exitCode = 1;
+        });
+    } catch (error) {
+        log.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = EventBroker;
@@ -1,34 +1,80 @@
-const EventEmitter = require('events');
+const { createTransport } = require('./bus-transport.js');
 const db = require('./database.js'); //for logging events
 const { v4: uuidv4 } = require('uuid'); 
 const DomainEvent = require('./domain-event.js'); 
+const { createLogger } = require('./logger.js');
+const log = createLogger('Kafky-EventBus');
+const metrics = require('./metrics.js');
 
-// --- (Optional) Schema Validation Dependencies ---
-// Uncomment these lines to enable schema validation.
-// const Ajv = require("ajv");
-// const eventSchemas = require("./event-schemas"); 
-// const ajv = new Ajv();
+// --- Schema Validation Dependencies ---
+const Ajv = require("ajv");
+const { domainEventSchema, eventSchemas } = require("./event-schemas.js");
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// EventEmitter methods whose listeners get partitioned (ordered) delivery.
+const SUBSCRIBE_METHODS = ['on', 'addListener', 'prependListener', 'once', 'prependOnceListener'];
+const UNSUBSCRIBE_METHODS = ['off', 'removeListener'];
+
+// --- Metrics (see the /metrics route) ---
+const eventsEmitted = metrics.counter('kafky_events_emitted_total', 'Events published on the bus, by type and stage (eager or kafked).', ['type', 'stage']);
+const persistenceLatency = metrics.histogram(
+  'kafky_event_persistence_seconds',
+  'Time between the eager emit of an event and its "-KAFKED" emit (persistence in the Event Store).',
+  [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+);
+const logEventFailures = metrics.counter('kafky_event_log_failures_total', 'Events that could not be persisted in the Event Store (moved to the Dead-Letter Queue).');
 
 /**
  * @class EventBusWrapper
  * @description A decorator for Node's native EventEmitter that enhances it with
  *              guaranteed event persistence, creating a foundational "Event Store".
  *              This class uses the Proxy pattern to intercept the 'emit' method,
- *              persisting events before they are published to consumers.
+ *              validating events against the Schema Registry and persisting them
+ *              before they are published to consumers.
  *              It performors "double emit": "eager/optimistic emit" and "kafked/logged emit"
+ *              (only the first one for ephemeral events, see `metadata.ephemeral`).
  */
 class EventBusWrapper {
-  constructor(eventEmitterInstance) {
+  /**
+   * @param {EventEmitter} eventEmitterInstance - The native emitter to decorate: the transport of the bus
+   *        (an in-process EventEmitter, or one that spans several processes, see `bus-transport.js`).
+   * @param {object} [options={}]
+   * @param {boolean} [options.strictSchemas=false] - If true, events whose type has no registered schema are blocked.
+   * @param {string} [options.nodeId] - The ID of this server node, stamped on every published event (random by default).
+   * @param {number|null} [options.clusterPollIntervalMs=null] - Set when several nodes share the Event Store (a cluster):
+   *        consumer groups then read their events from the Event Store every this many ms (see `subscribeGroup`).
+   */
+  constructor(eventEmitterInstance, options = {}) {
     this.eventBus = eventEmitterInstance;
 
+    // --- Cluster ---
+    this.nodeId = options.nodeId || uuidv4();
+    this.clusterPollIntervalMs = options.clusterPollIntervalMs || null;
+
+    // --- Schema Registry ---
+    // Every event must look like a DomainEvent, and its payload must match the schema of its type.
+    this.strictSchemas = options.strictSchemas === true;
+    this.validateEnvelope = ajv.compile(domainEventSchema);
+    this.validators = new Map(); // Type: Map<eventType, ValidateFunction>
+    Object.entries(eventSchemas).forEach(([eventType, schema]) => this.registerSchema(eventType, schema));
+
+    // --- Partitioned (ordered) delivery ---
+    this.partitionedListeners = new WeakMap(); // Type: WeakMap<listener, wrappedListener>
+    this.partitionTails = new WeakMap();       // Type: WeakMap<listener, Map<partitionKey, Promise>>
+
+    // --- Durable Consumer Groups ---
+    // Type: Map<groupName, { eventTypes, offset, catchingUp, buffer, queue }>
+    this.consumerGroups = new Map();
+
     // The Proxy intercepts any property access on the EventBusWrapper instance.
     return new Proxy(this, {
       /**
        * The 'get' trap is triggered whenever a property is accessed.
        * @param {EventBusWrapper} target - The original EventBusWrapper instance.
        * @param {string} prop - The name of the property being accessed (e.g., 'on', 'emit').
+       * @param {Proxy} receiver - The proxy itself, used to re-publish through the full pipeline.
        */
-      get: (target, prop) => {
+      get: (target, prop, receiver) => {
         // If the property exists on our wrapper (e.g., custom methods or propierties), use it.
         if (prop in target) {
           return target[prop];
@@ -40,8 +86,17 @@ class EventBusWrapper {
         // If it's not a function, just return the property.
         if (typeof originalMethod !== 'function') return originalMethod;          
 
+        // --- Intercept the subscription methods ---
+        // Listeners are wrapped so events sharing a partition key are handled in order (see deliverInOrder).
+        if (SUBSCRIBE_METHODS.includes(prop) || UNSUBSCRIBE_METHODS.includes(prop)) {
+          return (eventName, listener) => {
+            originalMethod.call(target.eventBus, eventName, target.getPartitionedListener(listener));
+            return receiver;
+          };
+        }
+
         // If its not "emit":
-        // For any other method (like 'on', 'once', etc.), we need to ensure the `this` context is correct.
+        // For any other method (like 'listenerCount', 'removeAllListeners', etc.), we need to ensure the `this` context is correct.
         // If the property is a function, we bind it to the original EventEmitter instance.
         if (prop !== 'emit') return originalMethod.bind(target.eventBus);
 
@@ -49,38 +104,83 @@ class EventBusWrapper {
         if (prop === 'emit') {
           // We return a new function that wraps the original 'emit'.
           // This allows us to inject our validation logic before the event is published.
+          // It resolves with the logId assigned by the Event Store, or null if the event was rejected, lost or is ephemeral.
           return async (event) => {
             
-            // TO-DO
             // --- SCHEMA VALIDATION LOGIC --
-            // This is where the schema validation would be enforced. It ensures that
-            // every event published to the bus conforms to a predefined structure,
-            // preventing bugs caused by malformed event data.
-            /*
-            const validate = eventSchemas[eventType] && ajv.compile(eventSchemas[eventType]);
-            if (validate && !validate(eventPayload)) {
-              const errorMessage = `Invalid event payload for '${eventType}'. Validation errors: ${ajv.errorsText(validate.errors)}`;
-              console.error('[EventBus] Schema validation failed:', errorMessage);
-              // In a production environment, you might throw an error or emit a dedicated 'schema-error' event.
-              throw new Error(errorMessage);
+            // It ensures that every event published to the bus conforms to a predefined structure,
+            // preventing bugs caused by malformed event data. Invalid events never reach
+            // the consumers nor the Event Store: a '*-VALIDATION_FAILED' event is published instead.
+            const { valid, reason, errors } = target.validateEvent(event);
+            if (!valid) {
+              // A broken log event can't be logged through the bus: that would publish another log event, and so on.
+              if (isLogEvent(event)) {
+                console.error(`[Kafky-EventBus] Invalid log event rejected: ${reason}`);
+                return null;
+              }
+              log.error(`Schema validation failed. Event rejected: ${reason}`, {}, event?.metadata?.correlationId);
+              target.publishValidationFailure(receiver, event, reason, errors);
+              return null;
             }
-            */
+
+            // Events keep the node that first published them (e.g., when a dead-lettered event is replayed).
+            if (!event.metadata.nodeId) event.metadata.nodeId = target.nodeId;
+
             try {
               // STEP 0: After validation, we emit the "eager" or "optimistic" event.
               // We directly call the original method on the native EventEmitter
               // to bypass our own proxy and avoid the logging/kafked logic.
               // Consumers who need speed over guarantee can subscribe to this.
+              const eagerEmittedAt = process.hrtime.bigint();
+              eventsEmitted.inc({ type: event.type, stage: 'eager' });
               originalMethod.call(target.eventBus, event.type, event);
 
+              // Ephemeral events (e.g., typing indicators) end here: they are neither persisted nor KAFKED.
+              if (event.metadata.ephemeral) return null;
+
               // STEP 1: Await persistence to the Event Store. This guarantees the event is logged.
-              const { eventId: logId } = await db.logEvent(event);
-              console.log(`[Kafky-EventBus] Event '${event.type}' persisted with log ID: ${logId}`);
+              let logId;
+              try {
+                ({ eventId: logId } = await db.logEvent(event));
+                log.info(`Event '${event.type}' persisted with log ID: ${logId}`, {}, event.metadata.correlationId);
+              } catch (error) {
+                logEventFailures.inc();
+                log.error(`CRITICAL: Failed to log event '${event.type}'. Moving it to the Dead-Letter Queue.`, { error }, event.metadata.correlationId);
+                // ARCHITECTURAL NOTE
+                // On Resilient Error Handling (Compensation Sagas):
+                // In a distributed system, handling critical failures like this requires a
+                // "Compensation" workflow, often orchestrated via a Saga pattern. The goal
+                // is to maintain data consistency by undoing previous steps in a business process.
+
+                // The flow is:
+                // 1. DEAD-LETTER QUEUE: The failed event is immediately moved to a DLQ for
+                //    auditing and potential manual replay by an engineer (see `dead-letter-admin.js`).
+
+                // 2. FAILURE EVENT CHAIN: The EventBus emits a specific failure event,
+                //    `${eventType}-PERSISTENCE_FAILED`. This event carries the
+                //    `correlationId` that traces back to the original user request.
+
+                // 3. CHOREOGRAPHED ROLLBACK: Services involved in the original process subscribe
+                //    to these failure events to perform compensating actions. For example:
+                //    - A theoretical 'BillingService' might subscribe to undo a charge, then publish an event "CHARGE_UNDONE" 
+                //    - The 'Gateway' service would subscribe to "CHARGE_UNDONE" to know the process failed.
+                //      Since the Gateway holds the original client connection context (`ws`),
+                //      it would be its responsibility to send a real-time error notification
+                //      back to the specific user, telling them to try again.
+
+                // This "chain" of compensating events allows the system to roll back
+                // a failed operation in a fully decoupled manner, ensuring each service is
+                // only responsible for its own state. 
+                await target.deadLetter(originalMethod, event, error);
+                return null;
+              }
 
               // STEP 2: Create a new, derived event name and enrich the payload.
               // The "-KAFKED" suffix is a convention signifying that this event is now
               // immutable, persisted, and safe for consumers to process.
               // Note: consumers preferably should suscribe to "-KAFKED" events
-              const kafkedEventName = event.type + '-KAFKED';
+              const eventType = event.type;
+              const kafkedEventName = eventType + '-KAFKED';
 
               event.metadata.logId = logId; //we add the logId with which the DB has saved it
               event.type = kafkedEventName; //We modify the type of our event because now it's -KAFKED 
@@ -89,50 +189,429 @@ class EventBusWrapper {
               // We call the original 'emit' method to avoid an infinite logging loop.
               // Consumers subscribe to the "-KAFKED" version, ensuring they only act
               // on events that have been successfully persisted.
+              persistenceLatency.observe(Number(process.hrtime.bigint() - eagerEmittedAt) / 1e9);
+              eventsEmitted.inc({ type: eventType, stage: 'kafked' });
               originalMethod.call(target.eventBus, kafkedEventName, event);
+              return logId;
             } catch (error) {
-              console.error(`[Kafky-EventBus] CRITICAL: Failed to log and publish event '${event.type}'. Event lost.`, error);
-              // ARCHITECTURAL NOTE
-              // On Resilient Error Handling (Compensation Sagas):
-              // In a distributed system, handling critical failures like this requires a
-              // "Compensation" workflow, often orchestrated via a Saga pattern. The goal
-              // is to maintain data consistency by undoing previous steps in a business process.
-
-              // The robust flow would be:
-              // 1. DEAD-LETTER QUEUE: The failed event is immediately moved to a DLQ for
-              //    auditing and potential manual replay by an engineer.
-
-              // 2. FAILURE EVENT CHAIN: The EventBus emits a specific failure event,
-              //    e.g., `${eventType}-PERSISTENCE_FAILED`. This event must carry the
-              //    `correlationId` that traces back to the original user request.
-
-              // 3. CHOREOGRAPHED ROLLBACK: Services involved in the original process subscribe
-              //    to these failure events to perform compensating actions. For example:
-              //    - A theoretical 'BillingService' might subscribe to undo a charge, then publish an event "CHARGE_UNDONE" 
-              //    - The 'Gateway' service would subscribe to "CHARGE_UNDONE" to know the process failed.
-              //      Since the Gateway holds the original client connection context (`ws`),
-              //      it would be its responsibility to send a real-time error notification
-              //      back to the specific user, telling them to try again.
-
-              // This "chain" of compensating events allows the system to roll back
-              // a failed operation in a fully decoupled manner, ensuring each service is
-              // only responsible for its own state. 
+              // A subscriber threw synchronously while being notified.
+              // (If it was the LoggingService, logging it through the bus would fail again.)
+              if (isLogEvent(event)) console.error(`[Kafky-EventBus] Failed to publish log event '${event.type}'.`, error);
+              else log.error(`Failed to publish event '${event.type}'.`, { error }, event.metadata.correlationId);
+              return null;
             };
           }
         }
       }
     });
   }
+
+  /**
+   * Moves an event that could not be persisted to the Dead-Letter Queue and notifies
+   * '<type>-PERSISTENCE_FAILED' so interested services can compensate.
+   *
+   * NOTE: The failure event is only notified (it's not persisted): the Event Store has just
+   * failed, and the Dead-Letter Queue is already the durable record of what happened.
+   * @param {Function} originalEmit - The native 'emit' method.
+   * @param {object} event - The event that couldn't be persisted.
+   * @param {Error} error - The persistence error.
+   */
+  async deadLetter(originalEmit, event, error) {
+    let deadLetter = null;
+    try {
+      deadLetter = await db.addDeadLetter(event, error);
+      log.error(`Event '${event.type}' stored in the Dead-Letter Queue with ID ${deadLetter.deadLetterId} (attempts: ${deadLetter.attempts}).`, {}, event.metadata.correlationId);
+    } catch (dlqError) {
+      log.error(`CRITICAL: Dead-Letter Queue unavailable. Event lost: ${event.eventId}`, { error: dlqError }, event.metadata.correlationId);
+    }
+
+    const persistenceFailedEvent = new DomainEvent(
+      `${event.type}-PERSISTENCE_FAILED`,
+      {
+        failedEvent: { eventId: event.eventId, type: event.type },
+        error: error.message,
+        deadLetterId: deadLetter ? deadLetter.deadLetterId : null,
+        attempts: deadLetter ? deadLetter.attempts : null
+      },
+      {
+        correlationId: event.metadata.correlationId,
+        causationId: event.eventId,
+        partitionKey: event.metadata.partitionKey
+      }
+    );
+
+    try {
+      originalEmit.call(this.eventBus, persistenceFailedEvent.type, persistenceFailedEvent);
+    } catch (listenerError) {
+      log.error(`Failed to notify '${persistenceFailedEvent.type}'.`, { error: listenerError }, event.metadata.correlationId);
+    }
+  }
+
+  /**
+   * Moves an event that a consumer failed to handle to the Dead-Letter Queue, naming the consumer, so the failure
+   * can be inspected later. Never throws: the events after it must still be delivered.
+   * @param {object} event - The event that couldn't be handled.
+   * @param {Error} error - The error raised by the consumer.
+   * @param {string} consumer - Who failed (e.g., 'group:persistence-service').
+   */
+  async deadLetterDelivery(event, error, consumer) {
+    // A failure handling a log event can't be logged through the bus: that would publish another log event, and so on.
+    if (isLogEvent(event)) {
+      console.error(`[Kafky-EventBus] ${consumer} failed to handle log event '${event.type}'.`, error);
+      return;
+    }
+
+    const correlationId = event?.metadata?.correlationId;
+    log.error(`${consumer} failed to handle '${event.type}'. Moving it to the Dead-Letter Queue.`, { error }, correlationId);
+    try {
+      const deadLetter = await db.addDeadLetter(event, error, consumer);
+      log.error(`Event '${event.type}' stored in the Dead-Letter Queue with ID ${deadLetter.deadLetterId} (attempts: ${deadLetter.attempts}).`, {}, correlationId);
+    } catch (dlqError) {
+      log.error(`CRITICAL: Dead-Letter Queue unavailable. Failed delivery of ${event.eventId} not recorded.`, { error: dlqError }, correlationId);
+    }
+  }
+
+  /**
+   * Replays a dead-lettered event through the normal emit path (validation, persistence and double emit).
+   * If it fails again, the emit path updates the same Dead-Letter entry and increases its attempt count.
+   *
+   * Only the events that couldn't be stored are replayed. The ones a consumer failed to handle are already in the
+   * Event Store: handling them again, out of their logId order, could break the order of their partition.
+   * @param {number} deadLetterId - The ID of the Dead-Letter entry.
+   * @returns {Promise<{replayed: boolean, logId: number|null, deadLetter: object|null, error?: string}>}
+   */
+  async replayDeadLetter(deadLetterId) {
+    const deadLetter = await db.getDeadLetterById(deadLetterId);
+    if (!deadLetter) return { replayed: false, logId: null, deadLetter: null };
+
+    if (deadLetter.status === 'replayed') {
+      return { replayed: false, logId: deadLetter.replayed_log_id, deadLetter };
+    }
+
+    if (deadLetter.consumer) {
+      return {
+        replayed: false,
+        logId: null,
+        deadLetter,
+        error: `The event is already in the Event Store (${deadLetter.consumer} failed to handle it): it can't be replayed.`
+      };
+    }
+
+    log.info(`Replaying dead-lettered event '${deadLetter.event_type}' (DLQ ID: ${deadLetterId})...`);
+    const logId = await this.emit(deadLetter.event);
+
+    if (logId) await db.markDeadLetterReplayed(deadLetterId, logId);
+    return { replayed: Boolean(logId), logId, deadLetter: await db.getDeadLetterById(deadLetterId) };
+  }
+
+  /**
+   * Returns the wrapper registered in the native emitter for a listener, creating it the first time.
+   * Reusing the same wrapper lets 'off'/'removeListener' find it.
+   * @param {Function} listener - The listener provided by the subscriber.
+   * @returns {Function} The wrapped listener.
+   */
+  getPartitionedListener(listener) {
+    if (typeof listener !== 'function') return listener; // Let the native emitter raise its own error.
+
+    if (!this.partitionedListeners.has(listener)) {
+      this.partitionedListeners.set(listener, (event) => this.deliverInOrder(listener, event));
+    }
+    return this.partitionedListeners.get(listener);
+  }
+
+  /**
+   * Delivers an event to a listener honoring its partition key (`metadata.partitionKey`), like a Kafka partition:
+   * for a given listener, events with the same key are handled one at a time, in the order they were emitted
+   * (for "-KAFKED" events, that's logId order), even if the listener is async. Different keys run concurrently.
+   * Events without a partition key are delivered straight away, as the native emitter does.
+   * Either way, an event the listener fails on (sync or async) is dead-lettered: it never reaches the publisher
+   * nor becomes an unhandled rejection.
+   * @param {Function} listener - The listener provided by the subscriber.
+   * @param {object} event - The event being delivered.
+   */
+  deliverInOrder(listener, event) {
+    const consumer = `listener:${listener.name || 'anonymous'}`;
+    const partitionKey = event?.metadata?.partitionKey;
+    if (partitionKey === null || partitionKey === undefined) {
+      new Promise(resolve => resolve(listener(event)))
+        .catch(error => this.deadLetterDelivery(event, error, consumer));
+      return;
+    }
+
+    if (!this.partitionTails.has(listener)) this.partitionTails.set(listener, new Map());
+    const tails = this.partitionTails.get(listener);
+
+    // If the partition is idle the listener runs synchronously; otherwise it waits for the previous event of the key.
+    const pending = tails.get(partitionKey);
+    const tail = (pending ? pending.then(() => listener(event)) : new Promise(resolve => resolve(listener(event))))
+      .catch(error => this.deadLetterDelivery(event, error, consumer));
+
+    tails.set(partitionKey, tail);
+
+    // Housekeeping: forget idle partitions to prevent memory leaks.
+    tail.then(() => {
+      if (tails.get(partitionKey) === tail) tails.delete(partitionKey);
+    });
+  }
+
+  /**
+   * Registers a durable, Kafka-style consumer group.
+   *
+   * The group receives the "-KAFKED" version of the given event types, one at a time and in logId order,
+   * and its offset (the last delivered logId) is committed to the database after each event.
+   * On startup it first catches up on every event stored in `event_log` after its committed offset
+   * (e.g., events logged while the process was down) and then switches to live delivery.
+   *
+   * Delivery is "at-least-once": handlers must be idempotent (see the projector checkpoint).
+   * Since a group handles its events strictly one after another, partition order is honored too.
+   * NOTE: A group has a single member; the same group name can't be registered twice.
+   *
+   * In a cluster (`clusterPollIntervalMs`), the group doesn't listen to live events: they only include the events
+   * of this node, which could overtake the ones other nodes stored before them. It keeps reading the Event Store
+   * instead, in logId order, every `clusterPollIntervalMs`. If every node runs the same group, the projector
+   * checkpoints turn the events already handled by another node into no-ops.
+   * @param {string} groupName - The unique name of the group (e.g., 'persistence-service').
+   * @param {Array<string>} eventTypes - The event types to consume, without the "-KAFKED" suffix.
+   * @param {Function} handler - Async function receiving each "-KAFKED" event.
+   * @param {object} [options={}]
+   * @param {boolean} [options.fromBeginning=false] - For a brand new group, start from the first event
+   *        in the log instead of the latest one.
+   * @returns {Promise<Function>} Resolves once the group has caught up and is receiving live events,
+   *          with a function that unsubscribes the group (and stops its polling, in a cluster).
+   */
+  async subscribeGroup(groupName, eventTypes, handler, { fromBeginning = false } = {}) {
+    if (this.consumerGroups.has(groupName)) {
+      throw new Error(`Consumer group '${groupName}' is already registered.`);
+    }
+
+    const group = { eventTypes, offset: 0, catchingUp: true, buffer: [], queue: Promise.resolve(), closed: false };
+    this.consumerGroups.set(groupName, group);
+    const consumer = `group:${groupName}`;
+
+    // Delivers an event to the handler and commits the offset. Events at or below the offset were already delivered.
+    // An event the handler fails on is dead-lettered and skipped: it must not block the events after it.
+    const deliver = async (event) => {
+      const { logId } = event.metadata;
+      if (group.closed || logId <= group.offset) return;
+
+      try {
+        await handler(event);
+      } catch (error) {
+        await this.deadLetterDelivery(event, error, consumer);
+      }
+
+      group.offset = logId;
+      await db.commitConsumerOffset(groupName, logId);
+    };
+
+    // Live deliveries are chained one after another. A failed one (e.g., the offset commit got SQLITE_BUSY)
+    // is dead-lettered, so the chain keeps running; the next commit moves the offset past it anyway.
+    const enqueue = (event) => {
+      group.queue = group.queue
+        .then(() => deliver(event))
+        .catch(error => this.deadLetterDelivery(event, error, consumer));
+    };
+
+    // Delivers every event stored after the offset, page by page.
+    const catchUp = async () => {
+      let page;
+      do {
+        page = await db.getEventsAfter(eventTypes, group.offset);
+        for (const { logId, event } of page) {
+          if (group.closed) return;
+          await deliver({ ...event, type: `${event.type}-KAFKED`, metadata: { ...event.metadata, logId } });
+        }
+      } while (page.length > 0);
+    };
+
+    // STEP 1: Listen to live events straight away, buffering them while catching up, so nothing is lost in between.
+    const liveListener = (event) => {
+      if (group.catchingUp) {
+        group.buffer.push(event);
+      } else {
+        enqueue(event);
+      }
+    };
+    if (!this.clusterPollIntervalMs) {
+      eventTypes.forEach(eventType => this.eventBus.on(`${eventType}-KAFKED`, liveListener));
+    }
+
+    // STEP 2: Load the committed offset. A new group starts from the latest event (or from the beginning if asked).
+    const committedOffset = await db.getConsumerOffset(groupName);
+    if (committedOffset === null) {
+      group.offset = fromBeginning ? 0 : await db.getLastLogId();
+      await db.commitConsumerOffset(groupName, group.offset);
+    } else {
+      group.offset = committedOffset;
+    }
+
+    // STEP 3: Catch up on every event stored after the offset.
+    const initialOffset = group.offset;
+    await catchUp();
+
+    if (group.offset > initialOffset) {
+      log.info(`Consumer group '${groupName}' caught up from logId ${initialOffset} to ${group.offset}.`);
+    }
+
+    // STEP 4: Switch to live delivery, flushing what arrived meanwhile (already delivered ones are skipped).
+    group.catchingUp = false;
+    group.buffer
+      .sort((a, b) => a.metadata.logId - b.metadata.logId)
+      .forEach(enqueue);
+    group.buffer = [];
+
+    // STEP 5 (cluster): keep reading the Event Store. A poll is skipped while the previous one is still running.
+    let pollTimer = null;
+    if (this.clusterPollIntervalMs) {
+      let polling = false;
+      pollTimer = setInterval(() => {
+        if (polling) return;
+        polling = true;
+        group.queue = group.queue
+          .then(catchUp)
+          .catch(error => log.error(`Consumer group '${groupName}' failed to read the Event Store.`, { error }))
+          .finally(() => { polling = false; });
+      }, this.clusterPollIntervalMs);
+    }
+
+    // Unsubscribes the group: no more events are delivered, and the name can be registered again.
+    // The offset stays committed, so a new subscription resumes from it.
+    return () => {
+      group.closed = true;
+      clearInterval(pollTimer);
+      eventTypes.forEach(eventType => this.eventBus.off(`${eventType}-KAFKED`, liveListener));
+      if (this.consumerGroups.get(groupName) === group) this.consumerGroups.delete(groupName);
+    };
+  }
+
+  /**
+   * Delivers an event published by another node of the cluster (read back from the Event Store, see `cluster-relay.js`)
+   * to the local eager subscribers. It's already persisted and KAFKED in its own node: it's neither stored again nor KAFKED.
+   * It comes without transient context (e.g., no socket): it belongs to the other node.
+   * @param {object} event - The stored event.
+   */
+  relay(event) {
+    if (!event.context) Object.defineProperty(event, 'context', { value: {}, enumerable: false, writable: false });
+    try {
+      this.eventBus.emit(event.type, event);
+    } catch (error) {
+      log.error(`Failed to relay event '${event.type}' from node ${event.metadata.nodeId}.`, { error }, event.metadata.correlationId);
+    }
+  }
+
+  /**
+   * Registers (or replaces) the payload schema for an event type.
+   * @param {string} eventType - The event type as published (e.g., 'incoming-message'), or a '*-SUFFIX' wildcard.
+   * @param {object} schema - A JSON Schema for the event payload.
+   */
+  registerSchema(eventType, schema) {
+    this.validators.set(eventType, ajv.compile(schema));
+  }
+
+  /**
+   * Finds the validator for an event type. Exact matches win over '*-SUFFIX' wildcards.
+   * @param {string} eventType - The type of the event.
+   * @returns {Function|null} The compiled Ajv validator, or null if the type is unknown.
+   */
+  findValidator(eventType) {
+    if (this.validators.has(eventType)) return this.validators.get(eventType);
+
+    for (const [key, validate] of this.validators) {
+      if (key.startsWith('*') && eventType.endsWith(key.slice(1))) return validate;
+    }
+    return null;
+  }
+
+  /**
+   * Checks an event against the DomainEvent envelope and the payload schema of its type.
+   * @param {object} event - The event about to be published.
+   * @returns {{valid: boolean, reason?: string, errors?: Array<object>}}
+   */
+  validateEvent(event) {
+    if (!this.validateEnvelope(event)) {
+      return {
+        valid: false,
+        reason: `Malformed event envelope: ${ajv.errorsText(this.validateEnvelope.errors)}`,
+        errors: [...this.validateEnvelope.errors]
+      };
+    }
+
+    const validate = this.findValidator(event.type);
+    if (!validate) {
+      if (!this.strictSchemas) return { valid: true };
+      return { valid: false, reason: `Unknown event type '${event.type}': no schema registered (strict mode).`, errors: [] };
+    }
+
+    if (!validate(event.payload)) {
+      return {
+        valid: false,
+        reason: `Invalid event payload for '${event.type}': ${ajv.errorsText(validate.errors, { dataVar: 'payload' })}`,
+        errors: [...validate.errors]
+      };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Publishes a '<type>-VALIDATION_FAILED' event describing a rejected event.
+   * Only the identity of the rejected event is carried, since its payload is, by definition, not trustworthy.
+   * @param {Proxy} bus - The proxied bus, so the failure event is validated and persisted like any other.
+   * @param {object} event - The rejected event.
+   * @param {string} reason - Human readable validation error.
+   * @param {Array<object>} errors - Raw Ajv errors.
+   */
+  publishValidationFailure(bus, event, reason, errors) {
+    const eventType = typeof event?.type === 'string' ? event.type : null;
+
+    // Never chain failures of failures: that would loop forever.
+    if (eventType && eventType.endsWith('-VALIDATION_FAILED')) return;
+
+    const failedEvent = new DomainEvent(
+      `${eventType || 'unknown-event'}-VALIDATION_FAILED`,
+      {
+        rejectedEvent: {
+          eventId: typeof event?.eventId === 'string' ? event.eventId : null,
+          type: eventType,
+          metadata: event?.metadata || null
+        },
+        reason,
+        errors
+      },
+      {
+        correlationId: event?.metadata?.correlationId,
+        causationId: event?.eventId,
+        partitionKey: event?.metadata?.partitionKey
+      }
+    );
+    bus.emit(failedEvent);
+  }
+}
+
+/**
+ * Whether an event is a structured log event ('log:info', 'log:warn', 'log:error').
+ * @param {object} event - Any event.
+ * @returns {boolean}
+ */
+function isLogEvent(event) {
+  return typeof event?.type === 'string' && event.type.startsWith('log:');
 }
 
-// Create a single, shared instance of the EventEmitter.
-const nativeEventEmitter = new EventEmitter();
+// Create a single, shared transport: an in-process EventEmitter by default,
+// or a connection to the event broker with KAFKY_BUS_TRANSPORT=socket (see `bus-transport.js`).
+const nativeEventEmitter = createTransport();
 
 // Wrap the native instance with our enhanced proxy.
 // The rest of the application will interact with this `eventBus` instance,
 // benefiting from any enhancements (like validation) transparently.
-const eventBus = new EventBusWrapper(nativeEventEmitter);
+// Set KAFKY_STRICT_SCHEMAS=true to block any event type without a registered schema.
+// Set KAFKY_CLUSTER=true when several server nodes share the Event Store (each one with its own KAFKY_NODE_ID).
+const eventBus = new EventBusWrapper(nativeEventEmitter, {
+  strictSchemas: process.env.KAFKY_STRICT_SCHEMAS === 'true',
+  nodeId: process.env.KAFKY_NODE_ID,
+  clusterPollIntervalMs: process.env.KAFKY_CLUSTER === 'true' ? (parseInt(process.env.KAFKY_CLUSTER_POLL_MS, 10) || 200) : null
+});
 
+// Straight to the console: nothing can be listening to log events before the bus exists.
 console.log('[Kafky-EventBus] Kafky Event Bus initialized.');
 
 module.exports = eventBus;
\ No newline at end of file
@@ -0,0 +1,351 @@
+// event-schemas.js - Schema Registry for the events published on the Kafky bus.
+
+/**
+ * JSON Schema that every event must satisfy, whatever its type.
+ * It mirrors the shape produced by the `DomainEvent` class, so any plain object
+ * that looks like a DomainEvent (e.g., one re-hydrated from the Event Store) is accepted too.
+ */
+const domainEventSchema = {
+    type: 'object',
+    required: ['eventId', 'type', 'payload', 'metadata'],
+    properties: {
+        eventId: { type: 'string', minLength: 1 },
+        type: { type: 'string', minLength: 1 },
+        payload: { type: 'object' },
+        metadata: {
+            type: 'object',
+            required: ['timestamp', 'correlationId', 'causationId'],
+            properties: {
+                timestamp: { type: 'string', minLength: 1 },
+                correlationId: { type: ['string', 'null'] },
+                causationId: { type: ['string', 'null'] },
+                partitionKey: { type: ['string', 'integer', 'null'] },
+                ephemeral: { type: 'boolean' },
+                nodeId: { type: ['string', 'null'] }
+            }
+        }
+    }
+};
+
+// Reusable fragments
+const id = { type: 'integer', minimum: 1 };
+const clientMessageId = { type: 'string', minLength: 1, maxLength: 64 };
+
+// Structured log entry, shared by the three log levels (see `logger.js`). Log events are always ephemeral.
+const logEntry = {
+    type: 'object',
+    required: ['service', 'message'],
+    properties: {
+        service: { type: 'string', minLength: 1 },
+        message: { type: 'string' },
+        details: { type: 'object' },
+        correlationId: { type: ['string', 'null'] }
+    }
+};
+
+/**
+ * Payload schemas, one per event type.
+ * The key is the event type as published (the "eager" name). The "-KAFKED" emit is
+ * derived by the bus from an already validated event, so it doesn't need its own entry.
+ *
+ * Keys starting with '*' are wildcard schemas matched by suffix (e.g., '*-VALIDATION_FAILED').
+ *
+ * NOTE: Runtime handles like the user's WebSocket are not part of the payload: they travel
+ * in the transient `context` of the DomainEvent, which is neither validated nor persisted.
+ */
+const eventSchemas = {
+    // --- Gateway ---
+    'incoming-message': {
+        type: 'object',
+        required: ['chatId', 'userId', 'messageText'],
+        properties: {
+            chatId: id,
+            userId: id,
+            messageText: { type: 'string', minLength: 1 },
+            clientMessageId: clientMessageId // Optional: older clients don't send it.
+        }
+    },
+
+    // Corrections of a projected message, only allowed to its author.
+    // `sourceLogId` is the 'incoming-message' that created the message: unlike messageId, it survives a read model rebuild.
+    'message-edited': {
+        type: 'object',
+        required: ['messageId', 'sourceLogId', 'chatId', 'userId', 'messageText'],
+        properties: {
+            messageId: id,
+            sourceLogId: { anyOf: [id, { type: 'null' }] },
+            chatId: id,
+            userId: id,
+            messageText: { type: 'string', minLength: 1 }
+        }
+    },
+
+    'message-deleted': {
+        type: 'object',
+        required: ['messageId', 'sourceLogId', 'chatId', 'userId'],
+        properties: {
+            messageId: id,
+            sourceLogId: { anyOf: [id, { type: 'null' }] },
+            chatId: id,
+            userId: id
+        }
+    },
+
+    // The user has read every message of the chat up to `messageId`.
+    'message-read': {
+        type: 'object',
+        required: ['chatId', 'userId', 'messageId'],
+        properties: {
+            chatId: id,
+            userId: id,
+            messageId: id
+        }
+    },
+
+    'chat-selected-by-user': {
+        type: 'object',
+        required: ['userId', 'chatId', 'lastMessageId'],
+        properties: {
+            userId: id,
+            chatId: id,
+            lastMessageId: { type: 'integer', minimum: 0 }
+        }
+    },
+
+    'chat-revoked-by-new-tab': {
+        type: 'object',
+        required: ['userId', 'chatId'],
+        properties: {
+            userId: id,
+            chatId: id
+        }
+    },
+
+    'connection-closed': {
+        type: 'object',
+        required: ['userId', 'chatId'],
+        properties: {
+            userId: id,
+            chatId: { anyOf: [id, { type: 'null' }] } // The user may not have selected any chat.
+        }
+    },
+
+    // Its token and socket travel in the transient context.
+    'authentication-requested': {
+        type: 'object',
+        additionalProperties: false
+    },
+
+    // Ephemeral: relayed to the room by the Dispatcher, never persisted.
+    'user-typing': {
+        type: 'object',
+        required: ['chatId', 'userId'],
+        properties: {
+            chatId: id,
+            userId: id
+        }
+    },
+
+    // Chat memberships. 'chat-created' has no chatId yet: the read model assigns it when projecting.
+    'chat-created': {
+        type: 'object',
+        required: ['name', 'createdBy', 'memberIds'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            createdBy: id,
+            memberIds: { type: 'array', items: id, minItems: 1 }
+        }
+    },
+
+    'member-added': {
+        type: 'object',
+        required: ['chatId', 'userId', 'addedBy'],
+        properties: {
+            chatId: id,
+            userId: id,
+            addedBy: id
+        }
+    },
+
+    'member-removed': {
+        type: 'object',
+        required: ['chatId', 'userId', 'removedBy'],
+        properties: {
+            chatId: id,
+            userId: id,
+            removedBy: id
+        }
+    },
+
+    // --- WebSocketAuthService ---
+    'user-authenticated': {
+        type: 'object',
+        required: ['userId'],
+        properties: {
+            userId: id
+        }
+    },
+
+    'authentication-failed': {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+            reason: { type: 'string' }
+        }
+    },
+
+    // --- PresenceService ---
+    // Published on the first connection of a user and after their last one closes.
+    'user-online': {
+        type: 'object',
+        required: ['userId'],
+        properties: {
+            userId: id
+        }
+    },
+
+    'user-offline': {
+        type: 'object',
+        required: ['userId', 'lastSeenAt'],
+        properties: {
+            userId: id,
+            lastSeenAt: { type: 'string', minLength: 1 } // ISO 8601
+        }
+    },
+
+    // --- PersistenceService (Projector) ---
+    'message-projected': {
+        type: 'object',
+        required: ['id_message', 'id_chat', 'id_user', 'message', 'created_at'],
+        properties: {
+            id_message: id,
+            id_chat: id,
+            id_user: id,
+            username: { type: 'string' },
+            message: { type: ['string', 'null'] },
+            created_at: { type: 'string' },
+            edited_at: { type: ['string', 'null'] },
+            deleted_at: { type: ['string', 'null'] },
+            client_message_id: { anyOf: [clientMessageId, { type: 'null' }] }
+        }
+    },
+
+    // A resend (same user and clientMessageId) of a message that was already projected.
+    'duplicate-message-ignored': {
+        type: 'object',
+        required: ['id_message', 'id_chat', 'id_user', 'clientMessageId'],
+        properties: {
+            id_message: id,
+            id_chat: id,
+            id_user: id,
+            clientMessageId: clientMessageId
+        }
+    },
+
+    // A message after a correction: new text and `edited_at`, or a tombstone (NULL message and `deleted_at`).
+    'message-updated': {
+        type: 'object',
+        required: ['id_message', 'id_chat', 'id_user', 'message', 'created_at', 'edited_at', 'deleted_at'],
+        properties: {
+            id_message: id,
+            id_chat: id,
+            id_user: id,
+            username: { type: 'string' },
+            message: { type: ['string', 'null'] },
+            created_at: { type: 'string' },
+            edited_at: { type: ['string', 'null'] },
+            deleted_at: { type: ['string', 'null'] }
+        }
+    },
+
+    // An 'incoming-message' that couldn't be projected: its sender is told so they can retry it.
+    'message-projection-failed': {
+        type: 'object',
+        required: ['chatId', 'userId', 'reason'],
+        properties: {
+            chatId: id,
+            userId: id,
+            clientMessageId: { anyOf: [clientMessageId, { type: 'null' }] },
+            reason: { type: 'string' }
+        }
+    },
+
+    'membership-projected': {
+        type: 'object',
+        required: ['chatId', 'change', 'userIds'],
+        properties: {
+            chatId: id,
+            change: { enum: ['created', 'added', 'removed'] },
+            userIds: { type: 'array', items: id } // The members that joined or left ('created': all of them).
+        }
+    },
+
+    'receipt-projected': {
+        type: 'object',
+        required: ['chatId', 'userId', 'lastDeliveredId', 'lastReadId'],
+        properties: {
+            chatId: id,
+            userId: id,
+            lastDeliveredId: { type: 'integer', minimum: 0 },
+            lastReadId: { type: 'integer', minimum: 0 }
+        }
+    },
+
+    // --- Dispatcher ---
+    'message-dispatched': {
+        type: 'object',
+        required: ['dispatchedMessage', 'targetChatId', 'recipientIds'],
+        properties: {
+            dispatchedMessage: { type: 'object' },
+            targetChatId: id,
+            recipientIds: { type: 'array', items: id } // The users whose sockets the message was written to.
+        }
+    },
+
+    'user-in-room': {
+        type: 'object',
+        required: ['userId', 'chatId', 'lastMessageId'],
+        properties: {
+            userId: id,
+            chatId: id,
+            lastMessageId: { type: 'integer', minimum: 0 } // The user has every message up to this one.
+        }
+    },
+
+    // --- ReceiptService ---
+    'message-delivered': {
+        type: 'object',
+        required: ['chatId', 'userId', 'messageId'],
+        properties: {
+            chatId: id,
+            userId: id,
+            messageId: id
+        }
+    },
+
+    // --- Any service (written by the LoggingService) ---
+    'log:info': logEntry,
+    'log:warn': logEntry,
+    'log:error': logEntry,
+
+    // --- EventBus ---
+    // Published by the bus itself when an event is rejected by this registry.
+    '*-VALIDATION_FAILED': {
+        type: 'object',
+        required: ['rejectedEvent', 'reason', 'errors'],
+        properties: {
+            rejectedEvent: {
+                type: 'object',
+                properties: {
+                    eventId: { type: ['string', 'null'] },
+                    type: { type: ['string', 'null'] },
+                    metadata: { type: ['object', 'null'] }
+                }
+            },
+            reason: { type: 'string' },
+            errors: { type: 'array' }
+        }
+    }
+};
+
+module.exports = { domainEventSchema, eventSchemas };
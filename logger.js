@@ -0,0 +1,37 @@
+// logger.js - Publishes structured log events on the Kafky bus, to be written by the LoggingService.
+const DomainEvent = require('./domain-event.js');
+
+/**
+ * Creates the logger of a service. Each call publishes a 'log:info', 'log:warn' or 'log:error' event
+ * with the payload `{ service, message, details, correlationId }`.
+ *
+ * Log events are ephemeral: they only get the eager emit, so they never reach the Event Store (`event_log`).
+ * Where they end up (console, file...) is only decided by the LoggingService (see `logging-service.js`).
+ *
+ * @example
+ * const log = createLogger('Dispatcher');
+ * log.info(`Socket subscribed to room ${chatId}.`, { members: room.size }, metadata.correlationId);
+ * log.error('Failed to dispatch the message.', { error });
+ *
+ * @param {string} service - The name of the service, shown in every line it logs (e.g., 'Gateway').
+ * @returns {{info: Function, warn: Function, error: Function}} Each one takes (message, details = {}, correlationId = null).
+ */
+function createLogger(service) {
+    const publish = (level, message, details = {}, correlationId = null) => {
+        // Required on use, not on load: the bus (and the database it depends on) log through this module too.
+        const eventBus = require('./event-bus.js');
+        eventBus.emit(new DomainEvent(
+            `log:${level}`,
+            { service, message, details, correlationId: correlationId || null },
+            { correlationId, ephemeral: true }
+        ));
+    };
+
+    return {
+        info: (message, details, correlationId) => publish('info', message, details, correlationId),
+        warn: (message, details, correlationId) => publish('warn', message, details, correlationId),
+        error: (message, details, correlationId) => publish('error', message, details, correlationId)
+    };
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,119 @@
+// logging-service.js - Writes the structured log events of every service to the console and to a JSON-lines file.
+const fs = require('fs');
+const path = require('path');
+const eventBus = require('./event-bus.js');
+
+// Log levels, from the most verbose to the least. A level lets through its own events and the ones above it.
+const LEVELS = { info: 0, warn: 1, error: 2 };
+const CONSOLE_METHODS = { info: 'log', warn: 'warn', error: 'error' };
+
+/**
+ * The single place where log lines are formatted and written.
+ * Services don't print anything: they publish 'log:info', 'log:warn' and 'log:error' events (see `logger.js`),
+ * and this service writes the ones at or above its level:
+ * - to the console, in the familiar "[Service] message" format;
+ * - to a JSON-lines file (one JSON object per line), rotated when it reaches its maximum size.
+ */
+class LoggingService {
+    /**
+     * @param {object} [options={}]
+     * @param {'info'|'warn'|'error'} [options.level='info'] - The minimum level written.
+     * @param {string} [options.filePath='./logs/kafky.log'] - The JSON-lines file. Rotated files get a numeric suffix (kafky.log.1 is the newest).
+     * @param {number} [options.maxFileSizeBytes=5242880] - Size (5 MB by default) at which the file is rotated.
+     * @param {number} [options.maxFiles=5] - Number of rotated files kept.
+     */
+    constructor({ level = 'info', filePath = path.join(__dirname, 'logs', 'kafky.log'), maxFileSizeBytes = 5 * 1024 * 1024, maxFiles = 5 } = {}) {
+        if (!(level in LEVELS)) {
+            console.warn(`[LoggingService] Unknown log level '${level}'. Using 'info'.`);
+            level = 'info';
+        }
+        this.level = level;
+        this.filePath = filePath;
+        this.maxFileSizeBytes = maxFileSizeBytes;
+        this.maxFiles = maxFiles;
+        this.stream = null;
+        this.fileSize = 0;
+    }
+
+    /**
+     * Opens the log file and subscribes the service to the log events.
+     */
+    listen() {
+        this.openFile();
+
+        // EAGER SUSCRIPTION: log events are ephemeral, there is no "-KAFKED" version of them.
+        Object.keys(LEVELS).forEach(level => {
+            eventBus.on(`log:${level}`, (logEvent) => this.write(level, logEvent));
+        });
+
+        this.write('info', { payload: { service: 'LoggingService', message: `Logging service initialized (level: ${this.level}, file: ${this.filePath}).` } });
+    }
+
+    /**
+     * Writes a log event to the console and to the file, if its level is enabled.
+     * @param {'info'|'warn'|'error'} level - The level of the event.
+     * @param {{payload: {service: string, message: string, details?: object, correlationId?: string|null}, metadata?: object}} logEvent
+     */
+    write(level, { payload: { service, message, details = {}, correlationId = null }, metadata = {} }) {
+        if (LEVELS[level] < LEVELS[this.level]) return;
+
+        const hasDetails = Object.keys(details).length > 0;
+        console[CONSOLE_METHODS[level]](`[${service}] ${message}`, ...(hasDetails ? [details] : []));
+
+        const entry = { timestamp: metadata.timestamp || new Date().toISOString(), level, service, message, details, correlationId };
+        this.appendToFile(JSON.stringify(entry, serializeErrors) + '\n');
+    }
+
+    /**
+     * Opens (or creates) the log file in append mode.
+     */
+    openFile() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Opened synchronously: the file must exist right away, in case a burst of lines rotates it before the stream is ready.
+        const fd = fs.openSync(this.filePath, 'a');
+        this.fileSize = fs.fstatSync(fd).size;
+        this.stream = fs.createWriteStream(null, { fd });
+        this.stream.on('error', (error) => console.error('[LoggingService] Failed to write the log file:', error));
+    }
+
+    /**
+     * Appends a line to the log file, rotating it first if the line doesn't fit.
+     * @param {string} line - A JSON line, ending with '\n'.
+     */
+    appendToFile(line) {
+        if (!this.stream) return;
+        const lineSize = Buffer.byteLength(line);
+        if (this.fileSize > 0 && this.fileSize + lineSize > this.maxFileSizeBytes) this.rotate();
+
+        this.stream.write(line);
+        this.fileSize += lineSize;
+    }
+
+    /**
+     * Rotates the log file: kafky.log becomes kafky.log.1, kafky.log.1 becomes kafky.log.2...
+     * and the oldest one beyond `maxFiles` is overwritten.
+     * The lines still buffered by the old stream end up in kafky.log.1, since it keeps the same file open.
+     */
+    rotate() {
+        this.stream.end();
+        try {
+            for (let index = this.maxFiles - 1; index >= 1; index--) {
+                const rotatedPath = `${this.filePath}.${index}`;
+                if (fs.existsSync(rotatedPath)) fs.renameSync(rotatedPath, `${this.filePath}.${index + 1}`);
+            }
+            fs.renameSync(this.filePath, `${this.filePath}.1`);
+        } catch (error) {
+            console.error('[LoggingService] Failed to rotate the log file:', error);
+        }
+        this.openFile();
+    }
+}
+
+/**
+ * JSON.stringify replacer: Error objects have no enumerable properties, so they are written as { name, message, stack }.
+ */
+function serializeErrors(key, value) {
+    return value instanceof Error ? { name: value.name, message: value.message, stack: value.stack } : value;
+}
+
+module.exports = LoggingService;
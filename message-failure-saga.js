@@ -0,0 +1,73 @@
+// message-failure-saga.js - Compensation flow of the messages that never reached the read model.
+const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
+const log = createLogger('MessageFailureSaga');
+
+// What the sender is told. The technical reason stays in the Event Store (and the Dead-Letter Queue).
+const FAILURE_REASON = 'The message could not be sent. Try again.';
+
+/**
+ * Choreographed saga of a chat message: when one of its steps fails, the message will never be
+ * broadcast, so the only compensation left is telling the sender, who can retry it.
+ *
+ * It reacts to the failure events of the two steps after the Gateway:
+ * - 'incoming-message-PERSISTENCE_FAILED': the Event Store couldn't store the message (it's in the Dead-Letter Queue).
+ * - 'message-projection-failed': the Projector couldn't write it to the read model.
+ *
+ * The sender gets a 'chat.message.failed' frame on every open connection, with the clientMessageId of the message.
+ */
+class MessageFailureSaga {
+    /**
+     * @param {object} database - The database module/client for data operations.
+     * @param {Map<number, WebSocket[]>} clients - The connections of each user, shared with the Gateway.
+     */
+    constructor(database, clients) {
+        this.db = database;
+        this.clients = clients;
+        log.info('Message failure saga initialized.');
+    }
+
+    /**
+     * Subscribes the saga to the failure events of the message flow.
+     */
+    listen() {
+        // EAGER SUSCRIPTION: the sender is waiting for their message, the sooner they know, the better.
+        eventBus.on('message-projection-failed', ({ payload: { chatId, userId, clientMessageId } }) => {
+            this.notifySender(userId, chatId, clientMessageId);
+        });
+
+        // The bus only notifies this event (the Event Store has just failed): the message is in the Dead-Letter Queue.
+        eventBus.on('incoming-message-PERSISTENCE_FAILED', async ({ payload: { failedEvent, deadLetterId } }) => {
+            if (!deadLetterId) {
+                log.error(`Event ${failedEvent.eventId} was lost (no Dead-Letter entry). The sender can't be told.`);
+                return;
+            }
+
+            try {
+                const deadLetter = await this.db.getDeadLetterById(deadLetterId);
+                const { chatId, userId, clientMessageId = null } = deadLetter.event.payload;
+                this.notifySender(userId, chatId, clientMessageId);
+            } catch (error) {
+                log.error(`Failed to read the Dead-Letter entry ${deadLetterId}.`, { error });
+            }
+        });
+    }
+
+    /**
+     * Sends a 'chat.message.failed' frame to every connection of the sender.
+     * @param {number} userId - The ID of the sender.
+     * @param {number} chatId - The ID of the chat the message was sent to.
+     * @param {string|null} clientMessageId - The ID the client gave to the message, to find it.
+     */
+    notifySender(userId, chatId, clientMessageId) {
+        const sockets = this.clients.get(userId) || [];
+        log.warn(`Message ${clientMessageId} of user ${userId} failed. Notifying ${sockets.length} connections.`);
+
+        const failedMessage = JSON.stringify({ type: 'chat.message.failed', payload: { chatId, clientMessageId, reason: FAILURE_REASON } });
+        for (const socket of sockets) {
+            if (socket.readyState === 1) socket.send(failedMessage);
+        }
+    }
+}
+
+module.exports = MessageFailureSaga;
@@ -0,0 +1,225 @@
+// metrics.js - A minimal Prometheus-style metrics registry (counters, gauges and histograms) and its text exposition format.
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {*} value - The label value.
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Renders a set of labels, e.g., `{type="incoming-message",stage="eager"}` (or '' if there are none).
+ * @param {object} labels - Label names and values.
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * A metric whose samples are identified by their label values.
+ * Samples are kept in a Map keyed by the serialized labels.
+ */
+class Metric {
+    /**
+     * @param {string} name - The metric name (e.g., 'kafky_events_emitted_total').
+     * @param {string} help - A one-line description.
+     * @param {Array<string>} [labelNames=[]] - The labels of every sample.
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.samples = new Map(); // Type: Map<serializedLabels, { labels, value }>
+    }
+
+    /**
+     * Returns the sample for a set of labels, creating it the first time.
+     * @param {object} labels - A value for each label name.
+     * @param {Function} createValue - Builds the initial value of a new sample.
+     */
+    getSample(labels, createValue) {
+        const ownLabels = Object.fromEntries(this.labelNames.map(labelName => [labelName, labels[labelName] ?? '']));
+        const key = formatLabels(ownLabels);
+        if (!this.samples.has(key)) this.samples.set(key, { labels: ownLabels, value: createValue() });
+        return this.samples.get(key);
+    }
+
+    /**
+     * Renders the HELP and TYPE header lines of the metric.
+     * @param {string} type - 'counter', 'gauge' or 'histogram'.
+     * @returns {Array<string>}
+     */
+    header(type) {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+    }
+}
+
+/**
+ * A value that only goes up (e.g., events emitted).
+ */
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, labelNames);
+        // A metric without labels is exported from the start (as 0), not only after its first increment.
+        if (labelNames.length === 0) this.inc({}, 0);
+    }
+
+    /**
+     * @param {object} [labels={}] - A value for each label name.
+     * @param {number} [amount=1] - How much to add.
+     */
+    inc(labels = {}, amount = 1) {
+        this.getSample(labels, () => 0).value += amount;
+    }
+
+    render() {
+        const lines = this.header('counter');
+        for (const { labels, value } of this.samples.values()) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        return lines;
+    }
+}
+
+/**
+ * A value read at scrape time (e.g., open sockets).
+ * The collect function returns its current samples, so the gauge never goes stale.
+ */
+class Gauge extends Metric {
+    /**
+     * @param {string} name - The metric name.
+     * @param {string} help - A one-line description.
+     * @param {Array<string>} labelNames - The labels of every sample.
+     * @param {Function} collect - Returns a number, or an Array<{labels, value}> for labeled gauges.
+     */
+    constructor(name, help, labelNames, collect) {
+        super(name, help, labelNames);
+        this.collect = collect;
+    }
+
+    render() {
+        const lines = this.header('gauge');
+        const collected = this.collect();
+        const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        for (const { labels, value } of samples) lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+        return lines;
+    }
+}
+
+/**
+ * Counts observations (e.g., latencies in seconds) in cumulative buckets, along with their sum and count.
+ */
+class Histogram extends Metric {
+    /**
+     * @param {string} name - The metric name.
+     * @param {string} help - A one-line description.
+     * @param {Array<string>} labelNames - The labels of every sample.
+     * @param {Array<number>} buckets - The upper bounds of the buckets, in ascending order ('+Inf' is added).
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+        if (labelNames.length === 0) this.getSample({}, () => this.createBuckets());
+    }
+
+    /**
+     * @param {number} value - The observed value.
+     * @param {object} [labels={}] - A value for each label name.
+     */
+    observe(value, labels = {}) {
+        const sample = this.getSample(labels, () => this.createBuckets()).value;
+        this.buckets.forEach((upperBound, index) => {
+            if (value <= upperBound) sample.bucketCounts[index]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    /**
+     * @returns {{bucketCounts: Array<number>, sum: number, count: number}} The value of a new, empty sample.
+     */
+    createBuckets() {
+        return { bucketCounts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    render() {
+        const lines = this.header('histogram');
+        for (const { labels, value: { bucketCounts, sum, count } } of this.samples.values()) {
+            this.buckets.forEach((upperBound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: upperBound })} ${bucketCounts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+/**
+ * The registry of every metric of the process, rendered by the `/metrics` route.
+ * Modules register their metrics once (on load) and update them as things happen;
+ * gauges are read from the services' own state when scraped.
+ */
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map(); // Type: Map<name, Metric>
+    }
+
+    /**
+     * @param {string} name - The metric name (it should end in '_total').
+     * @param {string} help - A one-line description.
+     * @param {Array<string>} [labelNames=[]] - The labels of every sample.
+     * @returns {Counter}
+     */
+    counter(name, help, labelNames = []) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    /**
+     * @param {string} name - The metric name.
+     * @param {string} help - A one-line description.
+     * @param {Function} collect - Returns a number, or an Array<{labels, value}> for labeled gauges.
+     * @param {Array<string>} [labelNames=[]] - The labels of every sample.
+     * @returns {Gauge}
+     */
+    gauge(name, help, collect, labelNames = []) {
+        return this.register(new Gauge(name, help, labelNames, collect));
+    }
+
+    /**
+     * @param {string} name - The metric name (in base units, e.g., '_seconds').
+     * @param {string} help - A one-line description.
+     * @param {Array<number>} buckets - The upper bounds of the buckets, in ascending order.
+     * @param {Array<string>} [labelNames=[]] - The labels of every sample.
+     * @returns {Histogram}
+     */
+    histogram(name, help, buckets, labelNames = []) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    /**
+     * @param {Metric} metric - The metric to register.
+     * @returns {Metric} The registered metric.
+     */
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric '${metric.name}' is already registered.`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    /**
+     * Renders every metric in the Prometheus text exposition format (version 0.0.4).
+     * @returns {string}
+     */
+    render() {
+        return [...this.metrics.values()].map(metric => metric.render().join('\n')).join('\n\n') + '\n';
+    }
+}
+
+// A single registry for the whole process.
+const metrics = new MetricsRegistry();
+
+module.exports = metrics;
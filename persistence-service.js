@@ -1,6 +1,21 @@
-// persistence-service.js - Handles projecting messages in the database.
+// persistence-service.js - Handles projecting messages (and their corrections), chat memberships and receipts in the database.
 const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
 const DomainEvent = require('./domain-event.js'); 
+const log = createLogger('PersistenceService (Projector)');
+
+// Name under which this projector stores its checkpoint (last processed logId).
+const PROJECTOR_NAME = 'messages';
+// Events that correct an already projected message. They share the 'messages' checkpoint.
+const CORRECTION_EVENTS = ['message-edited', 'message-deleted'];
+// Checkpoint of the chats/memberships projection (`chats` and `chat_participants` tables).
+const MEMBERSHIP_PROJECTOR_NAME = 'chats';
+const MEMBERSHIP_EVENTS = ['chat-created', 'member-added', 'member-removed'];
+// Checkpoint of the read positions projection (`chat_read_positions` table).
+const RECEIPTS_PROJECTOR_NAME = 'receipts';
+const RECEIPT_EVENTS = ['message-delivered', 'message-read'];
+// Name of the durable consumer group through which the projector receives its events.
+const CONSUMER_GROUP = 'persistence-service';
 
 /**
  * A dedicated service responsible for persisting data.
@@ -13,61 +28,335 @@ class PersistenceService {
      */
     constructor(database) {
         this.db = database;
-        console.log('[PersistenceService (Projector)] Persistence service initialized.');
+        log.info('Persistence service initialized.');
     }
 
     /**
      * Activates the projector by subscribing it to guaranteed events from the Event Bus.
+     * @returns {Promise<Function>} Resolves once the projector has caught up with the Event Store,
+     *          with a function that unsubscribes it.
      */
     listen() {
         // Subscribe to the "-KAFKED" event. This guarantees the projector only acts on
         // events that have been successfully and immutably stored in the Event Store (`event_log`).
-        eventBus.on('incoming-message-KAFKED', async (incomingEvent) => {
-            const { payload, metadata } = incomingEvent;
-            console.log(`[PersistenceService (Projector)] 'incoming-message-KAFKED' received. Projecting event with logId: ${metadata.logId}`);
-            
-            try {
-                // STEP 1: RETRIEVE THE SOURCE OF TRUTH
-                // The projector fetches the original event from the Event Store using the logId.
-                // It does not trust the payload of the '-KAFKED' event itself, only the fact that it occurred.
-
-                const event = await this.db.getEventByLogId(metadata.logId);
-                if (!event || event.type !== 'incoming-message') {
-                    console.error(`[PersistenceService (Projector)] Invalid or missing event for logId: ${metadata.logId}`);
-                    return; // Halt if the source of truth is missing or invalid.
+        // As a durable consumer group, events logged while the server was down are projected on startup.
+        // The group delivers events one at a time, in logId order. This is what makes the checkpoint safe:
+        // a lower logId can never arrive after a higher one is committed.
+        const eventTypes = ['incoming-message', ...CORRECTION_EVENTS, ...MEMBERSHIP_EVENTS, ...RECEIPT_EVENTS];
+        return eventBus.subscribeGroup(CONSUMER_GROUP, eventTypes, (kafkedEvent) => {
+            const eventType = kafkedEvent.type.replace(/-KAFKED$/, '');
+            if (eventType === 'incoming-message') return this.projectIncomingMessage(kafkedEvent);
+            if (CORRECTION_EVENTS.includes(eventType)) return this.projectMessageCorrection(kafkedEvent);
+            if (RECEIPT_EVENTS.includes(eventType)) return this.projectReceipt(kafkedEvent);
+            return this.projectMembershipEvent(kafkedEvent);
+        });
+    }
+
+    /**
+     * Projects a guaranteed 'message-edited' or 'message-deleted' event into the `messages` read model
+     * (new text or tombstone) and publishes 'message-updated' with the corrected message.
+     * Idempotent: an event whose logId is at or below the projector checkpoint is skipped.
+     * @param {DomainEvent} kafkedEvent - The correction "-KAFKED" event.
+     */
+    async projectMessageCorrection(kafkedEvent) {
+        const { metadata } = kafkedEvent;
+        log.info(`'${kafkedEvent.type}' received. Projecting event with logId: ${metadata.logId}`, {}, metadata.correlationId);
+
+        try {
+            const checkpoint = await this.db.getProjectorCheckpoint(PROJECTOR_NAME);
+            if (metadata.logId <= checkpoint) {
+                log.info(`logId ${metadata.logId} already projected (checkpoint: ${checkpoint}). Skipping.`, {}, metadata.correlationId);
+                return;
+            }
+
+            const event = await this.db.getEventByLogId(metadata.logId);
+            if (!event || !CORRECTION_EVENTS.includes(event.type)) {
+                log.error(`Invalid or missing event for logId: ${metadata.logId}`, {}, metadata.correlationId);
+                return;
+            }
+
+            const { messageId, messageText } = event.payload;
+            const correction = event.type === 'message-edited' ? 'edited' : 'deleted';
+            const correctedMessage = await this.db.projectMessageCorrection(PROJECTOR_NAME, metadata.logId, correction, messageId, messageText);
+            if (!correctedMessage) {
+                log.info(`logId ${metadata.logId} was already projected or message ${messageId} is deleted. Skipping.`, {}, metadata.correlationId);
+                return;
+            }
+
+            const updatedEvent = new DomainEvent(
+                'message-updated',
+                correctedMessage,
+                {
+                    correlationId: metadata.correlationId,
+                    causationId: kafkedEvent.eventId,
+                    partitionKey: correctedMessage.id_chat
+                }
+            );
+
+            eventBus.emit(updatedEvent);
+        } catch (error) {
+            log.error('Failed to correct message.', { error }, metadata.correlationId);
+        }
+    }
+
+    /**
+     * Projects a guaranteed 'message-delivered' or 'message-read' event into the read positions of the user
+     * and publishes 'receipt-projected', so the other members of the chat can update their ticks.
+     * Idempotent: an event whose logId is at or below the receipts projector checkpoint is skipped.
+     * @param {DomainEvent} kafkedEvent - The receipt "-KAFKED" event.
+     */
+    async projectReceipt(kafkedEvent) {
+        const { metadata } = kafkedEvent;
+
+        try {
+            const event = await this.db.getEventByLogId(metadata.logId);
+            if (!event || !RECEIPT_EVENTS.includes(event.type)) {
+                log.error(`Invalid or missing event for logId: ${metadata.logId}`, {}, metadata.correlationId);
+                return;
+            }
+
+            const { chatId, userId, messageId } = event.payload;
+            const receipt = event.type === 'message-read' ? 'read' : 'delivered';
+            const position = await this.db.projectReceipt(RECEIPTS_PROJECTOR_NAME, metadata.logId, receipt, chatId, userId, messageId);
+            if (!position) return; // Already projected
+
+            const projectedEvent = new DomainEvent(
+                'receipt-projected',
+                { chatId, userId, lastDeliveredId: position.last_delivered_id, lastReadId: position.last_read_id },
+                {
+                    correlationId: metadata.correlationId,
+                    causationId: kafkedEvent.eventId,
+                    partitionKey: chatId
+                }
+            );
+
+            eventBus.emit(projectedEvent);
+        } catch (error) {
+            log.error('Failed to project receipt.', { error }, metadata.correlationId);
+        }
+    }
+
+    /**
+     * Projects a guaranteed membership event ('chat-created', 'member-added' or 'member-removed')
+     * into the `chats` and `chat_participants` read model and publishes 'membership-projected'.
+     * Idempotent: an event whose logId is at or below the membership projector checkpoint is skipped.
+     * @param {DomainEvent} kafkedEvent - The membership "-KAFKED" event.
+     */
+    async projectMembershipEvent(kafkedEvent) {
+        const { metadata } = kafkedEvent;
+        log.info(`'${kafkedEvent.type}' received. Projecting event with logId: ${metadata.logId}`, {}, metadata.correlationId);
+
+        try {
+            const checkpoint = await this.db.getProjectorCheckpoint(MEMBERSHIP_PROJECTOR_NAME);
+            if (metadata.logId <= checkpoint) {
+                log.info(`logId ${metadata.logId} already projected (checkpoint: ${checkpoint}). Skipping.`, {}, metadata.correlationId);
+                return;
+            }
+
+            // As with messages, the source of truth is the Event Store, not the "-KAFKED" payload.
+            const event = await this.db.getEventByLogId(metadata.logId);
+            if (!event || !MEMBERSHIP_EVENTS.includes(event.type)) {
+                log.error(`Invalid or missing event for logId: ${metadata.logId}`, {}, metadata.correlationId);
+                return;
+            }
+
+            let chatId, change, userIds;
+            if (event.type === 'chat-created') {
+                // The read model assigns the ID of the new chat, which is why it's published afterwards.
+                chatId = await this.db.projectChatCreated(MEMBERSHIP_PROJECTOR_NAME, metadata.logId, event.payload);
+                if (!chatId) return;
+                change = 'created';
+                userIds = await this.db.getChatParticipants(chatId);
+            } else {
+                ({ chatId } = event.payload);
+                change = event.type === 'member-added' ? 'added' : 'removed';
+                userIds = [event.payload.userId];
+
+                const changed = await this.db.projectMembershipChange(MEMBERSHIP_PROJECTOR_NAME, metadata.logId, change, chatId, event.payload.userId);
+                if (!changed) return; // Already projected, or the user was already (not) a member.
+            }
+
+            // The Gateway refreshes the chat list of the members and the Dispatcher kicks removed members out of the room.
+            const projectedEvent = new DomainEvent(
+                'membership-projected',
+                { chatId, change, userIds },
+                {
+                    correlationId: metadata.correlationId,
+                    causationId: kafkedEvent.eventId,
+                    partitionKey: chatId
                 }
+            );
+
+            eventBus.emit(projectedEvent);
+        } catch (error) {
+            log.error('Failed to project membership event.', { error }, metadata.correlationId);
+        }
+    }
+
+    /**
+     * Projects a guaranteed 'incoming-message' into the `messages` read model and publishes 'message-projected'.
+     * Idempotent: an event whose logId is at or below the projector checkpoint is skipped.
+     * @param {DomainEvent} incomingEvent - The 'incoming-message-KAFKED' event.
+     */
+    async projectIncomingMessage(incomingEvent) {
+        const { metadata } = incomingEvent;
+        log.info(`'incoming-message-KAFKED' received. Projecting event with logId: ${metadata.logId}`, {}, metadata.correlationId);
+
+        try {
+            // STEP 0: IDEMPOTENCY CHECK
+            // A retry or a replay may deliver an event that was already projected.
+            const checkpoint = await this.db.getProjectorCheckpoint(PROJECTOR_NAME);
+            if (metadata.logId <= checkpoint) {
+                log.info(`logId ${metadata.logId} already projected (checkpoint: ${checkpoint}). Skipping.`, {}, metadata.correlationId);
+                return;
+            }
+
+            // STEP 1: RETRIEVE THE SOURCE OF TRUTH
+            // The projector fetches the original event from the Event Store using the logId.
+            // It does not trust the payload of the '-KAFKED' event itself, only the fact that it occurred.
+
+            const event = await this.db.getEventByLogId(metadata.logId);
+            if (!event || event.type !== 'incoming-message') {
+                log.error(`Invalid or missing event for logId: ${metadata.logId}`, {}, metadata.correlationId);
+                return; // Halt if the source of truth is missing or invalid.
+            }
+
+            // Extract the original data from the persisted event's payload.
+            const { chatId, userId, messageText, clientMessageId = null } = event.payload;
+
+            // STEP 2: PROJECT THE EVENT INTO A READ MODEL
+            // The projector now updates the `messages` table. This table acts as our
+            // "Read Model": a query-optimized copy of the data, ensuring that fetching
+            // chat histories remains fast and efficient.
+            // The message, the logId -> id_message mapping and the checkpoint are written in one transaction.
+            const projection = await this.db.projectMessage(PROJECTOR_NAME, metadata.logId, chatId, userId, messageText, clientMessageId);
+            if (!projection) {
+                log.info(`logId ${metadata.logId} was projected concurrently. Skipping.`, {}, metadata.correlationId);
+                return;
+            }
+            const { message: projectedMessage, duplicate } = projection;
 
-                // Extract the original data from the persisted event's payload.
-                const { chatId, userId, messageText } = payload;
-
-                // STEP 2: PROJECT THE EVENT INTO A READ MODEL
-                // The projector now updates the `messages` table. This table acts as our
-                // "Read Model": a query-optimized copy of the data, ensuring that fetching
-                // chat histories remains fast and efficient.
-                const projectedMessage = await this.db.addMessage(chatId, userId, messageText);
-
-                // STEP 3: PUBLISH THE PROJECTION RESULT
-                // Emit a final event to signal that the read model is up-to-date. 
-                const projectedEvent = new DomainEvent(
-                    'message-projected',
-                    projectedMessage,
-                    {
-                        correlationId: metadata.correlationId,   // 1. Spread the correlation ID
-                        causationId: incomingEvent.eventId       // 2. We establish causality
+            // DEDUPLICATION OF RESENDS
+            // A client that didn't get its ack (e.g., after a network blip) sends the message again with the same
+            // clientMessageId. The first one wins: the resend is skipped (in the same transaction) and the sender is acknowledged again.
+            if (duplicate) {
+                log.info(`logId ${metadata.logId} is a resend of message ${projectedMessage.id_message}. Skipping.`, {}, metadata.correlationId);
+                eventBus.emit(new DomainEvent(
+                    'duplicate-message-ignored',
+                    { id_message: projectedMessage.id_message, id_chat: chatId, id_user: userId, clientMessageId },
+                    { correlationId: metadata.correlationId, causationId: incomingEvent.eventId, partitionKey: chatId }
+                ));
+                return;
+            }
+
+            // STEP 3: PUBLISH THE PROJECTION RESULT
+            // Emit a final event to signal that the read model is up-to-date. 
+            const projectedEvent = new DomainEvent(
+                'message-projected',
+                projectedMessage,
+                {
+                    correlationId: metadata.correlationId,   // 1. Spread the correlation ID
+                    causationId: incomingEvent.eventId,      // 2. We establish causality
+                    partitionKey: chatId                     // 3. Keep the chat's events in order
+                }
+            );
+
+            eventBus.emit(projectedEvent);    
+            // NOTE: This is "Event Chaining": After successful projecting, publish a more specific event.                           
+        } catch (error) {
+            log.error('Failed to save message.', { error }, metadata.correlationId);
+
+            // FAILURE EVENT CHAIN: the message won't reach the read model, so nobody will ever receive it.
+            // The MessageFailureSaga routes this event to the sender, whose client can retry the message
+            // (with the same clientMessageId: if it was projected after all, the retry is ignored as a resend).
+            const { chatId, userId, clientMessageId = null } = incomingEvent.payload;
+            const failedEvent = new DomainEvent(
+                'message-projection-failed',
+                { chatId, userId, clientMessageId, reason: error.message },
+                {
+                    correlationId: metadata.correlationId,
+                    causationId: incomingEvent.eventId,
+                    partitionKey: chatId
+                }
+            );
+
+            eventBus.emit(failedEvent);
+        }
+    }
+
+    /**
+     * Rebuilds the `messages` read model from scratch by replaying every 'incoming-message',
+     * 'message-edited' and 'message-deleted' stored in the Event Store, in logId order.
+     *
+     * The projection is written into a shadow table, so the current read model keeps serving
+     * queries meanwhile. At the end, inside a single transaction, the events stored during the
+     * rebuild are projected too, the shadow tables replace `messages` (and its logId mapping)
+     * atomically and the projector checkpoint is moved to the last replayed logId.
+     *
+     * Messages keep the ID they were given when projected live, so the read positions and the
+     * copies cached by the clients (IndexedDB) stay valid. Events whose live projection failed are
+     * skipped, as they were then. Only the events never projected yet get new IDs: while the live
+     * projector is running they get provisional ones, and their final IDs are assigned in that same
+     * transaction, so both can never hand out the same ID.
+     * If the read model has messages that no event backs (e.g., seeded rows), the rebuild fails
+     * and leaves the read model untouched: replacing it would drop them.
+     * @param {object} [options={}]
+     * @param {number} [options.batchSize=500] - Number of events read from the Event Store per page.
+     * @param {Function} [options.onProgress] - Called after each page with { processed, total, lastLogId }.
+     * @returns {Promise<{processed: number, lastLogId: number}>} A summary of the rebuild.
+     */
+    async rebuildReadModel({ batchSize = 500, onProgress = () => {} } = {}) {
+        const eventTypes = ['incoming-message', ...CORRECTION_EVENTS];
+        const total = await this.db.countEvents(eventTypes);
+        let processed = 0;
+        let lastLogId = 0;
+
+        log.info(`Rebuilding the 'messages' read model from ${total} events...`);
+        await this.db.createMessagesShadowTable();
+
+        // Projects every event stored after `lastLogId` into the shadow table, page by page.
+        const projectPendingEvents = async () => {
+            let page;
+            do {
+                page = await this.db.getEventsAfter(eventTypes, lastLogId, batchSize);
+                for (const { logId, createdAt, event } of page) {
+                    if (event.type === 'incoming-message') {
+                        const { chatId, userId, messageText, clientMessageId = null } = event.payload;
+                        const { messageId, failed } = await this.db.getMessageProjectionOutcome(logId);
+                        if (messageId || !failed) {
+                            await this.db.addShadowMessage(logId, messageId, chatId, userId, messageText, createdAt, clientMessageId);
+                        }
+                    } else {
+                        const { sourceLogId, messageId, messageText } = event.payload;
+                        const rebuiltMessageId = sourceLogId ? await this.db.getShadowMessageIdByLogId(sourceLogId) : messageId;
+                        const correction = event.type === 'message-edited' ? 'edited' : 'deleted';
+                        if (rebuiltMessageId) await this.db.correctShadowMessage(rebuiltMessageId, correction, messageText, createdAt);
                     }
-                );
+                    lastLogId = logId;
+                    processed++;
+                }
+                if (page.length > 0) onProgress({ processed, total: Math.max(total, processed), lastLogId });
+            } while (page.length === batchSize);
+        };
 
-                eventBus.emit(projectedEvent);    
-                // NOTE: This is "Event Chaining": After successful projecting, publish a more specific event.                           
-            } catch (error) {
-                console.error('[PersistenceService (Projector)] Failed to save message:', error);
+        await projectPendingEvents();
 
-                // NOTE: A more robust implementation could emit a 'persistence-error' event here,
-                // allowing other parts of the system to handle the failure.
-                // e.g., this.eventBus.emit('message-error', { error, originalMessage: data });
-                // This event would be handle by the Dispatcher and send a warning to the user "message couldn't be delivered, try again"
+        // Catch up with the events stored while rebuilding and swap the tables, all at once.
+        await this.db.runInTransaction(async () => {
+            await projectPendingEvents();
+            await this.db.assignShadowMessageIds();
+
+            const unbacked = await this.db.getUnbackedMessages();
+            if (unbacked.total > 0) {
+                throw new Error(`${unbacked.total} messages of the read model are not backed by any event of the Event Store ` +
+                    `(IDs ${unbacked.messageIds.join(', ')}${unbacked.total > unbacked.messageIds.length ? ', ...' : ''}): rebuilding would drop them.`);
             }
+            await this.db.swapMessagesShadowTable();
+            await this.db.saveProjectorCheckpoint(PROJECTOR_NAME, lastLogId);
         });
+
+        log.info(`Read model rebuilt: ${processed} events replayed up to logId ${lastLogId}.`);
+        return { processed, lastLogId };
     }
 }
 
@@ -0,0 +1,167 @@
+// presence-service.js - Tracks who is online and tells the users they share a chat with.
+const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
+const DomainEvent = require('./domain-event.js');
+const log = createLogger('PresenceService');
+
+/**
+ * Keeps the presence (online / last seen) of the users.
+ * A user is online while they have at least one authenticated connection: the service publishes
+ * 'user-online' when the first one opens and 'user-offline' when the last one closes.
+ * Their peers (the users they share a chat with) receive a 'presence.update' over their WebSockets.
+ *
+ * In a cluster, each node publishes the presence of the connections it holds, and learns the one of the
+ * other nodes from their relayed 'user-online' / 'user-offline' (see `cluster-relay.js`): a user is online
+ * while they are connected to any node, and their peers are only told when that changes.
+ */
+class PresenceService {
+    /**
+     * @param {object} database - The database module/client for data operations.
+     */
+    constructor(database) {
+        this.db = database;
+        // Authenticated connections of each user. Type: Map<userId, Set<WebSocket>>
+        this.connections = new Map();
+        // Other nodes of the cluster where each user is online. Type: Map<userId, Set<nodeId>>
+        this.remoteNodes = new Map();
+        log.info('Presence service initialized.');
+    }
+
+    /**
+     * Subscribes the service to the connection lifecycle events published by the Gateway and the Auth service.
+     */
+    listen() {
+        //EAGER SUSCRIPTION
+        eventBus.on('user-authenticated', async (authenticatedEvent) => {
+            const { payload: { userId }, metadata, context: { socket } } = authenticatedEvent;
+            if (!this.connections.has(userId)) this.connections.set(userId, new Set());
+            const sockets = this.connections.get(userId);
+            sockets.add(socket);
+
+            // The new connection needs to know who of its peers is online right now.
+            await this.sendSnapshot(userId, socket);
+
+            if (sockets.size === 1) {
+                eventBus.emit(new DomainEvent(
+                    'user-online',
+                    { userId },
+                    { correlationId: metadata.correlationId, causationId: authenticatedEvent.eventId, partitionKey: `user-${userId}` }
+                ));
+            }
+        });
+
+        //EAGER SUSCRIPTION
+        eventBus.on('connection-closed', (closedEvent) => {
+            const { payload: { userId }, metadata, context: { socket } } = closedEvent;
+            const sockets = this.connections.get(userId);
+            if (!sockets || !sockets.delete(socket) || sockets.size > 0) return;
+
+            this.connections.delete(userId);
+            eventBus.emit(new DomainEvent(
+                'user-offline',
+                { userId, lastSeenAt: new Date().toISOString() },
+                { correlationId: metadata.correlationId, causationId: closedEvent.eventId, partitionKey: `user-${userId}` }
+            ));
+        });
+
+        //EAGER SUSCRIPTION: peers see the change as soon as possible.
+        ['user-online', 'user-offline'].forEach(eventType => {
+            eventBus.on(eventType, ({ payload: { userId, lastSeenAt = null }, metadata }) => {
+                const online = eventType === 'user-online';
+                const wasOnline = this.isOnline(userId, metadata.nodeId);
+                if (metadata.nodeId !== eventBus.nodeId) this.trackRemoteNode(userId, metadata.nodeId, online);
+
+                // Connected or disconnected in a node while still connected to another one: nothing changes for the peers.
+                if (wasOnline) return;
+                this.notifyPeers(userId, { userId, online, lastSeenAt });
+            });
+        });
+
+        // GUARANTEED SUSCRIPTION: the last-seen time is only stored once the event is in the Event Store.
+        eventBus.on('user-offline-KAFKED', async ({ payload: { userId, lastSeenAt } }) => {
+            try {
+                await this.db.saveLastSeen(userId, lastSeenAt);
+            } catch (error) {
+                log.error(`Failed to save the last-seen time of user ${userId}.`, { error });
+            }
+        });
+
+        //EAGER SUSCRIPTION: the members of a chat may have new peers (or lose some).
+        eventBus.on('membership-projected', async ({ payload: { chatId, userIds } }) => {
+            const members = await this.db.getChatParticipants(chatId);
+            for (const userId of new Set([...members, ...userIds])) {
+                for (const socket of this.connections.get(userId) || []) {
+                    await this.sendSnapshot(userId, socket);
+                }
+            }
+        });
+    }
+
+    /**
+     * Whether a user has at least one authenticated connection, in this node or in another node of the cluster.
+     * @param {number} userId - The ID of the user.
+     * @param {string} [exceptNodeId] - Ignore the connections of this node.
+     * @returns {boolean}
+     */
+    isOnline(userId, exceptNodeId = null) {
+        if (exceptNodeId !== eventBus.nodeId && this.connections.has(userId)) return true;
+        return [...(this.remoteNodes.get(userId) || [])].some(nodeId => nodeId !== exceptNodeId);
+    }
+
+    /**
+     * Records that a user connected to (or left) another node of the cluster.
+     * @param {number} userId - The ID of the user.
+     * @param {string} nodeId - The node that published the presence event.
+     * @param {boolean} online - Whether the user is now online in that node.
+     */
+    trackRemoteNode(userId, nodeId, online) {
+        const nodes = this.remoteNodes.get(userId) || new Set();
+        if (online) nodes.add(nodeId);
+        else nodes.delete(nodeId);
+
+        if (nodes.size > 0) this.remoteNodes.set(userId, nodes);
+        else this.remoteNodes.delete(userId);
+    }
+
+    /**
+     * Sends the presence of all the peers of a user to one of their connections.
+     * @param {number} userId - The ID of the user.
+     * @param {WebSocket} socket - The connection to send the snapshot to.
+     */
+    async sendSnapshot(userId, socket) {
+        try {
+            const peers = await this.db.getChatPeers(userId);
+            const presence = peers.map(peer => ({
+                userId: peer.id_user,
+                online: this.isOnline(peer.id_user),
+                lastSeenAt: peer.last_seen_at
+            }));
+            if (socket.readyState === 1) socket.send(JSON.stringify({ type: 'presence.snapshot', payload: presence }));
+        } catch (error) {
+            log.error(`Failed to send the presence snapshot to user ${userId}.`, { error });
+        }
+    }
+
+    /**
+     * Pushes a 'presence.update' to every connection of the users who share a chat with the given user.
+     * @param {number} userId - The ID of the user whose presence changed.
+     * @param {{userId: number, online: boolean, lastSeenAt: string|null}} presence - The new presence.
+     */
+    async notifyPeers(userId, presence) {
+        try {
+            const peers = await this.db.getChatPeers(userId);
+            const update = JSON.stringify({ type: 'presence.update', payload: presence });
+
+            log.info(`User ${userId} is ${presence.online ? 'online' : 'offline'}. Notifying ${peers.length} peers.`);
+            for (const peer of peers) {
+                for (const socket of this.connections.get(peer.id_user) || []) {
+                    if (socket.readyState === 1) socket.send(update);
+                }
+            }
+        } catch (error) {
+            log.error(`Failed to notify the peers of user ${userId}.`, { error });
+        }
+    }
+}
+
+module.exports = PresenceService;
@@ -124,7 +124,28 @@ document.addEventListener('DOMContentLoaded', () => {
             request.onerror = (event) => reject(event.target.error);
         });
     }
+    /**
+     * Deletes every message of a chat from the local database.
+     * @param {number} chatId - The ID of the chat.
+     * @returns {Promise<void>}
+     */
+    function deleteChatMessagesFromDB(chatId) {
+        if (!db) return Promise.resolve();
 
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([MSG_STORE_NAME], 'readwrite');
+            const request = transaction.objectStore(MSG_STORE_NAME).index('chatIndex').openKeyCursor(IDBKeyRange.only(chatId));
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                transaction.objectStore(MSG_STORE_NAME).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = (event) => reject(event.target.error);
+        });
+    }
 
     // --- STATE MANAGEMENT (MODEL) ---
     // The single source of truth for the client-side application state.
@@ -133,34 +154,130 @@ document.addEventListener('DOMContentLoaded', () => {
         currentChat: null,     // Populated with { id, name } upon chat selection.
         messages: [],          // Message list for the currently active chat.
         unreadMessagesCount: 0, // --- Counter for not read messages
-        // NOTE: In a production app, this would be fetched from the server after login.
-        availableChats: [
-            { id: 1, name: "Chat Manolo-Pepe", participants: [1, 2] },
-            { id: 2, name: "Chat Manolo-Luisa", participants: [1, 3] }
-        ]
+        availableChats: [],    // The user's chats ({ id, name, isGroup, createdBy, participants: [{id, name}], lastMessage }), fetched from the server after login.
+        users: [],             // The user directory ({ id, name }), used to pick the members of a group.
+        receipts: [],          // Read positions of the members of the current chat ({ userId, lastDeliveredId, lastReadId }).
+        lastReadSent: 0,       // The last message of the current chat we told the server we've read.
+        typingUserIds: [],     // The other members typing in the current chat (the server expires them).
+        lastTypingSent: 0,     // When we last told the server we are typing.
+        presence: new Map(),   // Presence of the users we share a chat with. Type: Map<userId, { online, lastSeenAt }>
+        inRoom: false,         // Whether the server has put this connection in the room of the current chat.
+        hasOlderMessages: true, // Whether the server may have messages of the current chat older than our oldest one.
+        loadingOlderMessages: false, // Whether a 'chat.history.before' request is on its way.
+        jumpToMessageId: null, // The message picked in the search results, to scroll to once it's loaded.
+        outbox: new Map()      // Messages sent but not confirmed yet, resent after a reconnection (unless they failed). Type: Map<clientMessageId, { chatId, messageText, failed }>
     };
 
     // --- UI ELEMENT CACHING (VIEW REFERENCES) ---
     // Cache DOM elements for performance and cleaner access.
     const ui = {
         userSelectionPanel: document.getElementById('user-selection-panel'),
+        userListDiv: document.getElementById('user-list'),
         chatSelectionPanel: document.getElementById('chat-selection-panel'),
         chatSelectionTitle: document.getElementById('chat-selection-title'),
         chatListDiv: document.getElementById('chat-list'),
+        searchForm: document.getElementById('search-form'),
+        searchInput: document.getElementById('search-input'),
+        searchResultsDiv: document.getElementById('search-results'),
         chatPanel: document.getElementById('chat-panel'),
         chatTitle: document.getElementById('chat-title'),
+        chatPresence: document.getElementById('chat-presence'),
+        chatMembersDiv: document.getElementById('chat-members'),
+        newGroupForm: document.getElementById('new-group-form'),
+        newGroupNameInput: document.getElementById('new-group-name'),
+        newGroupMembersDiv: document.getElementById('new-group-members'),
         messagesDiv: document.getElementById('messages'),
         messageForm: document.getElementById('message-form'),
-        messageInput: document.getElementById('message-input')
+        messageInput: document.getElementById('message-input'),
+        typingIndicator: document.getElementById('typing-indicator'),
+        connectionStatus: document.getElementById('connection-status')
     };
     
     // --- WEBSOCKET CONNECTION ---
-    const ws = new WebSocket(`ws://${window.location.host}`);
-    ws.onopen = () => console.log('WebSocket connection established with server.');
-    ws.onerror = (error) => console.error('WebSocket error:', error);
-    ws.onclose = () => console.log('Disconnected from WebSocket server. Please reload the page.');
+    // When the connection drops we reconnect with exponential backoff (1s, 2s, 4s... up to 30s, plus some jitter
+    // so all the tabs don't come back at once) and resume the session: identify, re-select the chat, flush the outbox.
+    const RECONNECT_BASE_DELAY_MS = 1000;
+    const RECONNECT_MAX_DELAY_MS = 30000;
+    let ws;
+    let reconnectAttempts = 0;
+
+    /**
+     * Opens the WebSocket connection. Called on load and after every disconnection.
+     */
+    function connect() {
+        ws = new WebSocket(`ws://${window.location.host}`);
+        ws.onmessage = handleServerEvent;
+        ws.onerror = (error) => console.error('WebSocket error:', error);
+
+        ws.onopen = () => {
+            console.log('WebSocket connection established with server.');
+            reconnectAttempts = 0;
+            renderConnectionStatus('');
+            // A reconnection: the new socket is anonymous until we identify it again.
+            if (state.currentUser) resumeSession();
+        };
+
+        ws.onclose = (event) => {
+            state.inRoom = false;
+            state.loadingOlderMessages = false;
+            state.typingUserIds = [];
+            renderTypingIndicator();
+
+            // 4001: the server rejected our credentials, reconnecting won't help.
+            if (event.code === 4001) {
+                console.error('Disconnected from WebSocket server: authentication failed.');
+                return;
+            }
+            scheduleReconnect();
+        };
+    }
+
+    /**
+     * Schedules the next connection attempt, doubling the delay after each failed one.
+     */
+    function scheduleReconnect() {
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** reconnectAttempts) + Math.random() * RECONNECT_BASE_DELAY_MS;
+        reconnectAttempts++;
+        console.warn(`Disconnected from WebSocket server. Reconnecting in ${Math.round(delay / 1000)}s (attempt ${reconnectAttempts}).`);
+        renderConnectionStatus(`Connection lost. Reconnecting in ${Math.round(delay / 1000)}s…`);
+        setTimeout(connect, delay);
+    }
+
+    /**
+     * Identifies a new connection as the current user. The token we logged in with may have expired,
+     * so we log in again to get a fresh one.
+     */
+    async function resumeSession() {
+        const session = await login(state.currentUser.name);
+        if (!session) return;
+        sendEventToServer('user.identify', { token: session.token });
+    }
+
+    /**
+     * Enters the current chat again after a reconnection, asking only for what we are missing:
+     * the last message we have is the last one stored in the IndexedDB.
+     */
+    async function resumeChat() {
+        const storedMessages = await getMessagesFromDB(state.currentChat.id);
+        const lastMessageId = storedMessages.length > 0 ? storedMessages[storedMessages.length - 1].id_message : 0;
+        console.log(`Resuming chat ${state.currentChat.id} since message ID: ${lastMessageId}`);
+        sendEventToServer('chat.select', { chatId: state.currentChat.id, lastMessageId });
+    }
+
+    /**
+     * Sends the messages of the current chat that the server hasn't confirmed yet.
+     * Resending is safe: the server ignores a clientMessageId it has already projected.
+     */
+    function flushOutbox() {
+        state.outbox.forEach(({ chatId, messageText, failed }, clientMessageId) => {
+            if (chatId === state.currentChat.id && !failed) sendEventToServer('chat.message.new', { chatId, messageText, clientMessageId });
+        });
+    }
 
     
+    // Don't tell the server we are typing more than once in this window (it ignores the extra ones anyway).
+    const TYPING_THROTTLE_MS = 2000;
+
     // --- Counter of new messages for the user
     const originalTitle = document.title; //save the original title
     /**
@@ -182,6 +299,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (!document.hidden) {
             state.unreadMessagesCount = 0;   // Reseteamos el contador.
             updateTitleWithUnreadCount();    // Actualizamos el título para quitar el contador.
+            markChatAsRead();                // Los mensajes que han llegado mientras no miraba ya están leídos.
         }
     });
 
@@ -191,33 +309,113 @@ document.addEventListener('DOMContentLoaded', () => {
     // ================================================================
 
     // 1. Handle incoming server events
-    ws.onmessage = (event) => {
+    function handleServerEvent(event) {
         const data = JSON.parse(event.data);
         console.log('Server event received:', data);
 
         // Router for events pushed from the server.
         switch (data.type) {
+            case 'auth.succeeded':
+                console.log(`Authenticated as user ${data.payload.userId}.`);
+                // Now we can ask for our chats.
+                sendEventToServer('chat.list', {});
+                // After a reconnection, go back to the chat we were in.
+                if (state.currentChat) resumeChat();
+                break;
+
+            case 'chat.list':
+                // Server sends the user's chats, with participants and last message.
+                // It's pushed again whenever the memberships of one of our chats change.
+                state.availableChats = data.payload;
+                renderChatSelection();
+                if (state.currentChat) renderChatMembers();
+                break;
+
+            case 'chat.membership.revoked':
+                // We were removed from a group (or left it): the server no longer delivers its messages.
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    ui.chatPanel.classList.add('hidden');
+                    ui.chatSelectionPanel.classList.remove('hidden');
+                    state.currentChat = null;
+                    state.messages = [];
+                    alert(data.payload.message);
+                }
+                break;
+
+            case 'command.rejected':
+                console.warn(`The server refused '${data.payload.command}':`, data.payload.reason);
+                alert(data.payload.reason);
+                break;
+
+            case 'auth.failed':
+                // The server rejected our token and is closing the connection.
+                console.error('Authentication failed:', data.payload.message);
+                alert(`Authentication failed: ${data.payload.message}. Please reload the page.`);
+                break;
+
+            case 'auth.required':
+                console.warn('The server requires authentication first:', data.payload.message);
+                break;
+
             case 'chat.history':
-                // Server sends NEW messages we didn't have locally.
-                if (data.payload && data.payload.length > 0) {
-                    //await saveMessagesToDB(data.payload); // Persist them locally. We don't need to wait for this, it's better to optimize the user experience and leave this task running in the backgound.
-                    
-                    state.messages.push(...data.payload); // Add them to the current state.
-                    renderMessages();                     // Re-render the UI.
+                // Server sends the most recent messages we didn't have locally (the first page of them).
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    const { messages, hasMore } = data.payload;
+
+                    // The IndexedDB always holds the newest messages of a chat without gaps. If the page doesn't reach
+                    // our cache (there are more new messages than fit in a page), the cache is replaced by the page;
+                    // the messages in between are loaded like any older page when the user scrolls up.
+                    if (hasMore) state.messages = state.messages.filter(msg => msg.pending);
+                    messages.forEach(upsertMessage);  // Add them to the current state.
+                    // Ordered by ID, with our pending messages (no ID yet) at the end.
+                    state.messages.sort((a, b) => (a.id_message ?? Infinity) - (b.id_message ?? Infinity) || 0);
+                    renderMessages();                 // Re-render the UI.
+                    markChatAsRead();
 
                     // we save the messages in the IndexedDB in the background
-                    saveMessagesToDB([data.payload])
+                    (hasMore ? deleteChatMessagesFromDB(data.payload.chatId) : Promise.resolve())
+                        .then(() => saveMessagesToDB(messages))
                         .catch(err => {
                             console.error("Failed to save history in the IndexedDB:", err);
                         });
                 }
                 break;
-            
+
+            case 'chat.search':
+                // The messages of our chats that match what we searched.
+                renderSearchResults(data.payload.results);
+                break;
+
+            case 'chat.history.before':
+                // An older page, requested when the user scrolled to the top. It goes right before our oldest message.
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    const { messages, hasMore } = data.payload;
+                    state.loadingOlderMessages = false;
+                    state.hasOlderMessages = hasMore;
+
+                    const knownIds = new Set(state.messages.map(msg => msg.id_message));
+                    state.messages = [...messages.filter(msg => !knownIds.has(msg.id_message)), ...state.messages];
+                    renderMessages({ keepScrollPosition: true });
+                    fillMessagesPanel();
+                    jumpToMessage();
+
+                    saveMessagesToDB(messages)
+                        .catch(err => {
+                            console.error("Failed to save the older messages in the IndexedDB:", err);
+                        });
+                }
+                break;
+
             case 'chat.message.broadcast':
                 // Server broadcasts a single new message to participants.
+                updateChatLastMessage(data.payload);
+
+                if (data.payload.id_user === state.currentUser.id) state.outbox.delete(data.payload.client_message_id);
+
                 if (state.currentChat && data.payload.id_chat === state.currentChat.id) {
-                    state.messages.push(data.payload);      // Add it to the current state.
+                    upsertMessage(data.payload);            // Add it to the current state (or confirm our pending copy).
                     renderMessages();                       // Re-render the UI.
+                    markChatAsRead();
 
                     // Si la pestaña no está visible, incrementamos el contador y actualizamos el título.
                     if (document.hidden) {
@@ -233,6 +431,94 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 break;
             
+            case 'chat.message.ack':
+                // The server has projected a message we sent: it's no longer pending and now has its real ID.
+                state.outbox.delete(data.payload.clientMessageId);
+                const pendingMessage = state.messages.find(msg => msg.client_message_id === data.payload.clientMessageId);
+                if (pendingMessage && pendingMessage.pending) {
+                    pendingMessage.id_message = data.payload.id_message;
+                    pendingMessage.pending = false;
+                    renderMessages();
+                }
+                break;
+
+            case 'chat.message.failed':
+                // The server couldn't save a message we sent: nobody received it. It stays in the outbox, but
+                // isn't resent on its own anymore: the user decides whether to retry it.
+                const outboxEntry = state.outbox.get(data.payload.clientMessageId);
+                if (outboxEntry) outboxEntry.failed = true;
+
+                const failedMessage = state.messages.find(msg => msg.client_message_id === data.payload.clientMessageId && msg.pending);
+                if (failedMessage) {
+                    failedMessage.pending = false;
+                    failedMessage.failed = true;
+                    renderMessages();
+                }
+                break;
+
+            case 'presence.snapshot':
+                // Who of our peers is online right now (sent when we connect and when our chats change).
+                data.payload.forEach(({ userId, online, lastSeenAt }) => state.presence.set(userId, { online, lastSeenAt }));
+                renderPresence();
+                break;
+
+            case 'presence.update':
+                // A peer came online or went offline.
+                state.presence.set(data.payload.userId, { online: data.payload.online, lastSeenAt: data.payload.lastSeenAt });
+                renderPresence();
+                break;
+
+            case 'chat.typing':
+                // Another member started or stopped typing in the current chat.
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    state.typingUserIds = state.typingUserIds.filter(userId => userId !== data.payload.userId);
+                    if (data.payload.isTyping) state.typingUserIds.push(data.payload.userId);
+                    renderTypingIndicator();
+                }
+                break;
+
+            case 'chat.receipts':
+                // Sent when we enter a chat: where every member is. From now on we are in the room,
+                // so the messages written while we were offline (or not confirmed before a disconnection) can go out.
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    state.inRoom = true;
+                    state.receipts = data.payload.receipts;
+                    renderMessages();
+                    markChatAsRead();
+                    flushOutbox();
+                    fillMessagesPanel();
+                    jumpToMessage();
+                }
+                break;
+
+            case 'chat.receipt.updated':
+                // Another member received or read messages: update the ticks of ours.
+                if (state.currentChat && state.currentChat.id === data.payload.chatId) {
+                    state.receipts = [...state.receipts.filter(receipt => receipt.userId !== data.payload.userId), data.payload];
+                    renderMessages();
+                }
+                break;
+
+            case 'chat.message.updated':
+                // A message was edited or deleted: replace our copy in place (state, list preview and IndexedDB).
+                const index = state.messages.findIndex(msg => msg.id_message === data.payload.id_message);
+                if (index !== -1) {
+                    state.messages[index] = data.payload;
+                    renderMessages();
+                }
+
+                const chatOfMessage = state.availableChats.find(chat => chat.id === data.payload.id_chat);
+                if (chatOfMessage && chatOfMessage.lastMessage && chatOfMessage.lastMessage.id_message === data.payload.id_message) {
+                    chatOfMessage.lastMessage = data.payload;
+                    if (!ui.chatSelectionPanel.classList.contains('hidden')) renderChatSelection();
+                }
+
+                saveMessagesToDB([data.payload])
+                    .catch(err => {
+                        console.error("Failed to save the updated message in the IndexedDB:", err);
+                    });
+                break;
+
                 case 'chat.session.revoked':
                 // The server rejected the request because the chat is already open in another tab.
                 // This acts as a failsafe in case the BroadcastChannel logic has a race condition.
@@ -256,29 +542,57 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 break;
         }
-    };
+    }
 
     // 2. Handle user interactions (UI Event Listeners)
 
     // Event: User identifies themselves.
-    ui.userSelectionPanel.addEventListener('click', (e) => {
+    ui.userSelectionPanel.addEventListener('click', async (e) => {
         if (e.target.tagName !== 'BUTTON') return;
-        state.currentUser = {
-            id: parseInt(e.target.dataset.userid, 10),
-            name: e.target.dataset.username
-        };
-        sendEventToServer('user.identify', { userId: state.currentUser.id });
+
+        // STEP 1: Log in over HTTP to get a short-lived signed token.
+        const session = await login(e.target.dataset.username);
+        if (!session) return;
+        state.currentUser = session.user;
+
+        // STEP 2: Identify this WebSocket connection with the token (never with a raw userId).
+        sendEventToServer('user.identify', { token: session.token });
         ui.userSelectionPanel.classList.add('hidden');
         renderChatSelection();
         ui.chatSelectionPanel.classList.remove('hidden');
     });
 
     // Event: User selects a chat. 
-    ui.chatListDiv.addEventListener('click', async (e) => {
-        if (e.target.tagName !== 'BUTTON') return;
+    ui.chatListDiv.addEventListener('click', (e) => {
+        const chatButton = e.target.closest('button');
+        if (!chatButton) return;
+        openChat(parseInt(chatButton.dataset.chatid, 10));
+    });
+
+    // Event: User searches the messages of their chats.
+    ui.searchForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const query = ui.searchInput.value.trim();
+        if (query === '') {
+            ui.searchResultsDiv.innerHTML = '';
+            return;
+        }
+        sendEventToServer('chat.search', { query });
+    });
 
-        const selectedChatId = parseInt(e.target.dataset.chatid, 10);
+    // Event: User picks a search result: open its chat and jump to the message.
+    ui.searchResultsDiv.addEventListener('click', (e) => {
+        const resultButton = e.target.closest('button');
+        if (!resultButton) return;
+        state.jumpToMessageId = parseInt(resultButton.dataset.messageid, 10);
+        openChat(parseInt(resultButton.dataset.chatid, 10));
+    });
 
+    /**
+     * Opens a chat: shows the messages we have locally straight away and asks the server for the ones we are missing.
+     * @param {number} selectedChatId - The ID of the chat.
+     */
+    async function openChat(selectedChatId) {
         // Announce that we will take control of this chat to other tabs.
         // We broadcast a "takeover" message containing the chat ID and our unique tab ID.
         console.log(`[Tab ${tabId}] Announcing takeover for chat ${selectedChatId}`);
@@ -292,12 +606,25 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update state with the selected chat details.
         state.currentChat = {
             id: selectedChatId,
-            name: e.target.textContent
+            name: getChatTitle(state.availableChats.find(chat => chat.id === selectedChatId))
         };
 
-        // STEP 1: Load existing messages from the local database.
+        state.receipts = [];
+        state.lastReadSent = 0;
+        state.typingUserIds = [];
+        state.inRoom = false;
+        state.hasOlderMessages = true;
+        state.loadingOlderMessages = false;
+        renderTypingIndicator();
+
+        // STEP 1: Load existing messages from the local database (and the ones of ours still waiting in the outbox).
         state.messages = await getMessagesFromDB(state.currentChat.id);
         console.log(`Loaded ${state.messages.length} messages from local DB for chat ${state.currentChat.id}.`);
+        state.outbox.forEach(({ chatId, messageText, failed }, clientMessageId) => {
+            if (chatId === state.currentChat.id) {
+                state.messages.push({ id_message: null, client_message_id: clientMessageId, id_chat: chatId, id_user: state.currentUser.id, username: state.currentUser.name, message: messageText, pending: !failed, failed });
+            }
+        });
 
         // STEP 2: Render the UI immediately with the local data for a snappy user experience.
         ui.chatSelectionPanel.classList.add('hidden');
@@ -316,6 +643,13 @@ document.addEventListener('DOMContentLoaded', () => {
             chatId: state.currentChat.id,
             lastMessageId: lastMessageId 
         });
+        }
+
+    // Event: User types in the message box. The server relays it to the room (and throttles it too).
+    ui.messageInput.addEventListener('input', () => {
+        if (!state.currentChat || Date.now() - state.lastTypingSent < TYPING_THROTTLE_MS) return;
+        state.lastTypingSent = Date.now();
+        sendEventToServer('chat.typing', {});
     });
 
     // Event: User submits a new message.
@@ -323,20 +657,200 @@ document.addEventListener('DOMContentLoaded', () => {
         e.preventDefault();
         const messageText = ui.messageInput.value.trim();
         if (messageText === '' || !state.currentChat) return;
-        sendEventToServer('chat.message.new', {
-            chatId: state.currentChat.id,
-            messageText: messageText
+
+        // The message is shown right away as pending. Its clientMessageId lets the server ignore resends
+        // and lets us match the ack (or the broadcast) that confirms it.
+        // It stays in the outbox until then: if we are offline, it goes out when we are back in the room.
+        const clientMessageId = crypto.randomUUID();
+        state.outbox.set(clientMessageId, { chatId: state.currentChat.id, messageText, failed: false });
+        state.messages.push({
+            id_message: null,
+            client_message_id: clientMessageId,
+            id_chat: state.currentChat.id,
+            id_user: state.currentUser.id,
+            username: state.currentUser.name,
+            message: messageText,
+            pending: true
         });
+        renderMessages();
+
+        if (state.inRoom) {
+            sendEventToServer('chat.message.new', {
+                chatId: state.currentChat.id,
+                messageText: messageText,
+                clientMessageId
+            });
+        }
         ui.messageInput.value = '';
     });
 
+    // Event: User scrolls to the top of the messages: load the previous page.
+    ui.messagesDiv.addEventListener('scroll', () => {
+        if (ui.messagesDiv.scrollTop === 0) loadOlderMessages();
+    });
+
+    // Event: User edits or deletes one of their messages, or retries one that failed.
+    ui.messagesDiv.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.dataset.action === 'retry') {
+            retryMessage(button.dataset.clientmessageid);
+            return;
+        }
+
+        const messageId = parseInt(button.dataset.messageid, 10);
+
+        if (button.dataset.action === 'edit') {
+            const message = state.messages.find(msg => msg.id_message === messageId);
+            const messageText = prompt('Edit your message:', message.message);
+            if (messageText && messageText.trim() && messageText.trim() !== message.message) {
+                sendEventToServer('chat.message.edit', { messageId, messageText: messageText.trim() });
+            }
+        } else if (button.dataset.action === 'delete' && confirm('Delete this message?')) {
+            sendEventToServer('chat.message.delete', { messageId });
+        }
+    });
+
+    // Event: User creates a group with the checked users.
+    ui.newGroupForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = ui.newGroupNameInput.value.trim();
+        const memberIds = [...ui.newGroupMembersDiv.querySelectorAll('input:checked')].map(input => parseInt(input.value, 10));
+        if (name === '' || memberIds.length === 0) return;
+
+        // The new chat shows up when the server pushes the refreshed 'chat.list'.
+        sendEventToServer('chat.create', { name, memberIds });
+        ui.newGroupForm.reset();
+    });
+
+    // Event: User adds a member to the current group, removes one or leaves the group.
+    ui.chatMembersDiv.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button || !state.currentChat) return;
+
+        if (button.dataset.action === 'add') {
+            const userId = parseInt(ui.chatMembersDiv.querySelector('select').value, 10);
+            if (userId) sendEventToServer('chat.member.add', { chatId: state.currentChat.id, userId });
+        } else if (button.dataset.action === 'remove') {
+            sendEventToServer('chat.member.remove', { chatId: state.currentChat.id, userId: parseInt(button.dataset.userid, 10) });
+        }
+    });
+
+    /**
+     * Adds a message from the server to the current chat, replacing our own copy of it if we already have one
+     * (same id_message, or the pending copy with the same clientMessageId).
+     * @param {object} message - A message of the current chat.
+     */
+    function upsertMessage(message) {
+        const index = state.messages.findIndex(msg =>
+            msg.id_message === message.id_message ||
+            (message.client_message_id && msg.client_message_id === message.client_message_id && msg.id_user === message.id_user));
+        if (index === -1) state.messages.push(message);
+        else state.messages[index] = message;
+    }
+
+    /**
+     * Sends again a message the server couldn't save. It keeps its clientMessageId, so if it was saved after all,
+     * the server ignores the retry and just acknowledges it.
+     * @param {string} clientMessageId - The ID we gave to the message.
+     */
+    function retryMessage(clientMessageId) {
+        const outboxEntry = state.outbox.get(clientMessageId);
+        const message = state.messages.find(msg => msg.client_message_id === clientMessageId && msg.failed);
+        if (!outboxEntry || !message) return;
+
+        outboxEntry.failed = false;
+        message.failed = false;
+        message.pending = true;
+        renderMessages();
+
+        if (state.inRoom) sendEventToServer('chat.message.new', { chatId: outboxEntry.chatId, messageText: outboxEntry.messageText, clientMessageId });
+    }
+
+    /**
+     * Asks the server for the page of messages before the oldest one of the current chat,
+     * unless we already know there are none or a request is already on its way.
+     */
+    function loadOlderMessages() {
+        const oldestMessage = state.messages.find(msg => msg.id_message !== null);
+        if (!state.inRoom || !state.hasOlderMessages || state.loadingOlderMessages || !oldestMessage) return;
+
+        state.loadingOlderMessages = true;
+        sendEventToServer('chat.history.before', { beforeMessageId: oldestMessage.id_message });
+    }
+
+    /**
+     * Scrolls to the message picked in the search results and highlights it. If it isn't loaded yet,
+     * asks for the previous page (this function runs again when each page arrives, until it shows up).
+     */
+    function jumpToMessage() {
+        // Wait until we are in the room: the first page of history would scroll the panel back to the bottom.
+        if (!state.jumpToMessageId || !state.inRoom) return;
+
+        const messageElement = ui.messagesDiv.querySelector(`.message[data-messageid="${state.jumpToMessageId}"]`);
+        if (!messageElement) {
+            if (state.hasOlderMessages) loadOlderMessages();
+            else state.jumpToMessageId = null; // Not in the chat anymore (e.g., the chat history was rebuilt).
+            return;
+        }
+
+        state.jumpToMessageId = null;
+        messageElement.scrollIntoView({ block: 'center' });
+        messageElement.classList.add('highlighted');
+        setTimeout(() => messageElement.classList.remove('highlighted'), 3000);
+    }
+
+    /**
+     * Loads older pages while the messages don't fill the panel (with no scrollbar, the user can't scroll up to ask for them).
+     */
+    function fillMessagesPanel() {
+        if (ui.messagesDiv.scrollHeight <= ui.messagesDiv.clientHeight) loadOlderMessages();
+    }
+
+    /**
+     * Tells the server we've read the current chat up to the last message of the other members.
+     * Only while the tab is visible, and only if there's something new since the last time.
+     */
+    function markChatAsRead() {
+        const receivedMessages = state.messages.filter(msg => msg.id_user !== state.currentUser.id);
+        if (!state.currentChat || document.hidden || receivedMessages.length === 0) return;
+
+        const lastMessageId = Math.max(...receivedMessages.map(msg => msg.id_message));
+        if (lastMessageId <= state.lastReadSent) return;
+
+        state.lastReadSent = lastMessageId;
+        sendEventToServer('chat.message.read', { messageId: lastMessageId });
+    }
+
+    /**
+     * Logs in as the given user and retrieves a signed token for the WebSocket connection.
+     * @param {string} username - The user to log in as.
+     * @returns {Promise<{token: string, expiresAt: string, user: {id: number, name: string}}|null>} The session, or null if the login failed.
+     */
+    async function login(username) {
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username })
+            });
+            if (!response.ok) throw new Error((await response.json()).error);
+            return await response.json();
+        } catch (error) {
+            console.error('Login failed:', error);
+            alert(`Login failed: ${error.message}`);
+            return null;
+        }
+    }
+
     /**
      * Helper function to send standardized JSON events to the WebSocket server.
      * @param {string} type - The event type (e.g., 'user.identify').
      * @param {object} payload - The data associated with the event.
      */
     function sendEventToServer(type, payload) {
-        if (ws.readyState === WebSocket.OPEN) {
+        if (ws && ws.readyState === WebSocket.OPEN) {
             ws.send(JSON.stringify({ type, payload }));
         } else {
             console.error('Failed to send event: WebSocket is not open.');
@@ -349,62 +863,331 @@ document.addEventListener('DOMContentLoaded', () => {
     // NOTE: These functions remain unchanged, as they only read from `state`.
     // The magic happens in how the `state` is now populated from both local DB and server.
 
+    /**
+     * Shows (or hides, with an empty text) the banner with the state of the connection.
+     * @param {string} text - e.g., 'Connection lost. Reconnecting in 4s…'.
+     */
+    function renderConnectionStatus(text) {
+        ui.connectionStatus.textContent = text;
+        ui.connectionStatus.classList.toggle('hidden', text === '');
+    }
+
+    /**
+     * Renders the login screen from the user directory of the server.
+     * @param {Array<{id: number, name: string}>} users - The registered users.
+     */
+    function renderUserSelection(users) {
+        state.users = users;
+        ui.userListDiv.innerHTML = '';
+        users.forEach(user => {
+            const button = document.createElement('button');
+            button.textContent = `I am ${user.name}`;
+            button.dataset.userid = user.id;
+            button.dataset.username = user.name;
+            ui.userListDiv.appendChild(button);
+        });
+    }
+
+    /**
+     * Builds the title of a chat: the name of a group, or the other participant of a one-to-one chat (e.g., "Chat with Pepe").
+     * @param {object} chat - A chat from `state.availableChats`.
+     * @returns {string} The title of the chat.
+     */
+    function getChatTitle(chat) {
+        if (!chat) return '';
+        if (chat.isGroup) return chat.name;
+        const otherParticipants = chat.participants.filter(p => p.id !== state.currentUser.id);
+        return `Chat with ${otherParticipants.map(p => p.name).join(', ') || 'Unknown'}`;
+    }
+
+    /**
+     * Keeps the last message of a chat up to date, so the chat list reflects new messages.
+     * @param {object} message - A message broadcast by the server.
+     */
+    function updateChatLastMessage(message) {
+        const chat = state.availableChats.find(c => c.id === message.id_chat);
+        if (!chat) return;
+        chat.lastMessage = message;
+        // The most recently active chat goes first.
+        state.availableChats = [chat, ...state.availableChats.filter(c => c !== chat)];
+        if (!ui.chatSelectionPanel.classList.contains('hidden')) renderChatSelection();
+    }
+
     /**
      * Renders the list of available chats for the currently logged-in user.
      */
     function renderChatSelection() {
         ui.chatSelectionTitle.textContent = `Welcome, ${state.currentUser.name}. Select a chat:`;
+        renderNewGroupMembers();
         ui.chatListDiv.innerHTML = '';
-        const userChats = state.availableChats.filter(chat => chat.participants.includes(state.currentUser.id));
-        if (userChats.length === 0) {
+        if (state.availableChats.length === 0) {
             ui.chatListDiv.textContent = 'No available chats.';
             return;
         }
-        const userNames = { 1: 'Manolo', 2: 'Pepe', 3: 'Luisa' };
-        userChats.forEach(chat => {
-            const otherParticipantId = chat.participants.find(p => p !== state.currentUser.id);
-            const otherParticipantName = userNames[otherParticipantId] || 'Unknown';
+        state.availableChats.forEach(chat => {
             const button = document.createElement('button');
-            button.textContent = `Chat with ${otherParticipantName}`;
             button.dataset.chatid = chat.id;
+
+            const title = document.createElement('div');
+            title.textContent = getChatTitle(chat);
+            const presence = getChatPresence(chat);
+            if (presence.online) {
+                const status = document.createElement('span');
+                status.classList.add('presence-online');
+                status.textContent = ` ● ${presence.text}`;
+                title.appendChild(status);
+            }
+            button.appendChild(title);
+
+            if (chat.lastMessage) {
+                const preview = document.createElement('small');
+                const previewText = chat.lastMessage.deleted_at ? 'Message deleted' : chat.lastMessage.message;
+                preview.textContent = `${previewText} · ${formatTimestamp(chat.lastMessage.created_at)}`;
+                button.appendChild(preview);
+            }
             ui.chatListDiv.appendChild(button);
         });
     }
 
+    /**
+     * Renders the results of a message search. Each one opens its chat at the matching message.
+     * @param {Array<object>} results - The matching messages; their `snippet` is HTML escaped by the server, with the matches in <mark>.
+     */
+    function renderSearchResults(results) {
+        ui.searchResultsDiv.innerHTML = '';
+        if (results.length === 0) {
+            ui.searchResultsDiv.textContent = 'No messages found.';
+            return;
+        }
+        results.forEach(result => {
+            const button = document.createElement('button');
+            button.dataset.chatid = result.id_chat;
+            button.dataset.messageid = result.id_message;
+
+            const header = document.createElement('small');
+            header.textContent = `${getChatTitle(state.availableChats.find(chat => chat.id === result.id_chat))} · ${result.username} · ${formatTimestamp(result.created_at)}`;
+            const snippet = document.createElement('div');
+            snippet.innerHTML = result.snippet;
+
+            button.append(header, snippet);
+            ui.searchResultsDiv.appendChild(button);
+        });
+    }
+
+    /**
+     * Renders the checkboxes to pick the members of a new group (everybody but the current user).
+     */
+    function renderNewGroupMembers() {
+        ui.newGroupMembersDiv.innerHTML = '';
+        state.users.filter(user => user.id !== state.currentUser.id).forEach(user => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = user.id;
+            label.append(checkbox, ` ${user.name}`);
+            ui.newGroupMembersDiv.appendChild(label);
+        });
+    }
+
+    /**
+     * Formats a server timestamp (SQLite DATETIME, UTC) in the user's local time.
+     * @param {string} timestamp - e.g., '2025-11-20 14:13:40'.
+     * @returns {string} The formatted date.
+     */
+    function formatTimestamp(timestamp) {
+        return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString();
+    }
+
     /**
      * Sets the title of the chat panel to reflect the current conversation participants.
      */
     function renderChatPanel() {
         const chatInfo = state.availableChats.find(chat => chat.id === state.currentChat.id);
         if (!chatInfo) return;
-        const otherParticipantId = chatInfo.participants.find(p => p !== state.currentUser.id);
-        const userNames = { 1: 'Manolo', 2: 'Pepe', 3: 'Luisa' };
-        const otherParticipantName = userNames[otherParticipantId] || 'Unknown';
-        ui.chatTitle.textContent = `Chat with ${otherParticipantName}`;
+        ui.chatTitle.textContent = getChatTitle(chatInfo);
+        renderPresence();
+        renderChatMembers();
         renderMessages();
     }
 
+    /**
+     * Renders the members of the current group with its management controls:
+     * the creator can remove members, everybody can add users and leave the group.
+     */
+    function renderChatMembers() {
+        const chatInfo = state.availableChats.find(chat => chat.id === state.currentChat.id);
+        ui.chatMembersDiv.innerHTML = '';
+        if (!chatInfo || !chatInfo.isGroup) return;
+
+        const isCreator = chatInfo.createdBy === state.currentUser.id;
+        chatInfo.participants.forEach(member => {
+            const chip = document.createElement('span');
+            chip.classList.add('member');
+            chip.textContent = member.id === state.currentUser.id ? `${member.name} (you)` : member.name;
+
+            if (member.id === state.currentUser.id || isCreator) {
+                const removeButton = document.createElement('button');
+                removeButton.textContent = member.id === state.currentUser.id ? 'Leave' : '×';
+                removeButton.dataset.action = 'remove';
+                removeButton.dataset.userid = member.id;
+                chip.appendChild(removeButton);
+            }
+            ui.chatMembersDiv.appendChild(chip);
+        });
+
+        const candidates = state.users.filter(user => !chatInfo.participants.some(member => member.id === user.id));
+        if (candidates.length > 0) {
+            const select = document.createElement('select');
+            candidates.forEach(user => select.add(new Option(user.name, user.id)));
+            const addButton = document.createElement('button');
+            addButton.textContent = 'Add member';
+            addButton.dataset.action = 'add';
+            ui.chatMembersDiv.append(select, addButton);
+        }
+    }
+
     /**
      * Renders the complete list of messages to the screen based on the current state.
+     * @param {object} [options]
+     * @param {boolean} [options.keepScrollPosition=false] - Keep the messages on screen in place (older ones were added above)
+     * instead of scrolling to the newest one.
      */
-    function renderMessages() {
+    function renderMessages({ keepScrollPosition = false } = {}) {
         if (!state.currentUser) return;
+        const previousScrollHeight = ui.messagesDiv.scrollHeight;
         ui.messagesDiv.innerHTML = '';
         state.messages.forEach(msg => {
             const messageWrapper = document.createElement('div');
             messageWrapper.classList.add('message');
             messageWrapper.classList.add(msg.id_user === state.currentUser.id ? 'me' : 'other');
+            if (msg.id_message) messageWrapper.dataset.messageid = msg.id_message;
+            if (msg.pending) messageWrapper.classList.add('pending');
+            if (msg.failed) messageWrapper.classList.add('failed');
+
+            // A deleted message is a tombstone: its text is gone but its place in the conversation stays.
+            if (msg.deleted_at) {
+                messageWrapper.classList.add('deleted');
+                messageWrapper.innerHTML = `
+                    <div class="message-bubble">
+                        <div class="username">${msg.username}</div>
+                        <div class="text">This message was deleted</div>
+                    </div>`;
+                ui.messagesDiv.appendChild(messageWrapper);
+                return;
+            }
+
             messageWrapper.innerHTML = `
                 <div class="message-bubble">
                     <div class="username">${msg.username}</div>
                     <div class="text">${msg.message}</div>
+                    ${msg.edited_at ? '<div class="edited">(edited)</div>' : ''}
                 </div>`;
+
+            // Only the author can correct a message, and only the author sees its receipts.
+            if (msg.id_user === state.currentUser.id) {
+                const status = msg.failed ? 'failed' : msg.pending ? 'pending' : getReceiptStatus(msg);
+                const receipt = document.createElement('div');
+                receipt.classList.add('receipt', status);
+                receipt.title = status;
+                receipt.textContent = { failed: '⚠️', pending: '🕓', sent: '✓' }[status] || '✓✓';
+                messageWrapper.querySelector('.message-bubble').appendChild(receipt);
+            }
+
+            if (msg.failed) {
+                const actions = document.createElement('div');
+                actions.classList.add('message-actions');
+                actions.innerHTML = `<button data-action="retry" data-clientmessageid="${msg.client_message_id}">Not sent. Retry</button>`;
+                messageWrapper.appendChild(actions);
+            }
+
+            // A pending (or failed) message can't be corrected until the server gives it an ID.
+            if (msg.id_user === state.currentUser.id && msg.id_message) {
+                const actions = document.createElement('div');
+                actions.classList.add('message-actions');
+                actions.innerHTML = `
+                    <button data-action="edit" data-messageid="${msg.id_message}">Edit</button>
+                    <button data-action="delete" data-messageid="${msg.id_message}">Delete</button>`;
+                messageWrapper.appendChild(actions);
+            }
             ui.messagesDiv.appendChild(messageWrapper);
         });
-        ui.messagesDiv.scrollTop = ui.messagesDiv.scrollHeight;
+        ui.messagesDiv.scrollTop = keepScrollPosition
+            ? ui.messagesDiv.scrollHeight - previousScrollHeight
+            : ui.messagesDiv.scrollHeight;
+    }
+
+    /**
+     * Describes the presence of the other members of a chat: "online" / "last seen ..." for a one-to-one chat,
+     * the online members of a group.
+     * @param {object} chat - A chat from `state.availableChats`.
+     * @returns {{online: boolean, text: string}}
+     */
+    function getChatPresence(chat) {
+        const others = chat.participants.filter(p => p.id !== state.currentUser.id);
+        const onlineMembers = others.filter(p => state.presence.get(p.id)?.online);
+
+        if (chat.isGroup) {
+            return { online: onlineMembers.length > 0, text: onlineMembers.length > 0 ? `${onlineMembers.map(p => p.name).join(', ')} online` : '' };
+        }
+        if (onlineMembers.length > 0) return { online: true, text: 'online' };
+
+        const lastSeenAt = others.length > 0 && state.presence.get(others[0].id)?.lastSeenAt;
+        return { online: false, text: lastSeenAt ? `last seen ${new Date(lastSeenAt).toLocaleString()}` : '' };
+    }
+
+    /**
+     * Refreshes the presence shown in the chat list and in the header of the current chat.
+     */
+    function renderPresence() {
+        if (!state.currentUser) return;
+        if (!ui.chatSelectionPanel.classList.contains('hidden')) renderChatSelection();
+
+        const chatInfo = state.currentChat && state.availableChats.find(chat => chat.id === state.currentChat.id);
+        if (!chatInfo) return;
+        const presence = getChatPresence(chatInfo);
+        ui.chatPresence.textContent = presence.text;
+        ui.chatPresence.classList.toggle('presence-online', presence.online);
+    }
+
+    /**
+     * Shows who is typing in the current chat.
+     */
+    function renderTypingIndicator() {
+        const chatInfo = state.currentChat && state.availableChats.find(chat => chat.id === state.currentChat.id);
+        const names = state.typingUserIds.map(userId => {
+            const member = chatInfo && chatInfo.participants.find(p => p.id === userId);
+            return member ? member.name : 'Someone';
+        });
+        ui.typingIndicator.textContent = names.length === 0 ? ''
+            : `${names.join(', ')} ${names.length === 1 ? 'is' : 'are'} typing…`;
+    }
+
+    /**
+     * Works out the receipt of one of our messages from the read positions of the other members:
+     * 'read' once all of them have read it, 'delivered' once it has reached all of them, 'sent' otherwise.
+     * @param {object} msg - A message of the current user.
+     * @returns {'sent'|'delivered'|'read'}
+     */
+    function getReceiptStatus(msg) {
+        const chatInfo = state.availableChats.find(chat => chat.id === state.currentChat.id);
+        const otherMembers = chatInfo ? chatInfo.participants.filter(p => p.id !== state.currentUser.id) : [];
+        if (otherMembers.length === 0) return 'sent';
+
+        const positions = otherMembers.map(member => state.receipts.find(receipt => receipt.userId === member.id) || { lastDeliveredId: 0, lastReadId: 0 });
+        if (positions.every(position => position.lastReadId >= msg.id_message)) return 'read';
+        if (positions.every(position => position.lastDeliveredId >= msg.id_message)) return 'delivered';
+        return 'sent';
     }
 
     // --- APPLICATION INITIALIZATION ---
+    connect();
+
+    // Load the user directory for the login screen.
+    fetch('/api/users')
+        .then(response => response.json())
+        .then(renderUserSelection)
+        .catch(err => console.error("Could not load the user directory:", err));
+
     // Initialize the local database as soon as the DOM is ready.
     initDB().catch(err => {
         console.error("Critical: Could not initialize local database. Chat history will not be saved.", err);
@@ -0,0 +1,34 @@
+// rebuild-read-model.js - Rebuilds the `messages` read model by replaying the Event Store.
+//
+// Usage:
+//   node rebuild-read-model.js [batchSize]
+//
+// Every 'incoming-message' stored in `event_log` is projected again, in logId order, into a
+// shadow table that atomically replaces `messages` when the replay is done.
+const db = require('./database.js');
+const eventBus = require('./event-bus.js');
+const PersistenceService = require('./persistence-service.js');
+const LoggingService = require('./logging-service.js');
+
+// The projector logs through the bus: without the LoggingService, its messages would go nowhere.
+new LoggingService({
+    level: process.env.KAFKY_LOG_LEVEL || 'info',
+    ...(process.env.KAFKY_LOG_FILE && { filePath: process.env.KAFKY_LOG_FILE })
+}).listen();
+
+const batchSize = parseInt(process.argv[2], 10) || 500;
+const persistenceService = new PersistenceService(db);
+
+persistenceService.rebuildReadModel({
+    batchSize,
+    onProgress: ({ processed, total, lastLogId }) => {
+        const percentage = total > 0 ? Math.round((processed / total) * 100) : 100;
+        console.log(`-> ${processed}/${total} events replayed (${percentage}%), last logId: ${lastLogId}`);
+    }
+})
+    .then(({ processed }) => console.log(`\nDone! 'messages' rebuilt from ${processed} events.`))
+    .catch((error) => {
+        console.error('Rebuild failed. The current read model was left untouched.', error);
+        process.exitCode = 1;
+    })
+    .finally(() => eventBus.close()); // Releases the connection to the event broker, if the bus spans several processes.
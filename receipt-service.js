@@ -0,0 +1,76 @@
+// receipt-service.js - Turns what the Dispatcher delivered into 'message-delivered' events.
+const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
+const DomainEvent = require('./domain-event.js');
+const log = createLogger('ReceiptService');
+
+/**
+ * Tracks which messages have reached each member of a chat.
+ * It listens to the outcome of the Dispatcher ('message-dispatched' for live messages,
+ * 'user-in-room' for the history sent when a chat is opened) and records a 'message-delivered'
+ * event whenever a user's delivery position in a chat moves forward.
+ *
+ * The read side ('message-read') comes straight from the client, through the Gateway.
+ * Both are projected by the PersistenceService into `chat_read_positions`.
+ */
+class ReceiptService {
+    /**
+     * @param {object} database - The database module/client for data operations.
+     */
+    constructor(database) {
+        this.db = database;
+        log.info('Receipt service initialized.');
+    }
+
+    /**
+     * Subscribes the service to the Dispatcher events.
+     */
+    listen() {
+        // EAGER SUSCRIPTION: the Dispatcher has just written the message to the sockets of the room.
+        eventBus.on('message-dispatched', async (dispatchedEvent) => {
+            const { payload: { dispatchedMessage, targetChatId, recipientIds } } = dispatchedEvent;
+
+            // The author doesn't need a receipt for their own message.
+            const recipients = recipientIds.filter(userId => userId !== dispatchedMessage.id_user);
+            for (const userId of recipients) {
+                await this.recordDelivery(dispatchedEvent, targetChatId, userId, dispatchedMessage.id_message);
+            }
+        });
+
+        // EAGER SUSCRIPTION: the user opened the chat and has every message up to `lastMessageId`.
+        eventBus.on('user-in-room', async (userInRoomEvent) => {
+            const { payload: { chatId, userId, lastMessageId } } = userInRoomEvent;
+            if (lastMessageId > 0) await this.recordDelivery(userInRoomEvent, chatId, userId, lastMessageId);
+        });
+    }
+
+    /**
+     * Publishes a 'message-delivered' event, unless the user had already received that message.
+     * @param {DomainEvent} causeEvent - The Dispatcher event that delivered the message.
+     * @param {number} chatId - The ID of the chat.
+     * @param {number} userId - The ID of the recipient.
+     * @param {number} messageId - The ID of the last message delivered to the recipient.
+     */
+    async recordDelivery(causeEvent, chatId, userId, messageId) {
+        try {
+            const position = await this.db.getReadPosition(chatId, userId);
+            if (messageId <= position.last_delivered_id) return;
+
+            const deliveredEvent = new DomainEvent(
+                'message-delivered',
+                { chatId, userId, messageId },
+                {
+                    correlationId: causeEvent.metadata.correlationId,
+                    causationId: causeEvent.eventId,
+                    partitionKey: chatId
+                }
+            );
+
+            eventBus.emit(deliveredEvent);
+        } catch (error) {
+            log.error(`Failed to record the delivery of message ${messageId} to user ${userId}.`, { error });
+        }
+    }
+}
+
+module.exports = ReceiptService;
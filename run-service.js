@@ -0,0 +1,46 @@
+// run-service.js - Runs one of the Kafky services in its own Node process.
+//
+// Usage:
+//   KAFKY_BUS_TRANSPORT=socket KAFKY_BUS_SECRET=<secret of the broker> node run-service.js <persistence|dispatcher>
+//
+// The process joins the bus through the event broker (`node event-broker.js`), so it receives the eager and
+// the "-KAFKED" events of the Gateway and the other services, and the events it publishes reach them too.
+// Start the Gateway with KAFKY_REMOTE_SERVICES listing the services running on their own.
+const path = require('path');
+
+const serviceName = process.argv[2];
+
+// Every service is created here, with its dependencies, and returns the promise (if any) of its startup.
+const SERVICES = {
+    persistence: () => {
+        const PersistenceService = require('./persistence-service.js');
+        return new PersistenceService(require('./database.js')).listen();
+    },
+    dispatcher: () => {
+        const ChatDispatcher = require('./dispatcher.js');
+        new ChatDispatcher().listen();
+    }
+};
+
+if (!SERVICES[serviceName]) {
+    console.error(`Usage: node run-service.js <${Object.keys(SERVICES).join('|')}>`);
+    process.exit(1);
+}
+if (process.env.KAFKY_BUS_TRANSPORT !== 'socket') {
+    console.error('A service can only run on its own with a transport that spans several processes: set KAFKY_BUS_TRANSPORT=socket.');
+    process.exit(1);
+}
+
+require('./event-bus.js');
+
+// Each process writes its own logs: log events don't leave the process (see `bus-transport.js`).
+const LoggingService = require('./logging-service.js');
+new LoggingService({
+    level: process.env.KAFKY_LOG_LEVEL || 'info',
+    filePath: process.env.KAFKY_LOG_FILE || path.join(__dirname, 'logs', `${serviceName}.log`)
+}).listen();
+
+Promise.resolve(SERVICES[serviceName]()).catch((error) => {
+    console.error(`The '${serviceName}' service failed to start.`, error);
+    process.exit(1);
+});
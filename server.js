@@ -3,16 +3,29 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const crypto = require('crypto');
 
 // --- Internal Application Modules ---
 const db = require('./database.js');
 
 const eventBus = require('./event-bus.js'); //it's global for all the services. The must use "eventBus" to interact with it and do not declare variables with this name.
 
+// The LoggingService starts first, so it doesn't miss the log events of the services below.
+const LoggingService = require('./logging-service.js');
+const loggingService = new LoggingService({
+    level: process.env.KAFKY_LOG_LEVEL || 'info',
+    ...(process.env.KAFKY_LOG_FILE && { filePath: process.env.KAFKY_LOG_FILE })
+});
+loggingService.listen();
+const { createLogger } = require('./logger.js');
+const log = createLogger('Gateway');
+const metrics = require('./metrics.js');
+
 // --- Server Setup ---
 const app = express();
 // Serve static frontend files from the 'public' directory.
 app.use(express.static(path.join(__dirname, 'public')));
+app.use(express.json());
 
 // Create the HTTP server and attach the WebSocket server to it.
 const server = http.createServer(app);
@@ -24,11 +37,27 @@ const DomainEvent = require('./domain-event.js');
 
 // --- Real-time Core Logic ---
 
+// Server-side throttling of the typing indicator: at most one 'user-typing' event per socket in this window.
+// The Dispatcher keeps the indicator alive for a few seconds after each one (see TYPING_EXPIRY_MS).
+const TYPING_THROTTLE_MS = 2000;
+
+// Heartbeat: every socket is pinged once per interval. One that hasn't answered the previous ping
+// (a half-open connection: closed laptop lid, dropped network...) is terminated, which runs its 'close' handler.
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.KAFKY_HEARTBEAT_MS, 10) || 30000;
+
 // Manages all active WebSocket connections, mapping a userId to an array of their sockets.
 // This architecture supports multiple connections per user (e.g., from different browser tabs).
 // Type: Map<userId, WebSocket[]>
 const clients = new Map();
 
+// The commands the Gateway understands. Anything else is counted as 'unknown' in the metrics,
+// so a client can't create new metric labels at will.
+const WS_COMMANDS = new Set([
+    'user.identify', 'chat.list', 'chat.search', 'chat.history.before', 'chat.select', 'chat.create',
+    'chat.member.add', 'chat.member.remove', 'chat.message.new', 'chat.typing', 'chat.message.read',
+    'chat.message.edit', 'chat.message.delete'
+]);
+
 // Import the service class and create a single instance injecting its dependencies
 // the chatRooms and the users
 const ChatDispatcher = require('./dispatcher.js');
@@ -37,28 +66,297 @@ const dispatcher = new ChatDispatcher();
 const PersistenceService = require('./persistence-service.js');
 const persistenceService = new PersistenceService(db);
 
+const ReceiptService = require('./receipt-service.js');
+const receiptService = new ReceiptService(db);
+
+const PresenceService = require('./presence-service.js');
+const presenceService = new PresenceService(db);
+
+const MessageFailureSaga = require('./message-failure-saga.js');
+const messageFailureSaga = new MessageFailureSaga(db, clients);
+
+const TraceService = require('./trace-service.js');
+const traceService = new TraceService(db);
+
+const WebSocketAuthService = require('./websocket-auth-service.js');
+const authService = new WebSocketAuthService({ secret: process.env.KAFKY_AUTH_SECRET });
+
 // --- Application Wiring ---
 // Initialize services that listen to the event bus.
-dispatcher.listen();
-persistenceService.listen();
+// With a transport that spans several processes (KAFKY_BUS_TRANSPORT=socket), the Projector and the Dispatcher
+// can run in their own processes instead (see `run-service.js`): list them in KAFKY_REMOTE_SERVICES
+// (e.g., KAFKY_REMOTE_SERVICES=persistence,dispatcher) so the Gateway doesn't start them too.
+const remoteServices = (process.env.KAFKY_REMOTE_SERVICES || '').split(',').map(name => name.trim()).filter(Boolean);
+
+if (!remoteServices.includes('dispatcher')) dispatcher.listen();
+authService.listen();
+receiptService.listen();
+presenceService.listen();
+messageFailureSaga.listen();
+if (!remoteServices.includes('persistence')) {
+    persistenceService.listen()
+        .catch(error => log.error('CRITICAL: The projector could not catch up with the Event Store.', { error }));
+}
+
+// In a cluster (KAFKY_CLUSTER=true), several nodes like this one share the Event Store:
+// the events published by the other nodes reach the services of this one through the ClusterRelay.
+if (eventBus.clusterPollIntervalMs) {
+    const ClusterRelay = require('./cluster-relay.js');
+    new ClusterRelay(db, { pollIntervalMs: eventBus.clusterPollIntervalMs }).listen()
+        .catch(error => log.error('The cluster relay could not start.', { error }));
+}
+
+// --- Metrics ---
+// Counters of the WebSocket traffic. The bus registers its own metrics (see `event-bus.js`).
+const wsFramesIn = metrics.counter('kafky_websocket_frames_received_total', 'WebSocket frames received from the clients, by command type.', ['type']);
+const wsFramesOut = metrics.counter('kafky_websocket_frames_sent_total', 'WebSocket frames sent to the clients, by message type.', ['type']);
+
+// Gauges, read from the live state of the Gateway and the Dispatcher on every scrape.
+metrics.gauge('kafky_websocket_connections', 'Authenticated WebSocket connections.',
+    () => [...clients.values()].reduce((total, sockets) => total + sockets.length, 0));
+if (!remoteServices.includes('dispatcher')) { // The rooms of a remote Dispatcher live in its own process.
+    metrics.gauge('kafky_chat_rooms', 'Chat rooms with at least one member in the Dispatcher.', () => dispatcher.chatRooms.size);
+    metrics.gauge('kafky_chat_room_members', 'Sockets subscribed to each chat room.',
+        () => [...dispatcher.chatRooms].map(([chatId, room]) => ({ labels: { chatId }, value: room.size })), ['chatId']);
+}
+
+// --- Auth Routes ---
+// Login over HTTP(S): returns a short-lived signed token that the client sends in 'user.identify'.
+// This prototype has no credentials yet: picking a user is enough to log in as them. That login is a development
+// tool, so it's off unless KAFKY_DEV_LOGIN=true; otherwise no token is ever issued.
+const DEV_LOGIN_ENABLED = process.env.KAFKY_DEV_LOGIN === 'true';
+
+app.post('/api/login', async (req, res) => {
+    if (!DEV_LOGIN_ENABLED) return res.status(403).json({ error: 'Login is disabled: this server has no credentials yet. Start it with KAFKY_DEV_LOGIN=true to log in as any user (development only).' });
+
+    const username = req.body && req.body.username;
+    if (typeof username !== 'string') return res.status(400).json({ error: 'A username is required.' });
+
+    const user = await db.getUserByUsername(username);
+    if (!user) return res.status(401).json({ error: 'Unknown user.' });
+
+    const { token, expiresAt } = authService.issueToken(user);
+    res.json({ token, expiresAt, user: { id: user.id_user, name: user.username } });
+});
 
-// ARCHITECTURAL TO-DO - Centralized Logging:
-// Currently, logging is performed via direct `console.log` calls scattered across services.
-// A more robust approach would be to implement a dedicated, event-driven LoggingService:
-//
-// 1. Define structured log events (e.g., 'log:info', 'log:warn', 'log:error') with a consistent
-//    payload structure: `{ service: 'Dispatcher', message: 'User connected', details: {...} }`.
-// 2. Instead of `console.log`, services would emit these events to the eventBus:
-//    `eventBus.emit('log:info', { service: 'Gateway', message: `Event '${data.type}' received` });`
-// 3. Create a `logging-service.js` that subscribes to all `log:*` events.
-// 4. This service would be the single source of truth for log formatting and output
-//    (e.g., writing to the console, a JSON log file, or an external logging provider).
-//
+// User directory, used by the login screen.
+app.get('/api/users', async (req, res) => {
+    const users = await db.getUsers();
+    res.json(users.map(user => ({ id: user.id_user, name: user.username })));
+});
 
+/**
+ * Express middleware for the routes of the logged in user: the token of /api/login must come as a Bearer token.
+ * The ID of the user is left in `req.userId`.
+ */
+function requireUser(req, res, next) {
+    try {
+        req.userId = authService.verify((req.get('Authorization') || '').replace(/^Bearer /, '')).sub;
+    } catch (error) {
+        return res.status(401).json({ error: error.message });
+    }
+    next();
+}
+
+// Message search in the chats of the logged in user.
+// e.g., GET /api/search?q=hola&chatId=1
+app.get('/api/search', requireUser, async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+    const chatId = req.query.chatId ? Number(req.query.chatId) : null;
+    const results = await db.searchMessages(req.userId, query, { chatId, limit: Number(req.query.limit) || undefined });
+    res.json({ query, results });
+});
+
+/**
+ * Express middleware for the admin routes. With KAFKY_ADMIN_TOKEN set, the request must carry it as a Bearer token;
+ * without it, only requests from this same machine (the loopback interface) are accepted.
+ */
+function requireAdmin(req, res, next) {
+    const adminToken = process.env.KAFKY_ADMIN_TOKEN;
+    if (!adminToken) {
+        if (['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress)) return next();
+        return res.status(403).json({ error: 'Admin routes are only reachable from localhost unless KAFKY_ADMIN_TOKEN is set.' });
+    }
+
+    const expected = Buffer.from(adminToken);
+    const received = Buffer.from((req.get('Authorization') || '').replace(/^Bearer /, ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return res.status(401).json({ error: 'Invalid admin token.' });
+    }
+    next();
+}
+
+// --- Admin Routes: Dead-Letter Queue ---
+// Events that couldn't be persisted in the Event Store end up in the Dead-Letter Queue.
+// These routes let an engineer list, inspect and replay them (see `dead-letter-admin.js` for the CLI).
+// Replaying re-injects events into the bus, so they are admin only (see requireAdmin).
+app.use('/admin', requireAdmin);
+
+app.get('/admin/dead-letters', async (req, res) => {
+    const deadLetters = await db.getDeadLetters(req.query.status);
+    res.json(deadLetters);
+});
 
+app.get('/admin/dead-letters/:id', async (req, res) => {
+    const deadLetter = await db.getDeadLetterById(Number(req.params.id));
+    if (!deadLetter) return res.status(404).json({ error: 'Dead-letter entry not found.' });
+    res.json(deadLetter);
+});
+
+app.post('/admin/dead-letters/:id/replay', async (req, res) => {
+    // The event goes through the normal emit path, so the live services receive it as usual.
+    const result = await eventBus.replayDeadLetter(Number(req.params.id));
+    if (!result.deadLetter) return res.status(404).json({ error: 'Dead-letter entry not found.' });
+    res.status(result.replayed ? 200 : 409).json(result);
+});
+
+// --- Query Routes: Event Store ---
+// Only the events of the chats of the logged in user are returned.
+// e.g., /api/events?chatId=1&from=2025-11-20T00:00:00Z&limit=50&cursor=340
+// Query params: eventType, eventId, correlationId, causationId, partitionKey, chatId, userId, from, to, cursor, limit.
+app.get('/api/events', requireUser, async (req, res) => {
+    const invalidDate = ['from', 'to'].find(param => req.query[param] !== undefined && Number.isNaN(Date.parse(req.query[param])));
+    if (invalidDate) return res.status(400).json({ error: `'${invalidDate}' must be an ISO 8601 date.` });
+
+    const page = await db.queryEvents({ ...req.query, memberId: req.userId });
+    res.json(page);
+});
+
+// --- Monitoring Routes ---
+// Prometheus scrape endpoint (text exposition format).
+// Admin only, like the Dead-Letter Queue (see requireAdmin): its labels expose internals such as the IDs of the active chats.
+// Prometheus sends KAFKY_ADMIN_TOKEN with `authorization: { credentials: ... }` in its scrape config.
+app.get('/metrics', requireAdmin, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// --- Query Routes: Traces ---
+// Returns every event of a user interaction (one WebSocket message = one correlationId)
+// as a causation tree, with the timings of the eager and the "-KAFKED" emits (without the payloads of the events).
+// As in /api/events, only the events of the chats of the logged in user are part of it.
+app.get('/api/traces/:correlationId', requireUser, async (req, res) => {
+    const trace = await traceService.getTrace(req.params.correlationId, { memberId: req.userId });
+    if (!trace) return res.status(404).json({ error: 'No events found for this correlationId.' });
+    res.json(trace);
+});
+
+// Once the WebSocketAuthService has authenticated a socket, the Gateway registers it as one of the user's connections.
+eventBus.on('user-authenticated', ({ payload: { userId }, context: { socket } }) => {
+    // Manage multi-device/tab support.
+    if (!clients.has(userId)) {
+        clients.set(userId, []);
+    }
+    clients.get(userId).push(socket);
+
+    log.info(`User ${userId} identified. Active users: ${[...clients.keys()]}`);
+});
+
+// Once a membership change is in the read model, every online member involved gets their chat list refreshed.
+// The members removed from a chat also lose it in the sockets that had it open.
+eventBus.on('membership-projected', async ({ payload: { chatId, change, userIds } }) => {
+    if (change === 'removed') {
+        userIds.forEach(userId => (clients.get(userId) || [])
+            .filter(socket => socket.chatId === chatId)
+            .forEach(socket => {
+                socket.chatId = null; // The socket can no longer post in this chat
+                socket.send(JSON.stringify({
+                    type: 'chat.membership.revoked',
+                    payload: { chatId, message: 'You are no longer a member of this chat.' }
+                }));
+            }));
+    }
+
+    const members = await db.getChatParticipants(chatId);
+    for (const userId of new Set([...members, ...userIds])) {
+        await sendChatList(userId);
+    }
+});
+
+// A chat selected in another node of the cluster revokes the tabs of the user that have it open in this one.
+// (The selections of this node revoke their tabs in 'chat.select'.)
+eventBus.on('chat-selected-by-user', (selectedEvent) => {
+    const { payload: { userId, chatId }, metadata } = selectedEvent;
+    if (metadata.nodeId === eventBus.nodeId) return;
+
+    (clients.get(userId) || [])
+        .filter(socket => socket.chatId === chatId)
+        .forEach(socket => revokeChatSession(socket, metadata.correlationId, selectedEvent.eventId));
+});
+
+// Once a message is in the read model, its sender gets the real id_message of every message it sent with a clientMessageId.
+// Resends that the projector skipped are acknowledged the same way, with the ID of the original message.
+eventBus.on('message-projected', ({ payload }) => {
+    if (payload.client_message_id) acknowledgeMessage(payload.id_user, payload.client_message_id, payload);
+});
+eventBus.on('duplicate-message-ignored', ({ payload }) => {
+    acknowledgeMessage(payload.id_user, payload.clientMessageId, payload);
+});
+
+/**
+ * Takes a chat away from a tab because the user opened it in another one: the tab can no longer post in the chat,
+ * 'chat-revoked-by-new-tab' lets the other services (e.g., the Dispatcher) drop it, and the client is told.
+ * @param {WebSocket} openChatSocket - The old tab.
+ * @param {string} correlationId - The correlation ID of the interaction that opened the chat again.
+ * @param {string} causationId - What caused the revocation ("user-interaction" or the ID of the causing event).
+ */
+function revokeChatSession(openChatSocket, correlationId, causationId) {
+    log.error(`Closing other old tab. User ${openChatSocket.userId} already had an open tab with the chat ${openChatSocket.chatId}.`, {}, correlationId);
+
+    // We create an event so other services can handle the closed connection 
+    const chatClosedEvent = new DomainEvent(
+        'chat-revoked-by-new-tab',
+        { userId: openChatSocket.userId, chatId: openChatSocket.chatId },
+        { correlationId: correlationId, causationId, partitionKey: openChatSocket.chatId },
+        { socket: openChatSocket } // Transient context: the socket is not persisted
+    );
+
+    openChatSocket.chatId = null; //we clean the chat from the old socket
+    eventBus.emit(chatClosedEvent); //we emit the event so other service (as the Dispatchet) can handle it
+    
+    // Notify the client
+    openChatSocket.send(JSON.stringify({
+        type: 'chat.session.revoked', //the frontend will handle this event type
+        payload: { message: 'The chat session is now active in another tab.' }
+    }));
+}
+
+/**
+ * Sends a 'chat.message.ack' to every open connection of the sender (the message may have been sent by another tab,
+ * or before a reconnection). Clients ignore the acks of messages they don't know.
+ * @param {number} userId - The ID of the sender.
+ * @param {string} clientMessageId - The ID the client gave to the message.
+ * @param {{id_message: number, id_chat: number}} message - The projected message.
+ */
+function acknowledgeMessage(userId, clientMessageId, { id_message, id_chat }) {
+    const ack = JSON.stringify({ type: 'chat.message.ack', payload: { clientMessageId, id_message, chatId: id_chat } });
+    (clients.get(userId) || []).forEach(socket => socket.send(ack));
+}
+
+/**
+ * Sends the up-to-date chat list to every open connection of a user.
+ * @param {number} userId - The ID of the user.
+ */
+async function sendChatList(userId) {
+    const sockets = clients.get(userId);
+    if (!sockets) return;
+
+    const userChats = await db.getUserChats(userId);
+    sockets.forEach(socket => socket.send(JSON.stringify({ type: 'chat.list', payload: userChats })));
+}
+
+/**
+ * Tells the client that one of its commands was refused (e.g., it's not allowed to manage that chat).
+ * @param {WebSocket} ws - The client's WebSocket connection.
+ * @param {string} command - The refused command (e.g., 'chat.member.add').
+ * @param {string} reason - A human-readable explanation.
+ */
+function rejectCommand(ws, command, reason) {
+    log.error(`Refusing '${command}' from user ${ws.userId}: ${reason}`);
+    ws.send(JSON.stringify({ type: 'command.rejected', payload: { command, reason } }));
+}
 
 wss.on('connection', (ws) => {
-    console.log('[Gateway] Client connected to WebSocket.');
+    log.info('Client connected to WebSocket.');
 
     // These variables lives within the connection's closure, making it private to the gateway.
     //let currentChatId = null; 
@@ -72,8 +370,18 @@ wss.on('connection', (ws) => {
     // => like this
     ws.userId = null; // Tracks the authenticated user for this specific connection.
     ws.chatId = null; // Tracks the chat room the user is currently viewing.
+    ws.lastTypingAt = 0; // When the last 'user-typing' event of this connection was published (throttling).
+    ws.isAlive = true; // Whether the client answered the last heartbeat ping.
 
-    let participants = null; // Store the participants usersId of the selected chat for security reasons
+    ws.on('pong', () => { ws.isAlive = true; });
+
+    // Every service writes to the socket with ws.send(JSON.stringify({ type, payload })): count the frames by type.
+    const send = ws.send.bind(ws);
+    ws.send = (data, ...args) => {
+        const [, type = 'unknown'] = /^\{"type":"([^"]+)"/.exec(data) || [];
+        wsFramesOut.inc({ type });
+        return send(data, ...args);
+    };
 
     // Fired every time this specific client sends data.
     ws.on('message', async (message) => {
@@ -83,8 +391,17 @@ wss.on('connection', (ws) => {
 
         try {
             const data = JSON.parse(message);
-            console.log(`[Gateway] Received event '${data.type}' from user: ${ws.userId || '(unidentified)'}`);
-            console.log(`[Gateway] Payload received:`, data.payload);
+            wsFramesIn.inc({ type: WS_COMMANDS.has(data.type) ? data.type : 'unknown' });
+            log.info(`Received event '${data.type}' from user: ${ws.userId || '(unidentified)'}`, {}, correlationId);
+            log.info('Payload received.', { payload: data.type === 'user.identify' ? '(token redacted)' : data.payload }, correlationId);
+
+            // --- Authentication Guard ---
+            // Nothing but 'user.identify' runs until the WebSocketAuthService has authenticated the socket.
+            if (data.type !== 'user.identify' && !ws.userId) {
+                log.error(`Refusing '${data.type}' from an unauthenticated connection.`, {}, correlationId);
+                ws.send(JSON.stringify({ type: 'auth.required', payload: { message: 'Identify yourself with a valid token first.' } }));
+                return;
+            }
 
             // --- Event-Driven Message Handling ---
             // This switch acts as a router for different client-side events.
@@ -92,41 +409,61 @@ wss.on('connection', (ws) => {
 
                 // Event: Client identifies itself after connection is established.
                 case 'user.identify':
-                    const userId = data.payload.userId;
-                    
-                    // ARCHITECTURAL NOTE on REAL-WORLD SECURITY:
-                    // In a production environment, this is a critical security checkpoint.
-                    // The flow would be as follows:
-                    // 1. On ws.onopen, the client would send a short-lived authentication token (e.g., a JWT)
-                    //    in the payload, obtained after a secure login via HTTPS, as "user.identify".
-                    // 2. An 'WebSocketAuthService' would receive this event. It would validate the token's
-                    //    signature and check its expiration.
-                    // 3. If valid, extract the userId and attach it to the socket (e.g., `ws.userId = userId`) or emit an event to be handled by the Gateway
-                    // 4. If invalid, the 'WebSocketAuthService' itself would send an 'auth.failed' message
-                    //    back to the client and immediately terminate the connection (`ws.close()`).
-                    //
-
-                    // For this prototype, we are TRUSTING the client-sent userId for simplicity.
-                    
-                    ws.userId = userId; // Associate this connection with a userId.
+                    if (ws.userId) return; // This connection is already authenticated.
+
+                    // SECURITY: The client sends a short-lived token (obtained in POST /api/login), never a userId.
+                    // The 'WebSocketAuthService' receives this event, validates the token's signature and expiration and:
+                    // - If valid, attaches the userId to the socket and emits 'user-authenticated' (handled above).
+                    // - If invalid, sends an 'auth.failed' message back to the client and closes the connection.
+                    // The token and the socket travel in the transient context: neither is persisted.
+                    const authRequestedEvent = new DomainEvent(
+                        'authentication-requested',
+                        {},
+                        { correlationId, causationId: "user-interaction" },
+                        { socket: ws, token: data.payload && data.payload.token }
+                    );
+                    eventBus.emit(authRequestedEvent);
+                    break;
 
-                    // Manage multi-device/tab support.
-                    if (!clients.has(ws.userId)) {
-                        clients.set(ws.userId, []);
-                    }
-                    clients.get(ws.userId).push(ws);
+                // Query: Client asks for its chats (participants, last message...) to render the chat list.
+                // As a read-only query (CQRS), it's answered straight from the read model, no event is published.
+                case 'chat.list':
+                    const userChats = await db.getUserChats(ws.userId);
+                    ws.send(JSON.stringify({ type: 'chat.list', payload: userChats }));
+                    break;
 
-                    console.log(`[Gateway] User ${userId} identified. Active users: ${[...clients.keys()]}`);
+                // Query: Client searches the messages of its chats (all of them, or only `chatId`).
+                case 'chat.search':
+                    const { query: searchText, chatId: searchChatId = null } = data.payload || {};
+                    if (typeof searchText !== 'string') return rejectCommand(ws, data.type, 'A search query is required.');
 
-                    //We could send an event now to communicate other services that an usser has logged in 
+                    const searchResults = await db.searchMessages(ws.userId, searchText, { chatId: searchChatId });
+                    ws.send(JSON.stringify({ type: 'chat.search', payload: { query: searchText, results: searchResults } }));
+                    break;
+
+                // Query: Client scrolls up and asks for the page of messages before the oldest one it has.
+                case 'chat.history.before':
+                    if (!ws.chatId) return;
+
+                    const beforeMessageId = data.payload && data.payload.beforeMessageId;
+                    if (!Number.isInteger(beforeMessageId) || beforeMessageId < 1) {
+                        return rejectCommand(ws, data.type, 'A valid beforeMessageId is required.');
+                    }
 
+                    const olderPage = await db.getChatHistory(ws.chatId, { beforeMessageId });
+                    ws.send(JSON.stringify({ type: 'chat.history.before', payload: { chatId: ws.chatId, ...olderPage } }));
                     break;
 
                 // Event: Client requests to view a specific chat.
                 case 'chat.select':
                     const requestedChatId = data.payload.chatId;
                     if (!requestedChatId) return; // Ignore messages if not chatId was requested
-                    if (!ws.userId) return; // Ignore messages from unidentified clients.  
+
+                    // Authorize: Check if the user is a member of the chat (before touching any other tab).
+                    if (!await db.isChatMember(requestedChatId, ws.userId)) {
+                        log.error(`SECURITY ALERT: User ${ws.userId} attempted to open chat ${requestedChatId} without being a member.`, {}, correlationId);
+                        return; 
+                    }
 
                     // Avoid to open a new socket for the same chat if this client have it opened
                     const userConnections = clients.get(ws.userId);
@@ -136,33 +473,8 @@ wss.on('connection', (ws) => {
                         existingSocket => existingSocket !== ws && existingSocket.chatId === requestedChatId
                     );
                     
-                    // TO-DO: refactor this to logic to "function closeOldChat(openChatSocket, correlationId)"
-                    if (openChatSocket) {
-                        console.error(`[Gateway] Closing other old tab. User ${ws.userId} already had an open tab with the chat ${requestedChatId}.`);                       
-
-                        // We create an event so other services can handle the closed connection 
-                        const chatClosedEvent = new DomainEvent(
-                            'chat-revoked-by-new-tab',
-                            { userId: openChatSocket.userId, chatId: openChatSocket.chatId, socket: openChatSocket },
-                            { correlationId: correlationId, causationId: "user-interaction" }                          
-                        );
-
-                        openChatSocket.chatId = null; //we clean the chat from the old socket
-                        eventBus.emit(chatClosedEvent); //we emit the event so other service (as the Dispatchet) can handle it
-                        
-                        // Notify the client
-                        openChatSocket.send(JSON.stringify({
-                            type: 'chat.session.revoked', //the frontend will handle this event type
-                            payload: { message: 'The chat session is now active in another tab.' }
-                        }));
-                    }
-
-                    // Authorize: Check if the user is a valid participant of the chat.
-                    participants = await db.getChatParticipants(requestedChatId);
-                    if (!participants || (ws.userId !== participants.id_user1 && ws.userId !== participants.id_user2)) {
-                        console.error(`[Gateway] SECURITY ALERT: User ${ws.userId} attempted to post in chat ${requestedChatId} without permission.`);
-                        return; 
-                    }
+                    // (The tabs open in other nodes of a cluster are revoked there, when they see 'chat-selected-by-user'.)
+                    if (openChatSocket) revokeChatSession(openChatSocket, correlationId, "user-interaction");
 
                     ws.chatId = requestedChatId; //AUTHORIZED - set the chatId for the socket 
 
@@ -175,48 +487,187 @@ wss.on('connection', (ws) => {
 
                     const chatSelectedEvent = new DomainEvent(
                         'chat-selected-by-user',
-                        { userId: ws.userId, chatId: ws.chatId, socket: ws, lastMessageId: lastMessageId },
-                        { correlationId, causationId: "user-interaction"}                          
+                        { userId: ws.userId, chatId: ws.chatId, lastMessageId: lastMessageId },
+                        { correlationId, causationId: "user-interaction", partitionKey: ws.chatId },
+                        { socket: ws } // Transient context: the socket is not persisted
                     );
                     eventBus.emit(chatSelectedEvent);
                     break;
 
+                // Event: Client creates a group chat with some other users.
+                case 'chat.create':
+                    const { name: groupName, memberIds = [] } = data.payload || {};
+                    if (typeof groupName !== 'string' || !groupName.trim() || !Array.isArray(memberIds)) {
+                        return rejectCommand(ws, data.type, 'A group needs a name and a list of members.');
+                    }
+
+                    const knownUserIds = new Set((await db.getUsers()).map(user => user.id_user));
+                    if (!memberIds.every(memberId => knownUserIds.has(memberId))) {
+                        return rejectCommand(ws, data.type, 'Some of the members do not exist.');
+                    }
+
+                    // The creator is always a member. The projector assigns the chatId and publishes 'membership-projected'.
+                    eventBus.emit(new DomainEvent(
+                        'chat-created',
+                        { name: groupName.trim(), createdBy: ws.userId, memberIds: [...new Set([ws.userId, ...memberIds])] },
+                        { correlationId, causationId: "user-interaction" }
+                    ));
+                    break;
+
+                // Event: A member adds another user to a group chat, or removes one (themselves included).
+                case 'chat.member.add':
+                case 'chat.member.remove':
+                    const { chatId: targetChatId, userId: targetUserId } = data.payload || {};
+                    const targetChat = await db.getChat(targetChatId);
+
+                    // Authorize: only the members of a group can manage it...
+                    if (!targetChat || !targetChat.is_group || !await db.isChatMember(targetChatId, ws.userId)) {
+                        return rejectCommand(ws, data.type, 'You are not a member of this group.');
+                    }
+                    const isTargetMember = await db.isChatMember(targetChatId, targetUserId);
+
+                    if (data.type === 'chat.member.add') {
+                        if (isTargetMember) return rejectCommand(ws, data.type, 'The user is already a member.');
+                        if (!(await db.getUsers()).some(user => user.id_user === targetUserId)) {
+                            return rejectCommand(ws, data.type, 'The user does not exist.');
+                        }
+
+                        eventBus.emit(new DomainEvent(
+                            'member-added',
+                            { chatId: targetChatId, userId: targetUserId, addedBy: ws.userId },
+                            { correlationId, causationId: "user-interaction", partitionKey: targetChatId }
+                        ));
+                    } else {
+                        // ...and only its creator can remove others. Any member can leave the group.
+                        if (!isTargetMember) return rejectCommand(ws, data.type, 'The user is not a member.');
+                        if (targetUserId !== ws.userId && targetChat.created_by !== ws.userId) {
+                            return rejectCommand(ws, data.type, 'Only the creator of the group can remove other members.');
+                        }
+
+                        eventBus.emit(new DomainEvent(
+                            'member-removed',
+                            { chatId: targetChatId, userId: targetUserId, removedBy: ws.userId },
+                            { correlationId, causationId: "user-interaction", partitionKey: targetChatId }
+                        ));
+                    }
+                    break;
+
                 // Event: Client sends a new message to the current chat.
                 case 'chat.message.new':
-                    if (!ws.userId || !ws.chatId) return; 
-                    // Ignore messages from unidentified clients or without chat
+                    if (!ws.chatId) return; 
+                    // Ignore messages without chat (unidentified clients are stopped by the authentication guard)
                     // SECURITY NOTE: the chat for the socket has been previously validated, so we don't need extra security
 
                     const {messageText} = data.payload;
+                    const clientMessageId = typeof data.payload.clientMessageId === 'string' ? data.payload.clientMessageId : undefined;
+
+                    // Idempotent sends: a message that is already in the read model is only acknowledged again.
+                    // (Resends of a message still on its way are skipped by the PersistenceService.)
+                    if (clientMessageId) {
+                        const alreadyProjected = await db.getMessageByClientId(ws.userId, clientMessageId);
+                        if (alreadyProjected) {
+                            log.info(`Message '${clientMessageId}' of user ${ws.userId} was already projected. Acknowledging again.`, {}, correlationId);
+                            return acknowledgeMessage(ws.userId, clientMessageId, alreadyProjected);
+                        }
+                    }
                     
                     // Publish: Emit a high-level event to the bus. This is a "fire-and-forget" action.
                     // The gateway doesn't know who will handle it (e.g., persistence, dispatching). This decouples the modules.
-                    console.log(`[Gateway] Publishing 'incoming-message' event. CorrelationID: ${correlationId}`);
+                    log.info(`Publishing 'incoming-message' event. CorrelationID: ${correlationId}`, {}, correlationId);
 
                     const incomingMessageEvent = new DomainEvent(
                         'incoming-message',
-                        { chatId: ws.chatId, userId: ws.userId, messageText },
-                        { correlationId , causationId: "user-interaction"}                          
+                        { chatId: ws.chatId, userId: ws.userId, messageText, clientMessageId },
+                        { correlationId , causationId: "user-interaction", partitionKey: ws.chatId }                          
                     );
 
                     eventBus.emit(incomingMessageEvent);
                     break;
+
+                // Event: Client is typing in the current chat.
+                // It's an ephemeral event: the Dispatcher relays it to the room, but it never reaches the Event Store.
+                case 'chat.typing':
+                    if (!ws.chatId) return;
+
+                    const now = Date.now();
+                    if (now - ws.lastTypingAt < TYPING_THROTTLE_MS) return; // Throttled
+                    ws.lastTypingAt = now;
+
+                    eventBus.emit(new DomainEvent(
+                        'user-typing',
+                        { chatId: ws.chatId, userId: ws.userId },
+                        { correlationId, causationId: "user-interaction", partitionKey: ws.chatId, ephemeral: true }
+                    ));
+                    break;
+
+                // Event: Client has read the current chat up to a message (e.g., it's open in a visible tab).
+                case 'chat.message.read':
+                    if (!ws.chatId) return;
+
+                    const readMessage = await db.getMessageById(data.payload && data.payload.messageId);
+                    if (!readMessage || readMessage.id_chat !== ws.chatId) {
+                        return rejectCommand(ws, data.type, 'The message is not in the current chat.');
+                    }
+
+                    // Read positions only move forward: re-reading older messages publishes nothing.
+                    const readPosition = await db.getReadPosition(ws.chatId, ws.userId);
+                    if (readMessage.id_message <= readPosition.last_read_id) return;
+
+                    eventBus.emit(new DomainEvent(
+                        'message-read',
+                        { chatId: ws.chatId, userId: ws.userId, messageId: readMessage.id_message },
+                        { correlationId, causationId: "user-interaction", partitionKey: ws.chatId }
+                    ));
+                    break;
+
+                // Event: The author edits or deletes one of their messages.
+                // The message is not changed here: the correction is an event, projected like any other.
+                case 'chat.message.edit':
+                case 'chat.message.delete':
+                    const { messageId, messageText: editedText } = data.payload || {};
+                    const originalMessage = await db.getMessageById(messageId);
+
+                    // Authorize: only the author, while still a member of the chat, can correct a message.
+                    if (!originalMessage || originalMessage.id_user !== ws.userId || !await db.isChatMember(originalMessage.id_chat, ws.userId)) {
+                        return rejectCommand(ws, data.type, 'You can only change your own messages.');
+                    }
+                    if (originalMessage.deleted_at) return rejectCommand(ws, data.type, 'The message was deleted.');
+
+                    const isEdit = data.type === 'chat.message.edit';
+                    if (isEdit && (typeof editedText !== 'string' || !editedText.trim())) {
+                        return rejectCommand(ws, data.type, 'The message cannot be empty.');
+                    }
+
+                    const correction = {
+                        messageId,
+                        sourceLogId: await db.getLogIdByMessageId(messageId),
+                        chatId: originalMessage.id_chat,
+                        userId: ws.userId
+                    };
+                    if (isEdit) correction.messageText = editedText.trim();
+
+                    eventBus.emit(new DomainEvent(
+                        isEdit ? 'message-edited' : 'message-deleted',
+                        correction,
+                        { correlationId, causationId: "user-interaction", partitionKey: originalMessage.id_chat }
+                    ));
+                    break;
             }
         } catch (error) {
-            console.error('Failed to process message:', error);
+            log.error('Failed to process message.', { error }, correlationId);
         }
     });
 
     // Fired when the client's connection is terminated.
     ws.on('close', () => {
         if (!ws.userId) {
-            console.log('[Gateway] Unidentified client connection closed.');
+            log.info('Unidentified client connection closed.');
             return;
         }
 
         const closingUserId = ws.userId;
         const closingChatId = ws.chatId;
-        console.log(`[Gateway] Closing ${ws.userId} user with chatId ${closingChatId}...`);
+        log.info(`Closing ${ws.userId} user with chatId ${closingChatId}...`);
 
         // 2. Handle this gateway's direct responsibility: cleaning up the `clients` map.
         const userConnections = clients.get(closingUserId);
@@ -228,26 +679,44 @@ wss.on('connection', (ws) => {
         if (remainingConnections.length > 0) {
             // If the user still has other active connections, update the map.
             clients.set(closingUserId, remainingConnections);
-            console.log(`[Gateway] A connection for user ${closingUserId} closed. Remaining: ${remainingConnections.length}.`);
+            log.info(`A connection for user ${closingUserId} closed. Remaining: ${remainingConnections.length}.`);
         } else {
             // If it was their last connection, remove them from the active clients map entirely.
             clients.delete(closingUserId);
-            console.log(`[Gateway] Last connection for user ${closingUserId} closed. User removed from active map.`);
+            log.info(`Last connection for user ${closingUserId} closed. User removed from active map.`);
         }
 
         // We send an event so other services can handle the closed connection 
         // Dispatcher will clean up the user from the chatRoom
         const socketClosedEvent = new DomainEvent(
             'connection-closed',
-            { userId: closingUserId, chatId: closingChatId, socket: ws },
-            { correlationId: uuidv4(), causationId: "user-interaction"}                          
+            { userId: closingUserId, chatId: closingChatId },
+            { correlationId: uuidv4(), causationId: ws.heartbeatTimedOut ? "heartbeat-timeout" : "user-interaction", partitionKey: closingChatId },
+            { socket: ws } // Transient context: the socket is not persisted
         );
         eventBus.emit(socketClosedEvent); 
     });
 });
 
+// Heartbeat loop: terminates the dead sockets and pings the rest.
+// `terminate()` fires the 'close' handler above, so the dead socket leaves `clients` and its room
+// through the same 'connection-closed' event as a regular disconnection.
+const heartbeatInterval = setInterval(() => {
+    wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+            log.warn(`Connection of user ${ws.userId} didn't answer the heartbeat. Terminating it.`);
+            ws.heartbeatTimedOut = true;
+            return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+    });
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on('close', () => clearInterval(heartbeatInterval));
+
 // --- Server Initialization ---
-const PORT = 8000;
+const PORT = parseInt(process.env.PORT, 10) || 8000; // Each node of a cluster needs its own port.
 server.listen(PORT, () => {
-    console.log(`🚀 Server is running and listening on http://localhost:${PORT}`);
+    log.info(`🚀 Server is running and listening on http://localhost:${PORT}`);
 });
\ No newline at end of file
@@ -7,39 +7,167 @@ const db = new sqlite3.Database('./chats.sqlite');
 db.serialize(() => {
     console.log("Iniciando configuración de la base de datos...");
 
-    // 1. Crear tabla de usuarios (sin cambios)
+    // 1. Crear tabla de usuarios
     db.run(`CREATE TABLE IF NOT EXISTS users (
         id_user INTEGER PRIMARY KEY,
-        username TEXT NOT NULL UNIQUE
+        username TEXT NOT NULL UNIQUE,
+        last_seen_at TEXT -- ISO 8601
     )`);
 
-    // 2. Crear tabla de chats (¡CORREGIDA Y MEJORADA!)
-    // Ahora incluye las columnas y las claves foráneas para los dos participantes.
+    // Migración: última vez que se vio conectado al usuario (lo guarda el PresenceService)
+    db.run(`ALTER TABLE users ADD COLUMN last_seen_at TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) console.error(err.message);
+    });
+
+    // 2. Crear tabla de chats
+    // Los participantes ya no son columnas de la tabla: viven en 'chat_participants',
+    // así un chat puede ser una conversación entre dos o un grupo de N usuarios.
     db.run(`CREATE TABLE IF NOT EXISTS chats (
         id_chat INTEGER PRIMARY KEY,
-        id_user1 INTEGER NOT NULL,
-        id_user2 INTEGER NOT NULL,
         name TEXT,
-        FOREIGN KEY (id_user1) REFERENCES users(id_user),
-        FOREIGN KEY (id_user2) REFERENCES users(id_user)
+        is_group INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id_user)
+    )`);
+
+    // Relación N a N entre chats y usuarios (read model de los eventos de membresía)
+    db.run(`CREATE TABLE IF NOT EXISTS chat_participants (
+        id_chat INTEGER NOT NULL,
+        id_user INTEGER NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (id_chat, id_user),
+        FOREIGN KEY (id_chat) REFERENCES chats(id_chat),
+        FOREIGN KEY (id_user) REFERENCES users(id_user)
     )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_chat_participants_user ON chat_participants (id_user, id_chat)`);
 
-    // 3. Crear tabla de mensajes (sin cambios)
+    // 3. Crear tabla de mensajes
+    // Un mensaje editado guarda el nuevo texto y edited_at. Uno borrado se queda como "lápida":
+    // message a NULL y deleted_at, para que los clientes puedan reemplazar su copia.
     db.run(`CREATE TABLE IF NOT EXISTS messages (
         id_message INTEGER PRIMARY KEY AUTOINCREMENT,
         id_chat INTEGER NOT NULL,
         id_user INTEGER NOT NULL,
         message TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        edited_at DATETIME,
+        deleted_at DATETIME,
+        client_message_id TEXT, -- ID generado por el cliente para que reenviar un mensaje no lo duplique
         FOREIGN KEY (id_chat) REFERENCES chats(id_chat),
         FOREIGN KEY (id_user) REFERENCES users(id_user)
     )`);
 
+    // Migración: mensajes creados antes de poder editarse o borrarse, o antes de tener client_message_id.
+    ['edited_at DATETIME', 'deleted_at DATETIME', 'client_message_id TEXT'].forEach(column => {
+        db.run(`ALTER TABLE messages ADD COLUMN ${column}`, (err) => {
+            if (err && !err.message.includes('duplicate column name')) console.error(err.message);
+        });
+    });
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_client_id ON messages (id_user, client_message_id) WHERE client_message_id IS NOT NULL`);
+
+    // Índice de búsqueda de texto completo (FTS5) sobre el texto de los mensajes. Su rowid es el id_message.
+    // Lo mantiene el proyector: entra un mensaje al proyectarlo, se actualiza al editarlo y sale al borrarlo.
+    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(message, tokenize = 'unicode61 remove_diacritics 2')`);
+    // Migración: indexamos los mensajes que ya existían.
+    db.run(`INSERT INTO messages_fts (rowid, message)
+        SELECT id_message, message FROM messages
+        WHERE message IS NOT NULL AND id_message NOT IN (SELECT rowid FROM messages_fts)`);
+
     db.run(`CREATE TABLE IF NOT EXISTS event_log (
     id_event INTEGER PRIMARY KEY AUTOINCREMENT,
     event_type TEXT NOT NULL,
     payload TEXT NOT NULL, -- Guardamos el payload como un string JSON
-    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    event_id TEXT, -- Metadatos del DomainEvent copiados en columnas para poder indexarlos
+    correlation_id TEXT,
+    causation_id TEXT,
+    event_timestamp TEXT, -- metadata.timestamp (ISO 8601)
+    partition_key TEXT
+    )`);
+
+    // Migración: las bases de datos creadas antes de tener las columnas de metadatos.
+    // Si la columna ya existe, SQLite devuelve "duplicate column name" y lo ignoramos.
+    ['event_id', 'correlation_id', 'causation_id', 'event_timestamp', 'partition_key'].forEach(column => {
+        db.run(`ALTER TABLE event_log ADD COLUMN ${column} TEXT`, (err) => {
+            if (err && !err.message.includes('duplicate column name')) console.error(err.message);
+        });
+    });
+
+    // Backfill de las filas existentes a partir del JSON guardado en "payload".
+    // Las filas más antiguas solo guardaban el payload (sin metadata), usamos su created_at como timestamp.
+    // Los eventos anteriores a la partition key usan el chatId de su payload, que es la clave de los eventos de chat.
+    db.run(`UPDATE event_log SET
+        event_id = json_extract(payload, '$.eventId'),
+        correlation_id = json_extract(payload, '$.metadata.correlationId'),
+        causation_id = json_extract(payload, '$.metadata.causationId'),
+        event_timestamp = COALESCE(json_extract(payload, '$.metadata.timestamp'), strftime('%Y-%m-%dT%H:%M:%fZ', created_at)),
+        partition_key = COALESCE(
+            json_extract(payload, '$.metadata.partitionKey'),
+            json_extract(payload, '$.payload.chatId'),
+            json_extract(payload, '$.payload.id_chat'),
+            json_extract(payload, '$.payload.targetChatId'),
+            json_extract(payload, '$.chatId')
+        )
+    WHERE event_timestamp IS NULL`);
+
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_type ON event_log (event_type, id_event)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_event_id ON event_log (event_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_correlation ON event_log (correlation_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_causation ON event_log (causation_id)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_timestamp ON event_log (event_timestamp)`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_event_log_partition ON event_log (partition_key, id_event)`);
+
+    // Dead-Letter Queue: eventos que no se pudieron guardar en el event_log, o que un consumidor no pudo procesar
+    db.run(`CREATE TABLE IF NOT EXISTS dead_letter_events (
+    id_dead_letter INTEGER PRIMARY KEY AUTOINCREMENT,
+    event_id TEXT NOT NULL UNIQUE, -- eventId del DomainEvent, un reintento fallido actualiza la misma fila
+    event_type TEXT NOT NULL,
+    event TEXT NOT NULL, -- El evento completo como string JSON
+    error TEXT NOT NULL, -- El último error recibido
+    attempts INTEGER NOT NULL DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'replayed'
+    replayed_log_id INTEGER, -- id_event asignado en el event_log cuando se reprocesa con éxito
+    consumer TEXT, -- NULL: no se pudo guardar. Si no, el consumidor que falló al procesarlo (p. ej., 'group:persistence-service')
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Migración: Dead-Letter Queues creadas antes de guardar los fallos de los consumidores.
+    db.run(`ALTER TABLE dead_letter_events ADD COLUMN consumer TEXT`, (err) => {
+        if (err && !err.message.includes('duplicate column name')) console.error(err.message);
+    });
+
+    // Checkpoint de cada proyector: el último logId del event_log que ha procesado
+    db.run(`CREATE TABLE IF NOT EXISTS projector_checkpoints (
+    projector TEXT PRIMARY KEY,
+    last_log_id INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Qué logId (evento 'incoming-message') ha producido cada id_message del read model
+    db.run(`CREATE TABLE IF NOT EXISTS message_projections (
+    log_id INTEGER PRIMARY KEY,
+    id_message INTEGER NOT NULL UNIQUE,
+    projected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Posición de cada usuario en cada chat: el último mensaje que le ha llegado y el último que ha leído
+    // (read model de los eventos 'message-delivered' y 'message-read')
+    db.run(`CREATE TABLE IF NOT EXISTS chat_read_positions (
+    id_chat INTEGER NOT NULL,
+    id_user INTEGER NOT NULL,
+    last_delivered_id INTEGER NOT NULL DEFAULT 0,
+    last_read_id INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (id_chat, id_user)
+    )`);
+
+    // Offset de cada consumer group del bus: el último logId que se le ha entregado
+    db.run(`CREATE TABLE IF NOT EXISTS consumer_offsets (
+    group_name TEXT PRIMARY KEY,
+    last_log_id INTEGER NOT NULL DEFAULT 0,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
     )`);
 
     // 4. Insertar los usuarios de prueba
@@ -57,25 +185,54 @@ db.serialize(() => {
     stmt_users.finalize();
     console.log("-> Tabla 'users' preparada.");
 
-    // 5. Insertar los chats de prueba
-    const chats = [
-        { id: 1, user1: 1, user2: 2, name: 'Chat Manolo-Pepe' }, // Chat entre Manolo y Pepe
-        { id: 2, user1: 1, user2: 3, name: 'Chat Manolo-Luisa' }  // Chat entre Manolo y Luisa
-    ];
-    const stmt_chats = db.prepare("INSERT OR IGNORE INTO chats (id_chat, id_user1, id_user2, name) VALUES (?, ?, ?, ?)");
-    chats.forEach(chat => {
-        stmt_chats.run(chat.id, chat.user1, chat.user2, chat.name);
-    });
-    stmt_chats.finalize();
-    console.log("-> Tabla 'chats' preparada.");
+    // 5. Migración: las bases de datos antiguas guardaban los dos participantes en chats.id_user1/id_user2.
+    // Los copiamos a 'chat_participants' y reconstruimos 'chats' sin esas columnas (SQLite no puede
+    // borrar columnas con claves foráneas). Solo se ejecuta si la tabla todavía tiene el formato antiguo.
+    db.all("PRAGMA table_info(chats)", (err, columns) => {
+        if (err) return console.error(err.message);
 
-    console.log("\n¡Éxito! Base de datos 'chats.sqlite' creada y populada correctamente.");
-});
+        db.serialize(() => {
+            if (columns.some(column => column.name === 'id_user1')) {
+                db.run(`INSERT OR IGNORE INTO chat_participants (id_chat, id_user)
+                    SELECT id_chat, id_user1 FROM chats UNION SELECT id_chat, id_user2 FROM chats`);
+                db.run(`CREATE TABLE chats_migrated (
+                    id_chat INTEGER PRIMARY KEY,
+                    name TEXT,
+                    is_group INTEGER NOT NULL DEFAULT 0,
+                    created_by INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (created_by) REFERENCES users(id_user)
+                )`);
+                db.run(`INSERT INTO chats_migrated (id_chat, name) SELECT id_chat, name FROM chats`);
+                db.run(`DROP TABLE chats`);
+                db.run(`ALTER TABLE chats_migrated RENAME TO chats`);
+                console.log("-> Tabla 'chats' migrada a 'chat_participants'.");
+            }
 
-// Cerramos la conexión a la base de datos cuando todo ha terminado.
-db.close((err) => {
-    if (err) {
-        return console.error(err.message);
-    }
-    console.log('Conexión con la base de datos cerrada.');
-});
\ No newline at end of file
+            // 6. Insertar los chats de prueba
+            const chats = [
+                { id: 1, members: [1, 2], name: 'Chat Manolo-Pepe' }, // Chat entre Manolo y Pepe
+                { id: 2, members: [1, 3], name: 'Chat Manolo-Luisa' }  // Chat entre Manolo y Luisa
+            ];
+            const stmt_chats = db.prepare("INSERT OR IGNORE INTO chats (id_chat, name) VALUES (?, ?)");
+            const stmt_participants = db.prepare("INSERT OR IGNORE INTO chat_participants (id_chat, id_user) VALUES (?, ?)");
+            chats.forEach(chat => {
+                stmt_chats.run(chat.id, chat.name);
+                chat.members.forEach(userId => stmt_participants.run(chat.id, userId));
+            });
+            stmt_chats.finalize();
+            stmt_participants.finalize();
+            console.log("-> Tablas 'chats' y 'chat_participants' preparadas.");
+
+            console.log("\n¡Éxito! Base de datos 'chats.sqlite' creada y populada correctamente.");
+        });
+
+        // Cerramos la conexión a la base de datos cuando todo ha terminado.
+        db.close((err) => {
+            if (err) {
+                return console.error(err.message);
+            }
+            console.log('Conexión con la base de datos cerrada.');
+        });
+    });
+});
@@ -0,0 +1,38 @@
+// test/auth-token.test.js - Signing and verification of the tokens issued by POST /api/login.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { signToken, verifyToken } = require('../auth-token.js');
+
+const secret = 'test-secret';
+
+test('a token signed with the secret is verified and returns its claims', () => {
+    const { token, expiresAt } = signToken({ sub: 1, name: 'Manolo' }, { secret });
+    const claims = verifyToken(token, { secret });
+
+    assert.equal(claims.sub, 1);
+    assert.equal(claims.name, 'Manolo');
+    assert.equal(new Date(claims.exp * 1000).toISOString(), expiresAt);
+});
+
+test('a token with tampered claims is rejected', () => {
+    const { token } = signToken({ sub: 1 }, { secret });
+    const [header, , signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 2, exp: Math.floor(Date.now() / 1000) + 300 })).toString('base64url');
+
+    assert.throws(() => verifyToken(`${header}.${forgedPayload}.${signature}`, { secret }), /Invalid token signature/);
+});
+
+test('a token signed with another secret is rejected', () => {
+    const { token } = signToken({ sub: 1 }, { secret: 'another-secret' });
+    assert.throws(() => verifyToken(token, { secret }), /Invalid token signature/);
+});
+
+test('an expired token is rejected', () => {
+    const { token } = signToken({ sub: 1 }, { secret, expiresInSeconds: -1 });
+    assert.throws(() => verifyToken(token, { secret }), /Token expired/);
+});
+
+test('anything that is not a token is rejected', () => {
+    assert.throws(() => verifyToken(undefined, { secret }), /Malformed token/);
+    assert.throws(() => verifyToken('not-a-token', { secret }), /Malformed token/);
+});
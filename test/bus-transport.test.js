@@ -0,0 +1,98 @@
+// test/bus-transport.test.js - The socket transport: events and WebSockets across processes, through the broker.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const { useTemporaryDatabase, waitFor, createFakeSocket } = require('./helpers.js');
+
+useTemporaryDatabase(); // The transport logs through the bus, which opens the database.
+const EventBroker = require('../event-broker.js');
+const { SocketTransport, RemoteSocket, parseAddress } = require('../bus-transport.js');
+const DomainEvent = require('../domain-event.js');
+
+const secret = 'test-bus-secret';
+
+test('parses the addresses of the broker', () => {
+    assert.deepEqual(parseAddress(7070), { host: '127.0.0.1', port: 7070 });
+    assert.deepEqual(parseAddress('broker.local:7071'), { host: 'broker.local', port: 7071 });
+    assert.deepEqual(parseAddress('/tmp/kafky.sock'), { path: '/tmp/kafky.sock' });
+});
+
+test('the socket transport needs the secret of the broker', () => {
+    assert.throws(() => new SocketTransport({ address: '127.0.0.1:1' }), /KAFKY_BUS_SECRET/);
+});
+
+describe('SocketTransport', () => {
+    let broker;
+    let address;
+    const transports = [];
+    const connect = (options = {}) => {
+        const transport = new SocketTransport({ address, secret, ...options });
+        transports.push(transport);
+        return transport;
+    };
+
+    before(async () => {
+        broker = new EventBroker({ address: '127.0.0.1:0', secret });
+        await broker.listen();
+        address = `127.0.0.1:${broker.server.address().port}`;
+    });
+    after(() => {
+        transports.forEach(transport => transport.close());
+        broker.close();
+    });
+
+    test('delivers the events of a process to the listeners of the others, in order, but not its log events', async () => {
+        const publisher = connect();
+        const subscriber = connect();
+        const received = [];
+        subscriber.on('test-relayed', (event) => received.push(event.payload.index));
+        subscriber.on('log:info', () => received.push('log'));
+
+        // Written before the handshake: kept in the outbox until the broker welcomes the publisher.
+        publisher.emit('test-relayed', new DomainEvent('test-relayed', { index: 0 }));
+        await waitFor(() => publisher.connected && subscriber.connected);
+        for (let index = 1; index <= 3; index++) publisher.emit('test-relayed', new DomainEvent('test-relayed', { index }));
+        publisher.emit('log:info', new DomainEvent('log:info', { message: 'local' }));
+
+        await waitFor(() => received.length === 4);
+        assert.deepEqual(received, [0, 1, 2, 3]);
+    });
+
+    test('lets a process write to (and close) a WebSocket held by another one', async () => {
+        const gateway = connect();
+        const service = connect();
+        await waitFor(() => gateway.connected && service.connected);
+
+        const webSocket = Object.assign(new EventEmitter(), createFakeSocket(), { userId: 7, close() { this.emit('close'); } });
+        let remoteSocket;
+        service.on('test-with-socket', (event) => { remoteSocket = event.context.socket; });
+        gateway.emit('test-with-socket', new DomainEvent('test-with-socket', {}, {}, { socket: webSocket }));
+
+        await waitFor(() => remoteSocket);
+        assert.ok(remoteSocket instanceof RemoteSocket);
+        assert.equal(remoteSocket.userId, 7);
+
+        remoteSocket.send(JSON.stringify({ type: 'hello' }));
+        await waitFor(() => webSocket.frames.length === 1);
+        assert.deepEqual(webSocket.frames, [{ type: 'hello' }]);
+
+        webSocket.close();
+        await waitFor(() => remoteSocket.readyState === 3); // WebSocket.CLOSED
+    });
+
+    test('a process with the wrong secret neither receives nor sends events', async () => {
+        const member = connect();
+        const intruder = connect({ secret: 'wrong-secret' });
+        const received = { member: [], intruder: [] };
+        member.on('test-from-intruder', (event) => received.member.push(event.type));
+        intruder.on('test-from-member', (event) => received.intruder.push(event.type));
+        await waitFor(() => member.connected);
+
+        intruder.emit('test-from-intruder', new DomainEvent('test-from-intruder', {}));
+        member.emit('test-from-member', new DomainEvent('test-from-member', {}));
+        await waitFor(() => intruder.reconnectAttempts > 0); // Rejected by the broker.
+
+        assert.equal(intruder.connected, false);
+        assert.deepEqual(received, { member: [], intruder: [] });
+    });
+});
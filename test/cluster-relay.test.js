@@ -0,0 +1,64 @@
+// test/cluster-relay.test.js - Fan-out of the events stored by the other nodes of a cluster.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, waitFor, sleep, createFakeSocket } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+const ClusterRelay = require('../cluster-relay.js');
+const PresenceService = require('../presence-service.js');
+
+// The relay is polled by hand: its timer would only make the tests slower and keep the process alive.
+const relay = new ClusterRelay(db);
+before(async () => {
+    await relay.listen();
+    relay.stop();
+});
+
+/**
+ * Stores an event as another node of the cluster would, straight into the shared Event Store.
+ */
+const storeFromNode = (nodeId, type, payload) => db.logEvent(new DomainEvent(type, payload, { nodeId, partitionKey: payload.id_chat ?? `user-${payload.userId}` }));
+
+const projectedMessage = (id_message) => ({ id_message, id_chat: 1, id_user: 1, message: 'hello', created_at: '2026-01-01 00:00:00' });
+
+describe('ClusterRelay', () => {
+    test('delivers the events of the other nodes once, and never the ones of this node again', async () => {
+        const delivered = [];
+        eventBus.on('message-projected', (event) => delivered.push({ id: event.payload.id_message, nodeId: event.metadata.nodeId }));
+
+        await eventBus.emit(new DomainEvent('message-projected', projectedMessage(1), { partitionKey: 1 }));
+        await storeFromNode('node-b', 'message-projected', projectedMessage(2));
+        await storeFromNode('node-b', 'incoming-message', { chatId: 1, userId: 1, messageText: 'not relayed' });
+
+        await relay.poll();
+        await relay.poll();
+
+        assert.deepEqual(delivered, [
+            { id: 1, nodeId: eventBus.nodeId },
+            { id: 2, nodeId: 'node-b' }
+        ]);
+    });
+
+    test('lets the peers know a user is online while they are connected to any node', async () => {
+        new PresenceService(db).listen();
+        const socket = createFakeSocket();
+        eventBus.emit(new DomainEvent('user-authenticated', { userId: 1 }, { partitionKey: 'user-1' }, { socket }));
+        await waitFor(() => socket.frames.length === 1); // The presence snapshot.
+
+        // User 2 (a peer of user 1) connects to node B, then to node C, and leaves B and then C.
+        for (const [nodeId, type] of [['node-b', 'user-online'], ['node-c', 'user-online'], ['node-b', 'user-offline'], ['node-c', 'user-offline']]) {
+            await storeFromNode(nodeId, type, type === 'user-online' ? { userId: 2 } : { userId: 2, lastSeenAt: new Date().toISOString() });
+            await relay.poll();
+            await sleep(20);
+        }
+
+        const updates = socket.frames.filter(frame => frame.type === 'presence.update').map(frame => frame.payload);
+        assert.deepEqual(updates.map(({ userId, online }) => ({ userId, online })), [
+            { userId: 2, online: true },
+            { userId: 2, online: false }
+        ]);
+    });
+});
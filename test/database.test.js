@@ -0,0 +1,180 @@
+// test/database.test.js - Guarantees of the data layer: transactions, checkpoints, the message history, the search and the queries over the Event Store.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const DomainEvent = require('../domain-event.js');
+
+describe('runInTransaction', () => {
+    test('statements issued by other services while a transaction is open are not rolled back with it', async () => {
+        let transactionStarted;
+        let releaseTransaction;
+        const started = new Promise(resolve => { transactionStarted = resolve; });
+        const released = new Promise(resolve => { releaseTransaction = resolve; });
+
+        const transaction = db.runInTransaction(async () => {
+            transactionStarted();
+            await released;
+            throw new Error('Projection failed.');
+        });
+
+        await started;
+        const event = new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'hello' });
+        const logged = db.logEvent(event);
+        releaseTransaction();
+
+        await assert.rejects(transaction, /Projection failed/);
+        const { eventId: logId } = await logged;
+        assert.equal((await db.getEventByLogId(logId)).eventId, event.eventId);
+    });
+
+    test('resolves with the value returned by the work once it is committed', async () => {
+        const logId = await db.runInTransaction(async () => {
+            const { eventId } = await db.logEvent(new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'committed' }));
+            return eventId;
+        });
+        assert.equal((await db.getEventByLogId(logId)).payload.messageText, 'committed');
+    });
+});
+
+describe('projector checkpoints', () => {
+    test('never go backwards', async () => {
+        await db.saveProjectorCheckpoint('test-projector', 10);
+        await db.saveProjectorCheckpoint('test-projector', 5);
+        assert.equal(await db.getProjectorCheckpoint('test-projector'), 10);
+
+        await db.saveProjectorCheckpoint('test-projector', 12);
+        assert.equal(await db.getProjectorCheckpoint('test-projector'), 12);
+    });
+});
+
+describe('getChatHistory', () => {
+    // A new group (so no messages of the sample data get in the way) with five messages, stored once for every test.
+    let chatId;
+    let ids;
+    before(async () => {
+        chatId = await db.projectChatCreated('test-history-chats', 1, { name: 'History', createdBy: 1, memberIds: [2] });
+        ids = [];
+        for (let index = 1; index <= 5; index++) {
+            const { message } = await db.projectMessage('test-history', index, chatId, 1 + index % 2, `message ${index}`);
+            ids.push(message.id_message);
+        }
+    });
+    const messageIds = ({ messages }) => messages.map(message => message.id_message);
+
+    test('returns the most recent messages the client is missing, oldest first', async () => {
+        const firstPage = await db.getChatHistory(chatId, { limit: 2 });
+        assert.deepEqual(messageIds(firstPage), ids.slice(3));
+        assert.equal(firstPage.hasMore, true);
+        assert.equal(firstPage.messages[0].username, 'Manolo');
+
+        const missing = await db.getChatHistory(chatId, { sinceMessageId: ids[2], limit: 2 });
+        assert.deepEqual(missing, { messages: firstPage.messages, hasMore: false });
+
+        assert.deepEqual(await db.getChatHistory(chatId, { sinceMessageId: ids[4] }), { messages: [], hasMore: false });
+    });
+
+    test('pages backwards from the oldest message the client has', async () => {
+        const olderPage = await db.getChatHistory(chatId, { beforeMessageId: ids[3], limit: 2 });
+        assert.deepEqual(messageIds(olderPage), ids.slice(1, 3));
+        assert.equal(olderPage.hasMore, true);
+
+        const oldestPage = await db.getChatHistory(chatId, { beforeMessageId: ids[1], limit: 2 });
+        assert.deepEqual(messageIds(oldestPage), [ids[0]]);
+        assert.equal(oldestPage.hasMore, false);
+    });
+});
+
+describe('searchMessages', () => {
+    // Messages of chat 1 (Manolo and Pepe) and chat 2 (Manolo and Luisa), projected by a projector of this test
+    // (from logIds of its own: a logId maps to a single message).
+    let logId = 1000;
+    const project = async (chatId, userId, text) => (await db.projectMessage('test-search', ++logId, chatId, userId, text)).message.id_message;
+    const resultIds = (results) => results.map(result => result.id_message);
+    let pepeMessage;
+    let luisaMessage;
+    before(async () => {
+        pepeMessage = await project(1, 2, 'Bring the <zanahorias> & more');
+        luisaMessage = await project(2, 3, 'Zanahorias for Manolo');
+    });
+
+    test('finds the messages of the chats of the user by the beginning of their words, newest first', async () => {
+        assert.deepEqual(resultIds(await db.searchMessages(1, 'zanah')), [luisaMessage, pepeMessage]);
+        assert.deepEqual(resultIds(await db.searchMessages(1, 'zanah', { chatId: 2 })), [luisaMessage]);
+        assert.deepEqual(resultIds(await db.searchMessages(2, 'zanah')), [pepeMessage]);
+        assert.deepEqual(resultIds(await db.searchMessages(2, 'zanah', { chatId: 2 })), []);
+        assert.deepEqual(resultIds(await db.searchMessages(1, 'zanah manolo')), [luisaMessage]);
+    });
+
+    test('marks the matched words in an HTML-escaped snippet', async () => {
+        const [result] = await db.searchMessages(2, 'zanahorias');
+        assert.equal(result.snippet, 'Bring the &lt;<mark>zanahorias</mark>&gt; &amp; more');
+        assert.equal(result.username, 'Pepe');
+    });
+
+    test('takes the search text as words, not as FTS5 syntax', async () => {
+        assert.deepEqual(await db.searchMessages(1, '   '), []);
+        assert.deepEqual(await db.searchMessages(1, 'zanah OR "'), []);
+        assert.deepEqual(resultIds(await db.searchMessages(1, 'zanah*')), [luisaMessage, pepeMessage]);
+    });
+
+    test('follows the edits and deletions of the messages', async () => {
+        await db.projectMessageCorrection('test-search', ++logId, 'edited', pepeMessage, 'Bring the carrots');
+        assert.deepEqual(resultIds(await db.searchMessages(2, 'zanah')), []);
+        assert.deepEqual(resultIds(await db.searchMessages(2, 'carrots')), [pepeMessage]);
+
+        await db.projectMessageCorrection('test-search', ++logId, 'deleted', pepeMessage);
+        assert.deepEqual(await db.searchMessages(2, 'carrots'), []);
+    });
+});
+
+describe('queryEvents', () => {
+    // An interaction in chat 1 (Manolo and Pepe) and another in chat 2 (Manolo and Luisa), stored once for every test.
+    const interaction = new DomainEvent('incoming-message', { chatId: 1, userId: 2, messageText: 'query' },
+        { correlationId: 'query-1', causationId: 'user-interaction', partitionKey: 1 });
+    const consequence = new DomainEvent('message-projected', { id_message: 1, id_chat: 1, id_user: 2 },
+        { correlationId: 'query-1', causationId: interaction.eventId, partitionKey: 1 });
+    const otherChat = new DomainEvent('incoming-message', { chatId: 2, userId: 3, messageText: 'query' },
+        { correlationId: 'query-2', causationId: 'user-interaction', partitionKey: 2 });
+    const eventIds = ({ events }) => events.map(({ event }) => event.eventId);
+
+    before(async () => {
+        for (const event of [interaction, consequence, otherChat]) await db.logEvent(event);
+    });
+
+    test('filters by the indexed metadata and by the payload', async () => {
+        assert.deepEqual(eventIds(await db.queryEvents({ correlationId: 'query-1' })), [interaction.eventId, consequence.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ causationId: interaction.eventId })), [consequence.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ eventId: otherChat.eventId })), [otherChat.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ chatId: 2, eventType: 'incoming-message' })), [otherChat.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ correlationId: 'query-1', eventType: ['message-projected'] })), [consequence.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ userId: 3, partitionKey: '2' })), [otherChat.eventId]);
+    });
+
+    test('filters by the time the events were emitted', async () => {
+        const emittedAt = Date.parse(interaction.metadata.timestamp);
+        const inWindow = await db.queryEvents({ correlationId: 'query-1', from: new Date(emittedAt).toISOString(), to: new Date(emittedAt + 1).toISOString() });
+        assert.ok(eventIds(inWindow).includes(interaction.eventId));
+        assert.deepEqual(eventIds(await db.queryEvents({ correlationId: 'query-1', from: new Date(Date.now() + 60000).toISOString() })), []);
+        assert.deepEqual(eventIds(await db.queryEvents({ correlationId: 'query-1', to: '2000-01-01T00:00:00Z' })), []);
+    });
+
+    test('only returns the events of the chats of a member', async () => {
+        assert.deepEqual(eventIds(await db.queryEvents({ eventType: 'incoming-message', memberId: 2 })), [interaction.eventId]);
+        assert.deepEqual(eventIds(await db.queryEvents({ eventType: 'incoming-message', memberId: 3 })), [otherChat.eventId]);
+    });
+
+    test('pages through the events with a cursor', async () => {
+        // Manolo is a member of both chats (the events without a partition key are left out).
+        const filters = { memberId: 1, eventType: ['incoming-message', 'message-projected'] };
+        const firstPage = await db.queryEvents({ ...filters, limit: 2 });
+        assert.equal(firstPage.events.length, 2);
+        assert.equal(firstPage.nextCursor, firstPage.events[1].logId);
+
+        const secondPage = await db.queryEvents({ ...filters, limit: 2, cursor: firstPage.nextCursor });
+        assert.deepEqual([...eventIds(firstPage), ...eventIds(secondPage)], [interaction.eventId, consequence.eventId, otherChat.eventId]);
+        assert.equal(secondPage.nextCursor, null);
+    });
+});
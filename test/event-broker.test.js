@@ -0,0 +1,90 @@
+// test/event-broker.test.js - The event broker: only the processes that know its secret join the relay.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { useTemporaryDatabase, waitFor, sleep } = require('./helpers.js');
+
+useTemporaryDatabase(); // The broker logs through the bus, which opens the database.
+const EventBroker = require('../event-broker.js');
+const { handshakeProof } = require('../bus-transport.js');
+
+const secret = 'test-bus-secret';
+
+/**
+ * Opens a raw connection to the broker and keeps the messages it receives.
+ * @param {number} port - The port of the broker.
+ * @returns {Promise<{socket: net.Socket, messages: Array<object>, send: Function, closed: Promise<void>}>}
+ */
+async function connectRaw(port) {
+    const socket = net.connect({ host: '127.0.0.1', port });
+    const messages = [];
+    let received = '';
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        const lines = (received + chunk).split('\n');
+        received = lines.pop();
+        lines.forEach(line => messages.push(JSON.parse(line)));
+    });
+    const closed = new Promise(resolve => socket.on('close', resolve));
+    await waitFor(() => messages.length > 0); // The challenge.
+    return { socket, messages, closed, send: (message) => socket.write(JSON.stringify(message) + '\n') };
+}
+
+test('the broker does not start without a secret', () => {
+    assert.throws(() => new EventBroker({ address: '127.0.0.1:0' }), /KAFKY_BUS_SECRET/);
+});
+
+describe('handshake', () => {
+    let broker;
+    let port;
+    before(async () => {
+        broker = new EventBroker({ address: '127.0.0.1:0', secret });
+        await broker.listen();
+        port = broker.server.address().port;
+    });
+    after(() => broker.close());
+
+    test('relays the lines of the processes that prove they know the secret', async () => {
+        const first = await connectRaw(port);
+        const second = await connectRaw(port);
+        for (const peer of [first, second]) {
+            const [{ kind, nonce }] = peer.messages;
+            assert.equal(kind, 'challenge');
+            peer.send({ kind: 'hello', proof: handshakeProof(secret, nonce) });
+        }
+        await waitFor(() => first.messages.length === 2 && second.messages.length === 2);
+        assert.equal(first.messages[1].kind, 'welcome');
+
+        first.send({ kind: 'event', eventName: 'test-event' });
+        await waitFor(() => second.messages.length === 3);
+        assert.deepEqual(second.messages[2], { kind: 'event', eventName: 'test-event' });
+
+        first.socket.destroy();
+        second.socket.destroy();
+    });
+
+    test('closes the connections with a wrong proof, or no handshake, without relaying anything', async () => {
+        const member = await connectRaw(port);
+        member.send({ kind: 'hello', proof: handshakeProof(secret, member.messages[0].nonce) });
+        await waitFor(() => member.messages.length === 2);
+
+        const wrongSecret = await connectRaw(port);
+        wrongSecret.send({ kind: 'hello', proof: handshakeProof('another-secret', wrongSecret.messages[0].nonce) });
+        await wrongSecret.closed;
+        assert.equal(wrongSecret.messages.at(-1).kind, 'rejected');
+
+        const noHandshake = await connectRaw(port);
+        noHandshake.send({ kind: 'event', eventName: 'injected' });
+        await noHandshake.closed;
+
+        // The proof of another connection's challenge is not valid either.
+        const replayed = await connectRaw(port);
+        replayed.send({ kind: 'hello', proof: handshakeProof(secret, member.messages[0].nonce) });
+        await replayed.closed;
+
+        await sleep(50);
+        assert.equal(member.messages.length, 2);
+        assert.equal(broker.peers.size, 1);
+        member.socket.destroy();
+    });
+});
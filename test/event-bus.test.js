@@ -0,0 +1,318 @@
+// test/event-bus.test.js - Invariants of the Kafky bus: validation, double emit, Dead-Letter Queue, ordering and consumer groups.
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, openRawDatabase, waitFor, sleep } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+
+const rawDb = openRawDatabase();
+
+describe('emit', () => {
+    test('publishes the eager event, stores it, then publishes the KAFKED event with its logId', async () => {
+        const received = [];
+        eventBus.on('incoming-message', (event) => received.push({ type: event.type, logId: event.metadata.logId }));
+        eventBus.on('incoming-message-KAFKED', (event) => received.push({ type: event.type, logId: event.metadata.logId }));
+
+        const event = new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'hello' }, { partitionKey: 1 });
+        const logId = await eventBus.emit(event);
+
+        assert.equal(typeof logId, 'number');
+        assert.deepEqual(received, [
+            { type: 'incoming-message', logId: undefined },
+            { type: 'incoming-message-KAFKED', logId }
+        ]);
+
+        const stored = await db.getEventByLogId(logId);
+        assert.equal(stored.eventId, event.eventId);
+        assert.deepEqual(stored.payload, { chatId: 1, userId: 1, messageText: 'hello' });
+    });
+
+    test('rejects an event whose payload does not match its schema: nobody receives it and it is not stored', async () => {
+        const received = [];
+        const failures = [];
+        const listener = (event) => received.push(event);
+        eventBus.on('incoming-message', listener);
+        eventBus.on('incoming-message-VALIDATION_FAILED', (event) => failures.push(event));
+        const storedBefore = await db.countEvents(['incoming-message']);
+
+        const logId = await eventBus.emit(new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: '' }));
+
+        assert.equal(logId, null);
+        assert.equal(received.length, 0);
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].payload.rejectedEvent.type, 'incoming-message');
+        assert.equal(await db.countEvents(['incoming-message']), storedBefore);
+        // The failure itself is stored, so the rejection can be audited.
+        assert.equal(await db.countEvents(['incoming-message-VALIDATION_FAILED']), 1);
+        eventBus.off('incoming-message', listener);
+    });
+
+    test('only notifies ephemeral events: they are never stored nor KAFKED', async () => {
+        const received = [];
+        eventBus.on('test-ephemeral', (event) => received.push(event.type));
+        eventBus.on('test-ephemeral-KAFKED', (event) => received.push(event.type));
+
+        const logId = await eventBus.emit(new DomainEvent('test-ephemeral', {}, { ephemeral: true }));
+
+        assert.equal(logId, null);
+        assert.deepEqual(received, ['test-ephemeral']);
+        assert.equal(await db.countEvents(['test-ephemeral']), 0);
+    });
+
+    test('stamps the node that published an event, and keeps the node of an event published elsewhere', async () => {
+        const local = await eventBus.emit(new DomainEvent('test-node-event', {}));
+        const replayed = await eventBus.emit(new DomainEvent('test-node-event', {}, { nodeId: 'node-b' }));
+
+        assert.equal((await db.getEventByLogId(local)).metadata.nodeId, eventBus.nodeId);
+        assert.equal((await db.getEventByLogId(replayed)).metadata.nodeId, 'node-b');
+    });
+
+    test('rejects anything that is not a DomainEvent', async () => {
+        const failures = [];
+        eventBus.on('unknown-event-VALIDATION_FAILED', (event) => failures.push(event));
+
+        assert.equal(await eventBus.emit({ chatId: 1, messageText: 'hello' }), null);
+        assert.equal(failures.length, 1);
+        assert.match(failures[0].payload.reason, /Malformed event envelope/);
+    });
+});
+
+describe('Dead-Letter Queue', () => {
+    test('keeps an event the Event Store rejected, notifies the failure and replays it once', async () => {
+        const failures = [];
+        eventBus.on('incoming-message-PERSISTENCE_FAILED', (event) => failures.push(event.payload));
+        await rawDb.exec(`CREATE TRIGGER fail_log BEFORE INSERT ON event_log
+            WHEN json_extract(NEW.payload, '$.payload.messageText') = 'unstorable' BEGIN SELECT RAISE(ABORT, 'disk full'); END;`);
+
+        const event = new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'unstorable' }, { partitionKey: 1 });
+        assert.equal(await eventBus.emit(event), null);
+
+        assert.equal(failures.length, 1);
+        const { deadLetterId, attempts } = failures[0];
+        assert.equal(attempts, 1);
+
+        // While the Event Store keeps failing, the replay fails too and counts the attempt.
+        const failedReplay = await eventBus.replayDeadLetter(deadLetterId);
+        assert.equal(failedReplay.replayed, false);
+        assert.equal(failedReplay.deadLetter.attempts, 2);
+
+        await rawDb.exec('DROP TRIGGER fail_log');
+        const replay = await eventBus.replayDeadLetter(deadLetterId);
+        assert.equal(replay.replayed, true);
+        assert.equal((await db.getEventByLogId(replay.logId)).eventId, event.eventId);
+
+        const secondReplay = await eventBus.replayDeadLetter(deadLetterId);
+        assert.equal(secondReplay.replayed, false);
+        assert.equal(secondReplay.logId, replay.logId);
+    });
+});
+
+describe('partitioned delivery', () => {
+    test('hands the events of a partition to an async listener one at a time, in order', async () => {
+        const handled = [];
+        let running = 0;
+        eventBus.on('test-partitioned', async (event) => {
+            running++;
+            assert.equal(running, 1, 'two events of the same partition overlapped');
+            await sleep(event.payload.index % 2 === 0 ? 20 : 1);
+            handled.push(event.payload.index);
+            running--;
+        });
+
+        for (let index = 0; index < 5; index++) {
+            eventBus.emit(new DomainEvent('test-partitioned', { index }, { partitionKey: 'chat-1', ephemeral: true }));
+        }
+
+        await waitFor(() => handled.length === 5);
+        assert.deepEqual(handled, [0, 1, 2, 3, 4]);
+    });
+
+    test('lets different partitions run concurrently', async () => {
+        const handled = [];
+        eventBus.on('test-partitions', async (event) => {
+            await sleep(event.payload.partitionKey === 'slow' ? 30 : 1);
+            handled.push(event.payload.partitionKey);
+        });
+
+        eventBus.emit(new DomainEvent('test-partitions', { partitionKey: 'slow' }, { partitionKey: 'slow', ephemeral: true }));
+        eventBus.emit(new DomainEvent('test-partitions', { partitionKey: 'fast' }, { partitionKey: 'fast', ephemeral: true }));
+
+        await waitFor(() => handled.length === 2);
+        assert.deepEqual(handled, ['fast', 'slow']);
+    });
+
+    test('keeps a partition going after one of its events fails', async () => {
+        const handled = [];
+        eventBus.on('test-partition-failure', async (event) => {
+            if (event.payload.index === 0) throw new Error('Listener failed.');
+            handled.push(event.payload.index);
+        });
+
+        eventBus.emit(new DomainEvent('test-partition-failure', { index: 0 }, { partitionKey: 'chat-1', ephemeral: true }));
+        eventBus.emit(new DomainEvent('test-partition-failure', { index: 1 }, { partitionKey: 'chat-1', ephemeral: true }));
+
+        await waitFor(() => handled.length === 1);
+        assert.deepEqual(handled, [1]);
+    });
+});
+
+describe('listener failures', () => {
+    test('dead-letter the events an async listener fails on, even without a partition key', async () => {
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+        try {
+            eventBus.on('test-unkeyed-event', async function failingListener() {
+                throw new Error('Listener failed.');
+            });
+
+            const event = new DomainEvent('test-unkeyed-event', {});
+            const logId = await eventBus.emit(event);
+            await waitFor(async () => (await db.getDeadLetters()).some(entry => entry.event_id === event.eventId));
+
+            assert.equal(typeof logId, 'number');
+            const deadLetter = (await db.getDeadLetters()).find(entry => entry.event_id === event.eventId);
+            assert.equal(deadLetter.consumer, 'listener:failingListener');
+            assert.deepEqual(unhandled, []);
+        } finally {
+            process.off('unhandledRejection', onUnhandled);
+        }
+    });
+
+    test('do not keep a listener that throws from stopping the other listeners, nor the storage of the event', async () => {
+        const received = [];
+        eventBus.on('test-throwing-listener', () => { throw new Error('Listener failed.'); });
+        eventBus.on('test-throwing-listener', () => received.push('eager'));
+        eventBus.on('test-throwing-listener-KAFKED', () => received.push('kafked'));
+
+        const logId = await eventBus.emit(new DomainEvent('test-throwing-listener', {}));
+
+        assert.equal(typeof logId, 'number');
+        assert.deepEqual(received, ['eager', 'kafked']);
+    });
+});
+
+describe('consumer groups', () => {
+    test('catch up on the stored events, then receive the live ones: once each, in logId order', async () => {
+        const stored = [];
+        for (let index = 0; index < 3; index++) {
+            stored.push(await eventBus.emit(new DomainEvent('test-group-event', { index })));
+        }
+
+        const received = [];
+        await eventBus.subscribeGroup('test-group', ['test-group-event'], async (event) => {
+            await sleep(1);
+            received.push(event.metadata.logId);
+        }, { fromBeginning: true });
+        assert.deepEqual(received, stored);
+
+        stored.push(await eventBus.emit(new DomainEvent('test-group-event', { index: 3 })));
+        await waitFor(async () => await db.getConsumerOffset('test-group') === stored[3]);
+        assert.deepEqual(received, stored);
+    });
+
+    test('resume from their committed offset', async () => {
+        const first = await eventBus.emit(new DomainEvent('test-resume-event', { index: 0 }));
+        const second = await eventBus.emit(new DomainEvent('test-resume-event', { index: 1 }));
+        await db.commitConsumerOffset('test-resume', first);
+
+        const received = [];
+        await eventBus.subscribeGroup('test-resume', ['test-resume-event'], (event) => received.push(event.metadata.logId));
+        assert.deepEqual(received, [second]);
+    });
+
+    test('start from the end of the log unless asked to start from the beginning', async () => {
+        await eventBus.emit(new DomainEvent('test-new-group-event', { index: 0 }));
+
+        const received = [];
+        await eventBus.subscribeGroup('test-new-group', ['test-new-group-event'], (event) => received.push(event.payload.index));
+        const live = await eventBus.emit(new DomainEvent('test-new-group-event', { index: 1 }));
+        await waitFor(async () => await db.getConsumerOffset('test-new-group') === live);
+
+        assert.deepEqual(received, [1]);
+    });
+
+    test('cannot be registered twice in the same process', async () => {
+        await assert.rejects(eventBus.subscribeGroup('test-group', ['test-group-event'], () => {}), /already registered/);
+    });
+
+    test('keep delivering after an offset commit fails', async () => {
+        const received = [];
+        await eventBus.subscribeGroup('test-flaky-commit', ['test-flaky-event'], (event) => received.push(event.metadata.logId));
+
+        const commitConsumerOffset = db.commitConsumerOffset;
+        let failures = 1;
+        db.commitConsumerOffset = async (...args) => {
+            if (failures-- > 0) throw new Error('SQLITE_BUSY: database is locked');
+            return commitConsumerOffset(...args);
+        };
+        try {
+            const first = await eventBus.emit(new DomainEvent('test-flaky-event', { index: 0 }));
+            const second = await eventBus.emit(new DomainEvent('test-flaky-event', { index: 1 }));
+            await waitFor(async () => await db.getConsumerOffset('test-flaky-commit') === second);
+
+            assert.deepEqual(received, [first, second]);
+            const deadLetter = (await db.getDeadLetters()).find(entry => entry.consumer === 'group:test-flaky-commit');
+            assert.match(deadLetter.error, /SQLITE_BUSY/);
+        } finally {
+            db.commitConsumerOffset = commitConsumerOffset;
+        }
+    });
+
+    test('dead-letter an event their handler fails on, and go on with the next ones', async () => {
+        const received = [];
+        await eventBus.subscribeGroup('test-failing-handler', ['test-poison-event'], (event) => {
+            if (event.payload.poison) throw new Error('Handler failed.');
+            received.push(event.metadata.logId);
+        });
+
+        const poison = new DomainEvent('test-poison-event', { poison: true });
+        await eventBus.emit(poison);
+        const next = await eventBus.emit(new DomainEvent('test-poison-event', { poison: false }));
+        await waitFor(async () => await db.getConsumerOffset('test-failing-handler') === next);
+
+        assert.deepEqual(received, [next]);
+        const deadLetter = (await db.getDeadLetters()).find(entry => entry.event_id === poison.eventId);
+        assert.equal(deadLetter.consumer, 'group:test-failing-handler');
+
+        // It's already in the Event Store: it's not stored again.
+        const replay = await eventBus.replayDeadLetter(deadLetter.id_dead_letter);
+        assert.equal(replay.replayed, false);
+        assert.match(replay.error, /already in the Event Store/);
+    });
+
+    test('stop receiving events once unsubscribed, and resume from their offset when subscribed again', async () => {
+        const received = [];
+        const unsubscribe = await eventBus.subscribeGroup('test-unsubscribe', ['test-unsubscribe-event'], (event) => received.push(event.payload.index));
+        const first = await eventBus.emit(new DomainEvent('test-unsubscribe-event', { index: 0 }));
+        await waitFor(async () => await db.getConsumerOffset('test-unsubscribe') === first);
+
+        unsubscribe();
+        await eventBus.emit(new DomainEvent('test-unsubscribe-event', { index: 1 }));
+        assert.deepEqual(received, [0]);
+
+        await eventBus.subscribeGroup('test-unsubscribe', ['test-unsubscribe-event'], (event) => received.push(event.payload.index));
+        assert.deepEqual(received, [0, 1]);
+    });
+
+    test('in a cluster, poll the Event Store until unsubscribed', async () => {
+        eventBus.clusterPollIntervalMs = 10;
+        try {
+            const received = [];
+            const unsubscribe = await eventBus.subscribeGroup('test-cluster', ['test-cluster-event'], (event) => received.push(event.payload.index));
+            await db.logEvent(new DomainEvent('test-cluster-event', { index: 0 }, { nodeId: 'node-b' }));
+            await waitFor(() => received.length === 1);
+
+            // Once unsubscribed, its timer is cleared: nothing else is delivered (and the process can exit).
+            unsubscribe();
+            await db.logEvent(new DomainEvent('test-cluster-event', { index: 1 }, { nodeId: 'node-b' }));
+            await sleep(50);
+            assert.deepEqual(received, [0]);
+        } finally {
+            eventBus.clusterPollIntervalMs = null;
+        }
+    });
+});
@@ -0,0 +1,158 @@
+// test/helpers.js - Shared setup of the test files: a throwaway database and a few async utilities.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { execFileSync, spawn } = require('child_process');
+const sqlite3 = require('sqlite3');
+
+/**
+ * Creates an empty database with `setup-db.js` (the sample users and chats, no messages) in a temporary
+ * directory and moves the process there, so `database.js` opens it instead of the real `chats.sqlite`.
+ * Call it before requiring any module of the app: the database is opened when `database.js` is loaded.
+ * (`node --test` runs each test file in its own process, so every file gets its own database.) It's deleted on exit.
+ * @returns {string} The path of the temporary directory.
+ */
+function useTemporaryDatabase() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kafky-test-'));
+    execFileSync(process.execPath, [path.join(__dirname, '..', 'setup-db.js')], { cwd: directory, stdio: 'ignore' });
+    process.chdir(directory);
+    process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Opens a connection of its own to the temporary database, to set it up (e.g., failure triggers)
+ * or inspect it behind the back of `database.js`.
+ * @returns {{exec: Function, all: Function}} Promisified `exec(sql)` and `all(sql, params)`.
+ */
+function openRawDatabase() {
+    const db = new sqlite3.Database('./chats.sqlite');
+    db.configure('busyTimeout', 5000);
+    return {
+        exec: (sql) => new Promise((resolve, reject) => db.exec(sql, (err) => err ? reject(err) : resolve())),
+        all: (sql, params = []) => new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)))
+    };
+}
+
+/**
+ * Waits until a condition holds (e.g., an async listener has run).
+ * @param {Function} condition - Returns (or resolves to) a truthy value once the wait is over.
+ * @param {number} [timeoutMs=2000] - How long to wait before failing.
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+        await sleep(10);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// The secret the servers started by `startServer` sign their tokens with.
+const TEST_AUTH_SECRET = 'test-secret';
+
+/**
+ * Starts `server.js` in a child process, on a free port and on the temporary database (see useTemporaryDatabase).
+ * @param {object} [env={}] - Extra environment variables (e.g., { KAFKY_ADMIN_TOKEN }).
+ * @returns {Promise<{url: string, stop: Function}>} The base URL of the server, and `stop()` to shut it down.
+ */
+async function startServer(env = {}) {
+    const port = await new Promise((resolve, reject) => {
+        const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        cwd: process.cwd(),
+        stdio: 'ignore',
+        env: {
+            ...process.env,
+            PORT: String(port),
+            KAFKY_AUTH_SECRET: TEST_AUTH_SECRET,
+            KAFKY_ADMIN_TOKEN: '',
+            KAFKY_LOG_FILE: path.join(process.cwd(), 'logs', 'kafky.log'),
+            ...env
+        }
+    });
+    const stopChild = () => child.kill();
+    process.on('exit', stopChild);
+
+    const url = `http://127.0.0.1:${port}`;
+    await waitFor(() => fetch(`${url}/api/users`).then(response => response.ok, () => false), 10000);
+
+    return {
+        url,
+        stop: () => new Promise(resolve => {
+            process.off('exit', stopChild);
+            if (child.exitCode !== null) return resolve();
+            child.once('exit', resolve);
+            child.kill();
+        })
+    };
+}
+
+/**
+ * A stand-in for a WebSocket: it keeps the frames sent to it.
+ * @returns {{readyState: number, frames: Array<object>, send: Function}}
+ */
+function createFakeSocket() {
+    return {
+        readyState: 1, // WebSocket.OPEN
+        frames: [],
+        send(data) { this.frames.push(JSON.parse(data)); }
+    };
+}
+
+/**
+ * Connects a WebSocket client to a server started by `startServer` and identifies it as a user
+ * (with a token signed like the ones of /api/login).
+ * `next(type)` waits for the next frame of a type the test hasn't taken yet, so frames are never missed nor taken twice.
+ * @param {string} url - The base URL of the server.
+ * @param {number} userId - The user to identify as.
+ * @returns {Promise<{frames: Array<object>, send: Function, next: Function, close: Function}>}
+ */
+async function connectClient(url, userId) {
+    const WebSocket = require('ws');
+    const { signToken } = require('../auth-token.js');
+
+    const ws = new WebSocket(url.replace(/^http/, 'ws'));
+    const frames = [];
+    const taken = new Set();
+    ws.on('message', (data) => frames.push(JSON.parse(data)));
+    await new Promise((resolve, reject) => ws.once('open', resolve).once('error', reject));
+
+    const client = {
+        frames,
+        send: (type, payload = {}) => ws.send(JSON.stringify({ type, payload })),
+        /**
+         * @param {string} type - The type of the frame (e.g., 'chat.history').
+         * @param {Function} [matches] - Only the frames whose payload it accepts.
+         * @returns {Promise<object>} The payload of the frame.
+         */
+        async next(type, matches = () => true) {
+            let frame;
+            await waitFor(() => {
+                frame = frames.find(candidate => !taken.has(candidate) && candidate.type === type && matches(candidate.payload));
+                return frame;
+            });
+            taken.add(frame);
+            return frame.payload;
+        },
+        close: () => new Promise(resolve => {
+            if (ws.readyState === WebSocket.CLOSED) return resolve();
+            ws.once('close', resolve);
+            ws.close();
+        })
+    };
+
+    client.send('user.identify', { token: signToken({ sub: userId }, { secret: TEST_AUTH_SECRET }).token });
+    await client.next('auth.succeeded');
+    return client;
+}
+
+module.exports = { useTemporaryDatabase, openRawDatabase, waitFor, sleep, createFakeSocket, startServer, connectClient, TEST_AUTH_SECRET };
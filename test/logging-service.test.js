@@ -0,0 +1,94 @@
+// test/logging-service.test.js - The log events of the services, filtered by level and written to the console and a JSON-lines file.
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTemporaryDatabase, waitFor } = require('./helpers.js');
+
+useTemporaryDatabase(); // The bus opens the database.
+const db = require('../database.js');
+const LoggingService = require('../logging-service.js');
+const { createLogger } = require('../logger.js');
+
+let logFile = 0;
+/**
+ * A log file of its own for each LoggingService of the tests, in the temporary directory.
+ * @returns {string}
+ */
+const newLogFile = () => path.join(process.cwd(), 'logs', `test-${++logFile}.log`);
+
+/**
+ * The JSON lines of a log file, once it has at least `count` of them (the file is written asynchronously).
+ * @returns {Promise<Array<object>>}
+ */
+async function readLines(filePath, count) {
+    const lines = () => fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line !== '') : [];
+    await waitFor(() => lines().length >= count);
+    return lines().map(line => JSON.parse(line));
+}
+
+const logEvent = (service, message, details, correlationId) => ({ payload: { service, message, details, correlationId } });
+
+// The console is taken over by the tests: they check what is printed, and keep the output of the runner clean.
+const consoleMocks = {};
+beforeEach(() => {
+    for (const method of ['log', 'warn', 'error']) consoleMocks[method] = mock.method(console, method, () => {}).mock;
+});
+afterEach(() => mock.restoreAll());
+const consoleCalls = (method) => consoleMocks[method].calls.map(call => call.arguments);
+
+describe('LoggingService', () => {
+    test('writes the events at or above its level, to the console and as JSON lines', async () => {
+        const filePath = newLogFile();
+        const service = new LoggingService({ level: 'warn', filePath });
+        service.openFile();
+        const error = new Error('disk full');
+
+        service.write('info', logEvent('Dispatcher', 'hidden'));
+        service.write('warn', logEvent('Dispatcher', 'room is empty'));
+        service.write('error', logEvent('Database', 'write failed', { error }, 'correlation-1'));
+
+        assert.deepEqual(consoleCalls('log'), []);
+        assert.deepEqual(consoleCalls('warn'), [['[Dispatcher] room is empty']]);
+        assert.deepEqual(consoleCalls('error'), [['[Database] write failed', { error }]]);
+
+        const [{ timestamp, ...warning }, failure] = await readLines(filePath, 2);
+        assert.deepEqual(warning, { level: 'warn', service: 'Dispatcher', message: 'room is empty', details: {}, correlationId: null });
+        assert.ok(Date.parse(timestamp));
+        assert.equal(failure.correlationId, 'correlation-1');
+        assert.deepEqual(failure.details.error, { name: 'Error', message: 'disk full', stack: error.stack });
+    });
+
+    test('falls back to the info level if the configured one is unknown', () => {
+        assert.equal(new LoggingService({ level: 'debug', filePath: newLogFile() }).level, 'info');
+        assert.match(consoleCalls('warn')[0][0], /Unknown log level 'debug'/);
+    });
+
+    test('rotates the file when a line does not fit, and only keeps maxFiles rotated files', async () => {
+        const filePath = newLogFile();
+        const service = new LoggingService({ filePath, maxFileSizeBytes: 200, maxFiles: 2 });
+        service.openFile();
+
+        // Each line takes more than half of the maximum size: every new line rotates the file.
+        for (let index = 1; index <= 4; index++) service.write('info', logEvent('Test', `line ${index}`));
+
+        assert.deepEqual((await readLines(filePath, 1)).map(line => line.message), ['line 4']);
+        assert.deepEqual((await readLines(`${filePath}.1`, 1)).map(line => line.message), ['line 3']);
+        assert.deepEqual((await readLines(`${filePath}.2`, 1)).map(line => line.message), ['line 2']);
+        assert.equal(fs.existsSync(`${filePath}.3`), false);
+    });
+
+    test('writes the log events published by the services, which never reach the Event Store', async () => {
+        const filePath = newLogFile();
+        new LoggingService({ filePath }).listen();
+
+        createLogger('Gateway').warn('Client sent an unknown event.', { type: 'chat.unknown' }, 'correlation-2');
+
+        await waitFor(() => fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8').includes('Client sent an unknown event.'));
+        const lines = await readLines(filePath, 2);
+        assert.equal(lines[0].message, `Logging service initialized (level: info, file: ${filePath}).`);
+        const { level, service, details, correlationId } = lines.find(line => line.message === 'Client sent an unknown event.');
+        assert.deepEqual({ level, service, details, correlationId }, { level: 'warn', service: 'Gateway', details: { type: 'chat.unknown' }, correlationId: 'correlation-2' });
+        assert.deepEqual((await db.queryEvents({ eventType: ['log:info', 'log:warn', 'log:error'] })).events, []);
+    });
+});
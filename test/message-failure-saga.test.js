@@ -0,0 +1,44 @@
+// test/message-failure-saga.test.js - The sender is told when their message won't reach the read model.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, openRawDatabase, waitFor, createFakeSocket } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+const MessageFailureSaga = require('../message-failure-saga.js');
+
+const rawDb = openRawDatabase();
+
+// Two tabs of the sender (user 1) and one of another user.
+const senderTabs = [createFakeSocket(), createFakeSocket()];
+const otherUserTab = createFakeSocket();
+const clients = new Map([[1, senderTabs], [2, [otherUserTab]]]);
+
+before(() => new MessageFailureSaga(db, clients).listen());
+
+const failuresOf = (socket) => socket.frames.filter(frame => frame.type === 'chat.message.failed').map(frame => frame.payload);
+
+describe('MessageFailureSaga', () => {
+    test('tells every tab of the sender that a message could not be projected', async () => {
+        eventBus.emit(new DomainEvent('message-projection-failed', { chatId: 1, userId: 1, clientMessageId: 'saga-1', reason: 'disk full' }, { partitionKey: 1 }));
+
+        await waitFor(() => senderTabs.every(socket => failuresOf(socket).length === 1));
+        for (const socket of senderTabs) {
+            assert.deepEqual(failuresOf(socket), [{ chatId: 1, clientMessageId: 'saga-1', reason: 'The message could not be sent. Try again.' }]);
+        }
+        assert.deepEqual(failuresOf(otherUserTab), []);
+    });
+
+    test('tells the sender that a message could not be stored, from its Dead-Letter entry', async () => {
+        await rawDb.exec(`CREATE TRIGGER fail_log BEFORE INSERT ON event_log
+            WHEN json_extract(NEW.payload, '$.payload.clientMessageId') = 'saga-2' BEGIN SELECT RAISE(ABORT, 'disk full'); END;`);
+
+        await eventBus.emit(new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'lost', clientMessageId: 'saga-2' }, { partitionKey: 1 }));
+
+        await waitFor(() => failuresOf(senderTabs[0]).length === 2);
+        assert.equal(failuresOf(senderTabs[0])[1].clientMessageId, 'saga-2');
+        await rawDb.exec('DROP TRIGGER fail_log');
+    });
+});
@@ -0,0 +1,66 @@
+// test/metrics.test.js - The metrics registry and its Prometheus text exposition format.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics.js');
+
+/**
+ * The lines rendered for one metric (its samples and its HELP and TYPE headers).
+ * @param {string} name - The metric name.
+ * @returns {Array<string>}
+ */
+const renderedLines = (name) => metrics.render().split('\n').filter(line => line.includes(name));
+
+test('a counter without labels is exported from the start, and adds up', () => {
+    const counter = metrics.counter('test_plain_total', 'A counter without labels.');
+    assert.deepEqual(renderedLines('test_plain_total'), [
+        '# HELP test_plain_total A counter without labels.',
+        '# TYPE test_plain_total counter',
+        'test_plain_total 0'
+    ]);
+
+    counter.inc();
+    counter.inc({}, 2);
+    assert.equal(renderedLines('test_plain_total').at(-1), 'test_plain_total 3');
+});
+
+test('a labeled counter keeps a sample per label values, and escapes them', () => {
+    const counter = metrics.counter('test_labeled_total', 'A labeled counter.', ['type']);
+    counter.inc({ type: 'a' });
+    counter.inc({ type: 'a' });
+    counter.inc({ type: 'say "hi"\\\n' });
+
+    assert.deepEqual(renderedLines('test_labeled_total').slice(2), [
+        'test_labeled_total{type="a"} 2',
+        'test_labeled_total{type="say \\"hi\\"\\\\\\n"} 1'
+    ]);
+});
+
+test('a gauge is read when the metrics are rendered', () => {
+    let connections = 1;
+    metrics.gauge('test_connections', 'A plain gauge.', () => connections);
+    metrics.gauge('test_room_members', 'A labeled gauge.', () => [{ labels: { room: 'r1' }, value: connections * 2 }], ['room']);
+
+    connections = 5;
+    assert.equal(renderedLines('test_connections').at(-1), 'test_connections 5');
+    assert.equal(renderedLines('test_room_members').at(-1), 'test_room_members{room="r1"} 10');
+});
+
+test('a histogram counts observations in cumulative buckets, with their sum and count', () => {
+    const histogram = metrics.histogram('test_latency_seconds', 'A histogram.', [0.1, 1]);
+    histogram.observe(0.05);
+    histogram.observe(0.5);
+    histogram.observe(2);
+
+    assert.deepEqual(renderedLines('test_latency_seconds').slice(2), [
+        'test_latency_seconds_bucket{le="0.1"} 1',
+        'test_latency_seconds_bucket{le="1"} 2',
+        'test_latency_seconds_bucket{le="+Inf"} 3',
+        'test_latency_seconds_sum 2.55',
+        'test_latency_seconds_count 3'
+    ]);
+});
+
+test('a metric name can only be registered once', () => {
+    metrics.counter('test_unique_total', 'Registered once.');
+    assert.throws(() => metrics.counter('test_unique_total', 'Registered twice.'), /already registered/);
+});
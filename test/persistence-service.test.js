@@ -0,0 +1,363 @@
+// test/persistence-service.test.js - The projector: idempotency, deduplication of resends, corrections, receipts, memberships and rebuilding of the read model.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, openRawDatabase, waitFor } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+const PersistenceService = require('../persistence-service.js');
+
+const rawDb = openRawDatabase();
+const persistenceService = new PersistenceService(db);
+
+// What the projector published, and every stored 'incoming-message' by logId (to deliver it again).
+const published = { projected: [], ignored: [], failed: [], updated: [], receipts: [] };
+const kafkedMessages = new Map();
+eventBus.on('message-projected', (event) => published.projected.push(event.payload));
+eventBus.on('duplicate-message-ignored', (event) => published.ignored.push(event.payload));
+eventBus.on('message-projection-failed', (event) => published.failed.push(event.payload));
+eventBus.on('message-updated', (event) => published.updated.push(event.payload));
+eventBus.on('receipt-projected', (event) => published.receipts.push(event.payload));
+eventBus.on('incoming-message-KAFKED', (event) => kafkedMessages.set(event.metadata.logId, event));
+const kafkedCorrections = new Map();
+['message-edited', 'message-deleted'].forEach(type => {
+    eventBus.on(`${type}-KAFKED`, (event) => kafkedCorrections.set(event.metadata.logId, event));
+});
+const kafkedReceipts = new Map();
+['message-delivered', 'message-read'].forEach(type => {
+    eventBus.on(`${type}-KAFKED`, (event) => kafkedReceipts.set(event.metadata.logId, event));
+});
+const membershipChanges = [];
+const kafkedMemberships = new Map();
+eventBus.on('membership-projected', (event) => membershipChanges.push(event.payload));
+['chat-created', 'member-added', 'member-removed'].forEach(type => {
+    eventBus.on(`${type}-KAFKED`, (event) => kafkedMemberships.set(event.metadata.logId, event));
+});
+
+/**
+ * Publishes a message like the Gateway does and waits until the projector is done with it.
+ * @returns {Promise<number>} The logId of the 'incoming-message'.
+ */
+async function sendMessage(chatId, userId, messageText, clientMessageId) {
+    const logId = await eventBus.emit(new DomainEvent('incoming-message', { chatId, userId, messageText, clientMessageId }, { partitionKey: chatId }));
+    await waitFor(async () => await db.getConsumerOffset('persistence-service') >= logId);
+    return logId;
+}
+
+/**
+ * Publishes a correction like the Gateway does and waits until the projector is done with it.
+ * @returns {Promise<number>} The logId of the correction.
+ */
+async function correctMessage(type, messageId, messageText) {
+    const message = await db.getMessageById(messageId);
+    const payload = { messageId, sourceLogId: await db.getLogIdByMessageId(messageId), chatId: message.id_chat, userId: message.id_user };
+    if (messageText) payload.messageText = messageText;
+    const logId = await eventBus.emit(new DomainEvent(type, payload, { partitionKey: message.id_chat }));
+    await waitFor(async () => await db.getConsumerOffset('persistence-service') >= logId);
+    return logId;
+}
+
+/**
+ * Publishes a receipt like the ReceiptService (delivered) or the Gateway (read) does and waits until the projector is done with it.
+ * @returns {Promise<number>} The logId of the receipt.
+ */
+async function recordReceipt(type, chatId, userId, messageId) {
+    const logId = await eventBus.emit(new DomainEvent(type, { chatId, userId, messageId }, { partitionKey: chatId }));
+    await waitFor(async () => await db.getConsumerOffset('persistence-service') >= logId);
+    return logId;
+}
+
+/**
+ * Publishes a membership event like the Gateway does and waits until the projector is done with it.
+ * @returns {Promise<number>} The logId of the event.
+ */
+async function changeMembership(type, payload) {
+    const logId = await eventBus.emit(new DomainEvent(type, payload, { partitionKey: payload.chatId }));
+    await waitFor(async () => await db.getConsumerOffset('persistence-service') >= logId);
+    return logId;
+}
+
+// The read model as the clients see it (timestamps left aside: the rebuild takes them from the events).
+const readModel = () => rawDb.all(`
+    SELECT id_message, id_chat, id_user, message, client_message_id, edited_at IS NOT NULL AS edited, deleted_at IS NOT NULL AS deleted
+    FROM messages ORDER BY id_message`);
+
+before(() => persistenceService.listen());
+
+describe('projection', () => {
+    test('projects each incoming message once, even if it is delivered again', async () => {
+        const projectedBefore = published.projected.length;
+        const logId = await sendMessage(1, 1, 'hello', 'projection-1');
+        assert.equal(published.projected.length, projectedBefore + 1);
+        const message = published.projected.at(-1);
+        assert.equal(message.message, 'hello');
+        assert.equal(await db.getMessageIdByLogId(logId), message.id_message);
+        const messagesBefore = await readModel();
+
+        await persistenceService.projectIncomingMessage(kafkedMessages.get(logId));
+
+        assert.equal(published.projected.length, projectedBefore + 1);
+        assert.deepEqual(await readModel(), messagesBefore);
+        assert.equal(await db.getProjectorCheckpoint('messages'), logId);
+    });
+
+    test('ignores a resend (same clientMessageId) and acknowledges the original message again', async () => {
+        await sendMessage(1, 1, 'sent twice', 'resend-1');
+        const original = published.projected.at(-1);
+        const projectedBefore = published.projected.length;
+        const messagesBefore = await readModel();
+
+        await sendMessage(1, 1, 'sent twice', 'resend-1');
+
+        assert.equal(published.projected.length, projectedBefore);
+        assert.equal(published.ignored.at(-1).id_message, original.id_message);
+        assert.equal(published.ignored.at(-1).clientMessageId, 'resend-1');
+        assert.deepEqual(await readModel(), messagesBefore);
+    });
+
+    test('only deduplicates the resends of the same user', async () => {
+        await sendMessage(1, 1, 'same client ID', 'resend-2');
+        await sendMessage(1, 2, 'same client ID', 'resend-2');
+
+        const [first, second] = published.projected.slice(-2);
+        assert.equal(first.id_user, 1);
+        assert.equal(second.id_user, 2);
+    });
+
+    test('publishes the failure of a projection, and a retry of the message is projected', async () => {
+        await rawDb.exec(`CREATE TRIGGER fail_projection BEFORE INSERT ON messages
+            WHEN NEW.message = 'doomed' BEGIN SELECT RAISE(ABORT, 'disk full'); END;`);
+        await sendMessage(1, 2, 'doomed', 'failure-1');
+        assert.deepEqual(published.failed.at(-1), { chatId: 1, userId: 2, clientMessageId: 'failure-1', reason: 'SQLITE_CONSTRAINT: disk full' });
+
+        await rawDb.exec('DROP TRIGGER fail_projection');
+        await sendMessage(1, 2, 'doomed', 'failure-1');
+        assert.equal(published.projected.at(-1).message, 'doomed');
+        assert.equal(published.projected.at(-1).client_message_id, 'failure-1');
+    });
+
+    test('leaves no trace of a failed projection: neither the message nor the checkpoint', async () => {
+        await rawDb.exec(`CREATE TRIGGER fail_mapping BEFORE INSERT ON message_projections BEGIN SELECT RAISE(ABORT, 'disk full'); END;`);
+        const checkpointBefore = await db.getProjectorCheckpoint('messages');
+        const messagesBefore = await readModel();
+
+        await assert.rejects(db.projectMessage('messages', checkpointBefore + 100, 1, 1, 'half-written'), /disk full/);
+        await rawDb.exec('DROP TRIGGER fail_mapping');
+
+        assert.deepEqual(await readModel(), messagesBefore);
+        assert.equal(await db.getProjectorCheckpoint('messages'), checkpointBefore);
+    });
+});
+
+describe('corrections', () => {
+    test('an edit replaces the text, and publishes the corrected message', async () => {
+        await sendMessage(1, 2, 'see you at 8', 'correction-1');
+        const { id_message } = published.projected.at(-1);
+
+        await correctMessage('message-edited', id_message, 'see you at 9');
+
+        const updated = published.updated.at(-1);
+        assert.equal(updated.id_message, id_message);
+        assert.equal(updated.message, 'see you at 9');
+        assert.ok(updated.edited_at);
+        assert.equal(updated.deleted_at, null);
+    });
+
+    test('a deletion leaves a tombstone, which cannot be edited anymore', async () => {
+        await sendMessage(1, 2, 'wrong chat', 'correction-2');
+        const { id_message } = published.projected.at(-1);
+
+        await correctMessage('message-deleted', id_message);
+        const tombstone = published.updated.at(-1);
+        assert.equal(tombstone.id_message, id_message);
+        assert.equal(tombstone.message, null);
+        assert.ok(tombstone.deleted_at);
+
+        const updatesBefore = published.updated.length;
+        await correctMessage('message-edited', id_message, 'back again');
+        assert.equal(published.updated.length, updatesBefore);
+        const [row] = (await readModel()).filter(message => message.id_message === id_message);
+        assert.equal(row.message, null);
+        assert.equal(row.deleted, 1);
+    });
+
+    test('applies a correction once, even if it is delivered again', async () => {
+        await sendMessage(1, 1, 'draft', 'correction-3');
+        const { id_message } = published.projected.at(-1);
+        const firstLogId = await correctMessage('message-edited', id_message, 'first edit');
+        await correctMessage('message-edited', id_message, 'second edit');
+        const updatesBefore = published.updated.length;
+
+        await persistenceService.projectMessageCorrection(kafkedCorrections.get(firstLogId));
+
+        assert.equal(published.updated.length, updatesBefore);
+        assert.equal((await db.getMessageById(id_message)).message, 'second edit');
+    });
+});
+
+describe('receipts', () => {
+    test('moves the read positions only forward, and a read message is also delivered', async () => {
+        for (const [index, text] of ['one', 'two', 'three'].entries()) await sendMessage(1, 2, text, `receipts-${index}`);
+        const [first, second, third] = published.projected.slice(-3).map(message => message.id_message);
+        const position = (lastDeliveredId, lastReadId) => ({ chatId: 1, userId: 1, lastDeliveredId, lastReadId });
+
+        await recordReceipt('message-delivered', 1, 1, second);
+        assert.deepEqual(published.receipts.at(-1), position(second, 0));
+        await recordReceipt('message-read', 1, 1, first);
+        assert.deepEqual(published.receipts.at(-1), position(second, first));
+        await recordReceipt('message-read', 1, 1, third);
+        assert.deepEqual(published.receipts.at(-1), position(third, third));
+        await recordReceipt('message-delivered', 1, 1, first);
+        assert.deepEqual(published.receipts.at(-1), position(third, third));
+
+        assert.deepEqual(await db.getReadPosition(1, 1), { last_delivered_id: third, last_read_id: third });
+    });
+
+    test('projects a receipt once, even if it is delivered again', async () => {
+        await sendMessage(1, 1, 'read me', 'receipts-3');
+        const { id_message } = published.projected.at(-1);
+        const logId = await recordReceipt('message-read', 1, 2, id_message);
+        const receiptsBefore = published.receipts.length;
+
+        await persistenceService.projectReceipt(kafkedReceipts.get(logId));
+
+        assert.equal(published.receipts.length, receiptsBefore);
+        assert.deepEqual(await db.getReadPosition(1, 2), { last_delivered_id: id_message, last_read_id: id_message });
+    });
+});
+
+describe('memberships', () => {
+    test('projects a new group with its members (the creator included), and publishes who is in it', async () => {
+        await changeMembership('chat-created', { name: 'Weekend', createdBy: 2, memberIds: [3] });
+
+        const { chatId, change, userIds } = membershipChanges.at(-1);
+        assert.equal(change, 'created');
+        assert.deepEqual(userIds, [2, 3]);
+        assert.deepEqual(await db.getChatParticipants(chatId), [2, 3]);
+        assert.deepEqual(await db.getChat(chatId), { id_chat: chatId, name: 'Weekend', is_group: 1, created_by: 2 });
+    });
+
+    test('adds and removes members once, even if the event is delivered again', async () => {
+        await changeMembership('chat-created', { name: 'Book club', createdBy: 1, memberIds: [2] });
+        const { chatId } = membershipChanges.at(-1);
+
+        await changeMembership('member-added', { chatId, userId: 3, addedBy: 1 });
+        assert.deepEqual(membershipChanges.at(-1), { chatId, change: 'added', userIds: [3] });
+        assert.deepEqual(await db.getChatParticipants(chatId), [1, 2, 3]);
+
+        const removedLogId = await changeMembership('member-removed', { chatId, userId: 2, removedBy: 1 });
+        assert.deepEqual(membershipChanges.at(-1), { chatId, change: 'removed', userIds: [2] });
+        assert.deepEqual(await db.getChatParticipants(chatId), [1, 3]);
+
+        const changesBefore = membershipChanges.length;
+        await persistenceService.projectMembershipEvent(kafkedMemberships.get(removedLogId));
+        assert.equal(membershipChanges.length, changesBefore);
+        assert.equal(await db.isChatMember(chatId, 2), false);
+    });
+
+    test('publishes nothing when the membership does not change', async () => {
+        await changeMembership('chat-created', { name: 'Quiet', createdBy: 1, memberIds: [2] });
+        const { chatId } = membershipChanges.at(-1);
+        const changesBefore = membershipChanges.length;
+
+        await changeMembership('member-removed', { chatId, userId: 3, removedBy: 1 }); // Luisa was never in it.
+
+        assert.equal(membershipChanges.length, changesBefore);
+        assert.deepEqual(await db.getChatParticipants(chatId), [1, 2]);
+    });
+});
+
+describe('rebuildReadModel', () => {
+    test('rebuilds the same read model: same IDs and corrections, read positions pulled back to existing messages', async () => {
+        // A message whose live projection failed, and was then retried by the client.
+        await rawDb.exec(`CREATE TRIGGER fail_projection BEFORE INSERT ON messages
+            WHEN NEW.message = 'retried' BEGIN SELECT RAISE(ABORT, 'disk full'); END;`);
+        await sendMessage(1, 2, 'retried', 'rebuild-1');
+        await rawDb.exec('DROP TRIGGER fail_projection');
+        await sendMessage(1, 2, 'retried', 'rebuild-1');
+
+        await sendMessage(2, 3, 'to be edited', 'rebuild-2');
+        await sendMessage(2, 1, 'to be deleted', 'rebuild-3');
+        const [edited, deleted] = published.projected.slice(-2).map(message => message.id_message);
+        await correctMessage('message-edited', edited, 'edited');
+        await correctMessage('message-deleted', deleted);
+        // A read position beyond the last message of the chat (e.g., from a message the rebuild won't keep).
+        await rawDb.exec(`INSERT OR REPLACE INTO chat_read_positions (id_chat, id_user, last_delivered_id, last_read_id) VALUES (2, 3, 999, 999)`);
+
+        const before = await readModel();
+        await persistenceService.rebuildReadModel({ batchSize: 2 });
+
+        assert.deepEqual(await readModel(), before);
+        assert.deepEqual(await db.getReadPosition(2, 3), { last_delivered_id: deleted, last_read_id: deleted });
+
+        // The projector goes on where the rebuild left off, without reusing any ID.
+        await sendMessage(1, 1, 'after the rebuild', 'rebuild-4');
+        assert.equal(published.projected.at(-1).id_message, before.at(-1).id_message + 1);
+    });
+
+    test('gives new IDs that the live projector never hands out, even if it projects messages during the rebuild', async () => {
+        // An 'incoming-message' stored but never projected: the rebuild gives it a new ID.
+        const { eventId: unprojectedLogId } = await db.logEvent(new DomainEvent('incoming-message',
+            { chatId: 1, userId: 1, messageText: 'never projected', clientMessageId: 'rebuild-5' }, { partitionKey: 1 }));
+
+        // A live message, projected after the rebuild has replayed every event and before it swaps the tables.
+        const getEventsAfter = db.getEventsAfter;
+        let liveLogId = null;
+        db.getEventsAfter = async (...args) => {
+            const page = await getEventsAfter(...args);
+            if (page.length < 2 && liveLogId === null) liveLogId = await sendMessage(1, 2, 'during the rebuild', 'rebuild-6');
+            return page;
+        };
+        try {
+            await persistenceService.rebuildReadModel({ batchSize: 2 });
+        } finally {
+            db.getEventsAfter = getEventsAfter;
+        }
+
+        const liveMessageId = await db.getMessageIdByLogId(liveLogId);
+        const rebuiltMessageId = await db.getMessageIdByLogId(unprojectedLogId);
+        assert.equal(published.projected.at(-1).id_message, liveMessageId);
+        assert.equal(rebuiltMessageId, liveMessageId + 1);
+        const messages = await readModel();
+        assert.equal(messages.find(message => message.id_message === liveMessageId).message, 'during the rebuild');
+        assert.equal(messages.find(message => message.id_message === rebuiltMessageId).message, 'never projected');
+
+        await sendMessage(1, 1, 'after the rebuild', 'rebuild-7');
+        assert.equal(published.projected.at(-1).id_message, rebuiltMessageId + 1);
+    });
+
+    test('keeps the columns, indexes and triggers of the live tables', async () => {
+        await rawDb.exec(`
+            ALTER TABLE messages ADD COLUMN test_flag TEXT;
+            CREATE INDEX idx_test_messages_chat ON messages (id_chat, created_at);
+            CREATE TRIGGER test_messages_flag AFTER UPDATE OF message ON messages
+                BEGIN UPDATE messages SET test_flag = 'updated' WHERE id_message = NEW.id_message; END;`);
+        const schema = () => rawDb.all(`SELECT type, name, sql FROM sqlite_master WHERE tbl_name IN ('messages', 'message_projections') AND type != 'table' ORDER BY name`);
+        const schemaBefore = await schema();
+
+        await persistenceService.rebuildReadModel();
+
+        assert.deepEqual(await schema(), schemaBefore);
+        assert.ok(schemaBefore.some(({ name }) => name === 'idx_messages_client_id'));
+        const columns = await rawDb.all(`PRAGMA table_info(messages)`);
+        assert.ok(columns.some(({ name }) => name === 'test_flag'));
+
+        // The trigger still runs on the rebuilt table.
+        await sendMessage(1, 1, 'to be flagged', 'rebuild-8');
+        await correctMessage('message-edited', published.projected.at(-1).id_message, 'flagged');
+        const [{ test_flag }] = await rawDb.all(`SELECT test_flag FROM messages WHERE message = 'flagged'`);
+        assert.equal(test_flag, 'updated');
+    });
+
+    test('refuses to drop messages that no event backs, and leaves the read model untouched', async () => {
+        await rawDb.exec(`INSERT INTO messages (id_chat, id_user, message) VALUES (1, 1, 'seeded')`);
+        const before = await readModel();
+
+        await assert.rejects(persistenceService.rebuildReadModel(), /1 messages of the read model are not backed by any event/);
+
+        assert.deepEqual(await readModel(), before);
+        await rawDb.exec(`DELETE FROM messages WHERE message = 'seeded'`);
+    });
+});
@@ -0,0 +1,71 @@
+// test/presence-service.test.js - Who is online, and when the users they share a chat with are told.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, waitFor, sleep, createFakeSocket } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+const PresenceService = require('../presence-service.js');
+
+before(() => new PresenceService(db).listen());
+
+// Like the Auth service and the Gateway, with the socket in the transient context.
+const authenticate = (userId, socket) => eventBus.emit(new DomainEvent('user-authenticated', { userId }, {}, { socket }));
+const disconnect = (userId, socket) => eventBus.emit(new DomainEvent('connection-closed', { userId, chatId: null }, {}, { socket }));
+
+const framesOf = (socket, type) => socket.frames.filter(frame => frame.type === type).map(frame => frame.payload);
+const updatesAbout = (socket, userId) => framesOf(socket, 'presence.update').filter(update => update.userId === userId);
+const byUser = (first, second) => first.userId - second.userId;
+
+// Manolo (1) shares chat 1 with Pepe (2) and chat 2 with Luisa (3). Pepe and Luisa share none.
+const manoloTab = createFakeSocket();
+const luisaTab = createFakeSocket();
+const pepeTabs = [createFakeSocket(), createFakeSocket()];
+
+describe('PresenceService', () => {
+    test('sends each new connection the presence of the peers of its user', async () => {
+        authenticate(3, luisaTab);
+        await waitFor(() => framesOf(luisaTab, 'presence.snapshot').length === 1);
+        authenticate(1, manoloTab);
+
+        await waitFor(() => framesOf(manoloTab, 'presence.snapshot').length === 1);
+        assert.deepEqual(framesOf(manoloTab, 'presence.snapshot')[0].sort(byUser), [
+            { userId: 2, online: false, lastSeenAt: null },
+            { userId: 3, online: true, lastSeenAt: null }
+        ]);
+        await waitFor(() => framesOf(luisaTab, 'presence.update').length === 1);
+        assert.deepEqual(framesOf(luisaTab, 'presence.update'), [{ userId: 1, online: true, lastSeenAt: null }]);
+    });
+
+    test('tells the peers when a user opens their first connection, and only then', async () => {
+        authenticate(2, pepeTabs[0]);
+
+        await waitFor(() => updatesAbout(manoloTab, 2).length === 1);
+        assert.deepEqual(updatesAbout(manoloTab, 2), [{ userId: 2, online: true, lastSeenAt: null }]);
+        await waitFor(() => framesOf(pepeTabs[0], 'presence.snapshot').length === 1);
+        assert.deepEqual(framesOf(pepeTabs[0], 'presence.snapshot')[0], [{ userId: 1, online: true, lastSeenAt: null }]);
+
+        authenticate(2, pepeTabs[1]);
+        await waitFor(() => framesOf(pepeTabs[1], 'presence.snapshot').length === 1);
+        await sleep(50);
+        assert.equal(updatesAbout(manoloTab, 2).length, 1);
+    });
+
+    test('tells the peers when the last connection of a user closes, and saves when they were last seen', async () => {
+        disconnect(2, pepeTabs[0]);
+        await sleep(50);
+        assert.equal(updatesAbout(manoloTab, 2).length, 1);
+
+        disconnect(2, pepeTabs[1]);
+        await waitFor(() => updatesAbout(manoloTab, 2).length === 2);
+        const { online, lastSeenAt } = updatesAbout(manoloTab, 2)[1];
+        assert.equal(online, false);
+        assert.ok(Date.parse(lastSeenAt));
+
+        await waitFor(async () => (await db.getChatPeers(1)).some(peer => peer.id_user === 2 && peer.last_seen_at === lastSeenAt));
+        // Luisa shares no chat with Pepe: she is never told about him.
+        assert.deepEqual(updatesAbout(luisaTab, 2), []);
+    });
+});
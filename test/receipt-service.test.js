@@ -0,0 +1,57 @@
+// test/receipt-service.test.js - What the Dispatcher delivered becomes 'message-delivered' events.
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, waitFor, sleep } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const eventBus = require('../event-bus.js');
+const DomainEvent = require('../domain-event.js');
+const ReceiptService = require('../receipt-service.js');
+
+const deliveries = [];
+eventBus.on('message-delivered', (event) => deliveries.push(event.payload));
+
+before(() => new ReceiptService(db).listen());
+
+/**
+ * Publishes what the Dispatcher publishes after writing a message of chat 1 to the sockets of its room.
+ */
+function dispatch(messageId, authorId, recipientIds) {
+    eventBus.emit(new DomainEvent('message-dispatched', {
+        dispatchedMessage: { id_message: messageId, id_chat: 1, id_user: authorId },
+        targetChatId: 1,
+        recipientIds
+    }, { partitionKey: 1 }));
+}
+
+describe('ReceiptService', () => {
+    test('records the delivery of a message to every recipient but its author', async () => {
+        dispatch(5, 1, [1, 2]);
+
+        await waitFor(() => deliveries.length === 1);
+        await sleep(50);
+        assert.deepEqual(deliveries, [{ chatId: 1, userId: 2, messageId: 5 }]);
+    });
+
+    test('records nothing for a message the recipient had already received', async () => {
+        await db.projectReceipt('test-receipts', 1, 'delivered', 1, 2, 10);
+        const deliveriesBefore = deliveries.length;
+
+        dispatch(8, 1, [2]);
+        dispatch(10, 1, [2]);
+        await sleep(100);
+
+        assert.equal(deliveries.length, deliveriesBefore);
+    });
+
+    test('records the history sent when a chat is opened as delivered, if it has messages', async () => {
+        eventBus.emit(new DomainEvent('user-in-room', { chatId: 1, userId: 1, lastMessageId: 12 }, { partitionKey: 1 }));
+        eventBus.emit(new DomainEvent('user-in-room', { chatId: 2, userId: 3, lastMessageId: 0 }, { partitionKey: 2 }));
+
+        await waitFor(() => deliveries.some(({ userId }) => userId === 1));
+        await sleep(50);
+        assert.deepEqual(deliveries.at(-1), { chatId: 1, userId: 1, messageId: 12 });
+        assert.equal(deliveries.some(({ chatId }) => chatId === 2), false);
+    });
+});
@@ -0,0 +1,364 @@
+// test/server.test.js - The HTTP routes of the Gateway, against a real `server.js` process.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase, startServer, connectClient, sleep, TEST_AUTH_SECRET } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const DomainEvent = require('../domain-event.js');
+const { signToken } = require('../auth-token.js');
+
+// The Authorization header of a logged in user (as if they had gone through /api/login).
+const userAuthorization = (userId) => ({ Authorization: `Bearer ${signToken({ sub: userId }, { secret: TEST_AUTH_SECRET }).token}` });
+
+/**
+ * Stores an event in the Dead-Letter Queue, as the bus does when the Event Store rejects it.
+ * @returns {Promise<number>} The ID of the Dead-Letter entry.
+ */
+async function addDeadLetter() {
+    const event = new DomainEvent('incoming-message', { chatId: 1, userId: 1, messageText: 'dead-lettered' }, { partitionKey: 1 });
+    const { deadLetterId } = await db.addDeadLetter(event, new Error('disk full'));
+    return deadLetterId;
+}
+
+describe('login', () => {
+    describe('by default', () => {
+        let server;
+        before(async () => { server = await startServer(); });
+        after(() => server.stop());
+
+        test('issues no token', async () => {
+            const response = await fetch(`${server.url}/api/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username: 'Manolo' })
+            });
+
+            assert.equal(response.status, 403);
+            assert.equal((await response.json()).token, undefined);
+        });
+    });
+
+    describe('with KAFKY_DEV_LOGIN=true', () => {
+        let server;
+        before(async () => { server = await startServer({ KAFKY_DEV_LOGIN: 'true' }); });
+        after(() => server.stop());
+
+        const login = (username) => fetch(`${server.url}/api/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username })
+        });
+
+        test('issues a token for a known user, which opens the routes of the user', async () => {
+            const response = await login('Manolo');
+            assert.equal(response.status, 200);
+            const { token, user } = await response.json();
+            assert.equal(user.name, 'Manolo');
+
+            const search = (headers) => fetch(`${server.url}/api/search?q=hola`, { headers });
+            assert.equal((await search({})).status, 401);
+            assert.equal((await search({ Authorization: 'Bearer forged' })).status, 401);
+            assert.equal((await search({ Authorization: `Bearer ${token}` })).status, 200);
+        });
+
+        test('rejects an unknown user', async () => {
+            assert.equal((await login('Nobody')).status, 401);
+        });
+    });
+});
+
+describe('query routes', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.stop());
+
+    test('events are only returned from the chats of the user', async () => {
+        const event = new DomainEvent('incoming-message', { chatId: 2, userId: 3, messageText: 'queried' }, { partitionKey: 2 });
+        await db.logEvent(event);
+        const getEvents = async (userId) => {
+            const response = await fetch(`${server.url}/api/events?eventId=${event.eventId}`, { headers: userAuthorization(userId) });
+            return (await response.json()).events.map(({ event }) => event.eventId);
+        };
+
+        assert.equal((await fetch(`${server.url}/api/events`)).status, 401);
+        assert.deepEqual(await getEvents(3), [event.eventId]);
+        assert.deepEqual(await getEvents(2), []); // Pepe is not in chat 2.
+    });
+
+    test('a malformed date is rejected', async () => {
+        const response = await fetch(`${server.url}/api/events?from=yesterday`, { headers: userAuthorization(1) });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /'from' must be an ISO 8601 date/);
+    });
+
+    test('a trace is only shown to the members of its chat', async () => {
+        const event = new DomainEvent('incoming-message', { chatId: 2, userId: 3, messageText: 'traced' },
+            { correlationId: 'route-trace', causationId: 'user-interaction', partitionKey: 2 });
+        await db.logEvent(event);
+        const getTrace = (headers) => fetch(`${server.url}/api/traces/route-trace`, { headers });
+
+        assert.equal((await getTrace({})).status, 401);
+        assert.equal((await getTrace(userAuthorization(2))).status, 404); // Pepe is not in chat 2.
+        const response = await getTrace(userAuthorization(3));
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).roots[0].eventId, event.eventId);
+    });
+});
+
+describe('group chats', () => {
+    let server;
+    const clients = [];
+    const connect = async (userId) => {
+        const client = await connectClient(server.url, userId);
+        clients.push(client);
+        return client;
+    };
+    before(async () => { server = await startServer(); });
+    after(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    test('only the members of a group can open and manage it, and a removed member stops receiving it', async () => {
+        const pepe = await connect(2);
+        const luisa = await connect(3);
+        const manolo = await connect(1);
+
+        // Pepe creates a group with Luisa: both get it in their chat list.
+        pepe.send('chat.create', { name: 'Road trip', memberIds: [3] });
+        const [group] = (await pepe.next('chat.list', chats => chats.some(chat => chat.name === 'Road trip')))
+            .filter(chat => chat.name === 'Road trip');
+        await luisa.next('chat.list', chats => chats.some(chat => chat.id === group.id));
+
+        // Manolo is not a member: he can neither manage it nor open it.
+        manolo.send('chat.member.add', { chatId: group.id, userId: 1 });
+        assert.equal((await manolo.next('command.rejected')).reason, 'You are not a member of this group.');
+        manolo.send('chat.select', { chatId: group.id });
+
+        pepe.send('chat.select', { chatId: group.id });
+        luisa.send('chat.select', { chatId: group.id });
+        await pepe.next('chat.receipts', ({ chatId }) => chatId === group.id);
+        await luisa.next('chat.receipts', ({ chatId }) => chatId === group.id);
+
+        // Only the creator can remove others. Removed, Luisa loses the chat in the tab that had it open...
+        luisa.send('chat.member.remove', { chatId: group.id, userId: 2 });
+        assert.equal((await luisa.next('command.rejected')).reason, 'Only the creator of the group can remove other members.');
+        pepe.send('chat.member.remove', { chatId: group.id, userId: 3 });
+        assert.equal((await luisa.next('chat.membership.revoked')).chatId, group.id);
+
+        // ...and its messages: she doesn't receive them, and hers are not accepted.
+        luisa.send('chat.message.new', { messageText: 'still here?', clientMessageId: 'group-1' });
+        pepe.send('chat.message.new', { messageText: 'bye', clientMessageId: 'group-2' });
+        await pepe.next('chat.message.broadcast', ({ message }) => message === 'bye');
+        await sleep(200);
+
+        assert.equal(luisa.frames.some(({ type }) => type === 'chat.message.broadcast'), false);
+        assert.equal(await db.getMessageByClientId(3, 'group-1'), null);
+        assert.equal(manolo.frames.some(({ type, payload }) => type === 'chat.receipts' && payload.chatId === group.id), false);
+    });
+});
+
+describe('message corrections', () => {
+    let server;
+    const clients = [];
+    before(async () => { server = await startServer(); });
+    after(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    test('only the author can edit or delete a message, and the chat gets the corrected one', async () => {
+        const manolo = await connectClient(server.url, 1);
+        const pepe = await connectClient(server.url, 2);
+        clients.push(manolo, pepe);
+        for (const client of [manolo, pepe]) {
+            client.send('chat.select', { chatId: 1 });
+            await client.next('chat.receipts', ({ chatId }) => chatId === 1);
+        }
+
+        pepe.send('chat.message.new', { messageText: 'lunch at 2?', clientMessageId: 'correction-1' });
+        const { id_message } = await manolo.next('chat.message.broadcast', ({ message }) => message === 'lunch at 2?');
+
+        manolo.send('chat.message.edit', { messageId: id_message, messageText: 'lunch at 1!' });
+        assert.equal((await manolo.next('command.rejected')).reason, 'You can only change your own messages.');
+        pepe.send('chat.message.edit', { messageId: id_message, messageText: '  ' });
+        assert.equal((await pepe.next('command.rejected')).reason, 'The message cannot be empty.');
+
+        pepe.send('chat.message.edit', { messageId: id_message, messageText: 'lunch at 3?' });
+        for (const client of [manolo, pepe]) {
+            const edited = await client.next('chat.message.updated');
+            assert.equal(edited.id_message, id_message);
+            assert.equal(edited.message, 'lunch at 3?');
+            assert.ok(edited.edited_at);
+        }
+
+        pepe.send('chat.message.delete', { messageId: id_message });
+        const deleted = await manolo.next('chat.message.updated');
+        assert.equal(deleted.message, null);
+        assert.ok(deleted.deleted_at);
+        await pepe.next('chat.message.updated');
+
+        pepe.send('chat.message.edit', { messageId: id_message, messageText: 'lunch at 4?' });
+        assert.equal((await pepe.next('command.rejected')).reason, 'The message was deleted.');
+        assert.equal((await db.getMessageById(id_message)).message, null);
+    });
+});
+
+describe('history', () => {
+    let server;
+    let client;
+    before(async () => { server = await startServer(); });
+    after(async () => {
+        await client.close();
+        await server.stop();
+    });
+
+    test('sends the page of messages before the oldest one the client has, in the chat it has open', async () => {
+        client = await connectClient(server.url, 1);
+        client.send('chat.history.before', { beforeMessageId: 100 });
+        client.send('chat.select', { chatId: 1 });
+        await client.next('chat.receipts', ({ chatId }) => chatId === 1);
+
+        for (const [index, text] of ['older', 'newer'].entries()) {
+            client.send('chat.message.new', { messageText: text, clientMessageId: `history-${index}` });
+        }
+        const older = await client.next('chat.message.broadcast', ({ message }) => message === 'older');
+        const newer = await client.next('chat.message.broadcast', ({ message }) => message === 'newer');
+
+        client.send('chat.history.before', { beforeMessageId: 'latest' });
+        assert.equal((await client.next('command.rejected')).reason, 'A valid beforeMessageId is required.');
+
+        client.send('chat.history.before', { beforeMessageId: newer.id_message });
+        const { chatId, messages, hasMore } = await client.next('chat.history.before');
+        assert.equal(chatId, 1);
+        assert.equal(messages.at(-1).id_message, older.id_message);
+        assert.ok(messages.every((message, index) => message.id_chat === 1 && (index === 0 || messages[index - 1].id_message < message.id_message)));
+        assert.equal(hasMore, false);
+        // The request sent before opening a chat was ignored.
+        assert.equal(client.frames.filter(({ type }) => type === 'chat.history.before').length, 1);
+    });
+});
+
+describe('search', () => {
+    let server;
+    const clients = [];
+    before(async () => { server = await startServer(); });
+    after(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    test('each user only finds the messages of their own chats', async () => {
+        const pepe = await connectClient(server.url, 2);
+        const luisa = await connectClient(server.url, 3);
+        clients.push(pepe, luisa);
+        pepe.send('chat.select', { chatId: 1 });
+        await pepe.next('chat.receipts', ({ chatId }) => chatId === 1);
+        pepe.send('chat.message.new', { messageText: 'the paella is ready', clientMessageId: 'search-1' });
+        const { id_message } = await pepe.next('chat.message.broadcast', ({ message }) => message === 'the paella is ready');
+
+        pepe.send('chat.search', { query: 'paell' });
+        const { query, results } = await pepe.next('chat.search');
+        assert.equal(query, 'paell');
+        assert.deepEqual(results.map(result => [result.id_message, result.snippet]), [[id_message, 'the <mark>paella</mark> is ready']]);
+
+        luisa.send('chat.search', { query: 'paell' });
+        assert.deepEqual((await luisa.next('chat.search')).results, []);
+        luisa.send('chat.search', { chatId: 1 });
+        assert.equal((await luisa.next('command.rejected')).reason, 'A search query is required.');
+
+        const search = (userId, params) => fetch(`${server.url}/api/search?${new URLSearchParams(params)}`, { headers: userAuthorization(userId) })
+            .then(response => response.json());
+        assert.deepEqual((await search(2, { q: 'paella', chatId: 1 })).results.map(result => result.id_message), [id_message]);
+        assert.deepEqual((await search(2, { q: 'paella', chatId: 2 })).results, []);
+        assert.deepEqual((await search(3, { q: 'paella' })).results, []);
+    });
+});
+
+describe('receipts', () => {
+    let server;
+    const clients = [];
+    before(async () => { server = await startServer(); });
+    after(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    test('the author of a message sees when the other member receives and reads it', async () => {
+        const manolo = await connectClient(server.url, 1);
+        const luisa = await connectClient(server.url, 3);
+        clients.push(manolo, luisa);
+        for (const client of [manolo, luisa]) {
+            client.send('chat.select', { chatId: 2 });
+            await client.next('chat.receipts', ({ chatId }) => chatId === 2);
+        }
+
+        luisa.send('chat.message.new', { messageText: 'are you there?', clientMessageId: 'receipts-1' });
+        const { id_message } = await manolo.next('chat.message.broadcast', ({ message }) => message === 'are you there?');
+        await luisa.next('chat.receipt.updated', ({ userId, lastDeliveredId }) => userId === 1 && lastDeliveredId === id_message);
+
+        manolo.send('chat.message.read', { messageId: 999999 });
+        assert.equal((await manolo.next('command.rejected')).reason, 'The message is not in the current chat.');
+        manolo.send('chat.message.read', { messageId: id_message });
+        const receipt = await luisa.next('chat.receipt.updated', ({ lastReadId }) => lastReadId === id_message);
+        assert.deepEqual(receipt, { chatId: 2, userId: 1, lastDeliveredId: id_message, lastReadId: id_message });
+
+        // Nobody is told about their own receipts.
+        assert.equal(manolo.frames.some(({ type, payload }) => type === 'chat.receipt.updated' && payload.userId === 1), false);
+        assert.deepEqual(await db.getReadPosition(2, 1), { last_delivered_id: id_message, last_read_id: id_message });
+    });
+});
+
+describe('admin routes', () => {
+    describe('without KAFKY_ADMIN_TOKEN', () => {
+        let server;
+        before(async () => { server = await startServer(); });
+        after(() => server.stop());
+
+        test('answer the requests from localhost', async () => {
+            const deadLetterId = await addDeadLetter();
+            const response = await fetch(`${server.url}/admin/dead-letters`);
+
+            assert.equal(response.status, 200);
+            assert.ok((await response.json()).some(entry => entry.id_dead_letter === deadLetterId));
+        });
+
+        test('serve the metrics to localhost', async () => {
+            const response = await fetch(`${server.url}/metrics`);
+            assert.equal(response.status, 200);
+            assert.match(await response.text(), /# TYPE kafky_websocket_connections gauge/);
+        });
+    });
+
+    describe('with KAFKY_ADMIN_TOKEN', () => {
+        const adminToken = 'test-admin-token';
+        const authorization = { Authorization: `Bearer ${adminToken}` };
+        let server;
+        before(async () => { server = await startServer({ KAFKY_ADMIN_TOKEN: adminToken }); });
+        after(() => server.stop());
+
+        test('reject the requests without the token, even from localhost', async () => {
+            assert.equal((await fetch(`${server.url}/admin/dead-letters`)).status, 401);
+            assert.equal((await fetch(`${server.url}/admin/dead-letters`, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+        });
+
+        test('serve the metrics only with the token', async () => {
+            assert.equal((await fetch(`${server.url}/metrics`)).status, 401);
+            assert.equal((await fetch(`${server.url}/metrics`, { headers: authorization })).status, 200);
+        });
+
+        test('replay a dead-lettered event once', async () => {
+            const deadLetterId = await addDeadLetter();
+            const replay = (id) => fetch(`${server.url}/admin/dead-letters/${id}/replay`, { method: 'POST', headers: authorization });
+
+            const response = await replay(deadLetterId);
+            assert.equal(response.status, 200);
+            const { logId } = await response.json();
+            assert.equal((await db.getEventByLogId(logId)).payload.messageText, 'dead-lettered');
+
+            assert.equal((await replay(deadLetterId)).status, 409);
+            assert.equal((await replay(9999)).status, 404);
+        });
+    });
+});
@@ -0,0 +1,57 @@
+// test/trace-service.test.js - The causation tree of a user interaction, rebuilt from the Event Store.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTemporaryDatabase } = require('./helpers.js');
+
+useTemporaryDatabase();
+const db = require('../database.js');
+const DomainEvent = require('../domain-event.js');
+const TraceService = require('../trace-service.js');
+
+const traceService = new TraceService(db);
+
+/**
+ * Stores the events of an interaction in chat 2 (Manolo and Luisa): a message, its projection and its dispatch.
+ * @returns {Promise<{correlationId: string, events: Array<DomainEvent>}>}
+ */
+async function storeInteraction() {
+    const incoming = new DomainEvent('incoming-message', { chatId: 2, userId: 3, messageText: 'secret' },
+        { correlationId: `trace-${Math.random()}`, causationId: 'user-interaction', partitionKey: 2 });
+    const { correlationId } = incoming.metadata;
+    const projected = new DomainEvent('message-projected', { id_message: 1, id_chat: 2 },
+        { correlationId, causationId: incoming.eventId, partitionKey: 2 });
+    const dispatched = new DomainEvent('message-dispatched', { id_message: 1 },
+        { correlationId, causationId: projected.eventId, partitionKey: 2 });
+
+    for (const event of [incoming, projected, dispatched]) await db.logEvent(event);
+    return { correlationId, events: [incoming, projected, dispatched] };
+}
+
+test('rebuilds the causation tree of an interaction, with timings and without payloads', async () => {
+    const { correlationId, events: [incoming, projected, dispatched] } = await storeInteraction();
+
+    const trace = await traceService.getTrace(correlationId);
+
+    assert.equal(trace.correlationId, correlationId);
+    assert.equal(trace.eventCount, 3);
+    assert.equal(trace.roots.length, 1);
+    const [root] = trace.roots;
+    assert.equal(root.eventId, incoming.eventId);
+    assert.equal(root.sinceStartMs, 0);
+    assert.equal(root.children[0].eventId, projected.eventId);
+    assert.equal(root.children[0].children[0].eventId, dispatched.eventId);
+    assert.equal(root.payload, undefined);
+    assert.equal(typeof root.persistenceLagMs, 'number');
+    assert.ok(Date.parse(trace.finishedAt) >= Date.parse(trace.startedAt));
+});
+
+test('only shows the events of the chats of the member', async () => {
+    const { correlationId } = await storeInteraction();
+
+    assert.equal((await traceService.getTrace(correlationId, { memberId: 3 })).eventCount, 3);
+    assert.equal(await traceService.getTrace(correlationId, { memberId: 2 }), null);
+});
+
+test('returns null for an unknown correlation', async () => {
+    assert.equal(await traceService.getTrace('no-such-correlation'), null);
+});
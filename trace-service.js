@@ -0,0 +1,82 @@
+// trace-service.js - Rebuilds the causal tree of a user interaction from the Event Store.
+
+/**
+ * Reads back the `correlationId` / `causationId` metadata carried by every DomainEvent
+ * to reconstruct what happened during a single user interaction, e.g.:
+ * 'incoming-message' → 'message-projected' → 'message-dispatched'.
+ */
+class TraceService {
+    /**
+     * @param {object} database - The database module/client for data operations.
+     */
+    constructor(database) {
+        this.db = database;
+    }
+
+    /**
+     * Builds the causation tree of a correlation, with timings.
+     * Each node carries the time of its eager emit (`metadata.timestamp`), the time it was KAFKED
+     * (stored in the Event Store) and the delta between both (`persistenceLagMs`).
+     * Payloads are left out: a trace shows how an interaction flowed, not what it carried (e.g., message texts).
+     * @param {string} correlationId - The correlation ID of the interaction.
+     * @param {object} [options={}]
+     * @param {number} [options.memberId] - Only the events of the chats this user is a member of.
+     * @returns {Promise<object|null>} The trace, or null if no event (visible to `memberId`) has that correlation ID.
+     */
+    async getTrace(correlationId, { memberId } = {}) {
+        const storedEvents = await this.db.getEventsByCorrelationId(correlationId, { memberId });
+        if (storedEvents.length === 0) return null;
+
+        const startedAt = Math.min(...storedEvents.map(({ event }) => Date.parse(event.metadata.timestamp)));
+
+        // STEP 1: Turn every stored event into a node of the tree.
+        const nodes = storedEvents.map(({ logId, createdAt, event }) => {
+            const emittedAt = Date.parse(event.metadata.timestamp);
+            const kafkedAt = parseSqliteDate(createdAt);
+            return {
+                logId,
+                eventId: event.eventId,
+                type: event.type,
+                causationId: event.metadata.causationId,
+                partitionKey: event.metadata.partitionKey ?? null,
+                emittedAt: new Date(emittedAt).toISOString(),
+                kafkedAt: new Date(kafkedAt).toISOString(),
+                persistenceLagMs: kafkedAt - emittedAt,
+                sinceStartMs: emittedAt - startedAt,
+                children: []
+            };
+        });
+
+        // STEP 2: Link each node to the event that caused it.
+        // Events caused by something outside the correlation (e.g., "user-interaction") are roots.
+        const nodesByEventId = new Map(nodes.map(node => [node.eventId, node]));
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = nodesByEventId.get(node.causationId);
+            if (parent && parent !== node) parent.children.push(node);
+            else roots.push(node);
+        });
+
+        const finishedAt = Math.max(...nodes.map(node => Date.parse(node.kafkedAt)));
+
+        return {
+            correlationId,
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+            durationMs: finishedAt - startedAt,
+            eventCount: nodes.length,
+            roots
+        };
+    }
+}
+
+/**
+ * Parses an SQLite DATETIME ('YYYY-MM-DD HH:MM:SS[.SSS]', always UTC) into epoch milliseconds.
+ * @param {string} value - The stored date.
+ * @returns {number} Epoch milliseconds.
+ */
+function parseSqliteDate(value) {
+    return Date.parse(`${value.replace(' ', 'T')}Z`);
+}
+
+module.exports = TraceService;
@@ -0,0 +1,84 @@
+// websocket-auth-service.js - Authenticates WebSocket connections with signed tokens.
+const eventBus = require('./event-bus.js');
+const { createLogger } = require('./logger.js');
+const DomainEvent = require('./domain-event.js');
+const { signToken, verifyToken } = require('./auth-token.js');
+const log = createLogger('WebSocketAuthService');
+
+// Development fallback. In production, KAFKY_AUTH_SECRET must always be set.
+const LOCAL_SECRET = 'kafky-local-development-secret';
+
+/**
+ * Issues short-lived tokens after login (HTTPS) and validates them when a WebSocket
+ * client identifies itself, so the Gateway never trusts a client-sent userId.
+ */
+class WebSocketAuthService {
+    /**
+     * @param {object} [options={}]
+     * @param {string} [options.secret] - The HMAC secret used to sign and verify tokens.
+     * @param {number} [options.tokenTtlSeconds=300] - Lifetime of the issued tokens.
+     */
+    constructor({ secret, tokenTtlSeconds = 300 } = {}) {
+        if (!secret) {
+            log.warn('KAFKY_AUTH_SECRET is not set. Using the local development secret.');
+        }
+        this.secret = secret || LOCAL_SECRET;
+        this.tokenTtlSeconds = tokenTtlSeconds;
+        log.info('Auth service initialized.');
+    }
+
+    /**
+     * Issues a token for a user that has just logged in.
+     * @param {{id_user: number, username: string}} user - The logged in user.
+     * @returns {{token: string, expiresAt: string}} The signed token and its expiration date.
+     */
+    issueToken(user) {
+        return signToken({ sub: user.id_user, name: user.username }, { secret: this.secret, expiresInSeconds: this.tokenTtlSeconds });
+    }
+
+    /**
+     * Verifies a token and returns its claims. Used for the WebSocket identification and for the
+     * Bearer token of the HTTP routes that need to know who the user is.
+     * @param {string} token - The signed token.
+     * @returns {{sub: number, name: string}} The claims of the token. Throws if it's invalid or expired.
+     */
+    verify(token) {
+        return verifyToken(token, { secret: this.secret });
+    }
+
+    /**
+     * Subscribes the service to the authentication requests published by the Gateway.
+     */
+    listen() {
+        // EAGER SUSCRIPTION: the socket must be authenticated (or closed) straight away.
+        // The token travels in the transient context, so it never reaches the Event Store.
+        eventBus.on('authentication-requested', (requestEvent) => {
+            const { metadata, context: { socket, token } } = requestEvent;
+            const causation = { correlationId: metadata.correlationId, causationId: requestEvent.eventId };
+
+            let claims;
+            try {
+                claims = this.verify(token);
+            } catch (error) {
+                log.error(`Authentication failed: ${error.message}`, {}, metadata.correlationId);
+
+                socket.send(JSON.stringify({ type: 'auth.failed', payload: { message: error.message } }));
+                socket.close(4001, 'Authentication failed');
+
+                eventBus.emit(new DomainEvent('authentication-failed', { reason: error.message }, causation));
+                return;
+            }
+
+            // AUTHENTICATED - bind the user to this connection.
+            socket.userId = claims.sub;
+            log.info(`User ${claims.sub} authenticated.`, {}, metadata.correlationId);
+
+            socket.send(JSON.stringify({ type: 'auth.succeeded', payload: { userId: claims.sub, username: claims.name } }));
+
+            // The Gateway listens to this event to register the connection.
+            eventBus.emit(new DomainEvent('user-authenticated', { userId: claims.sub }, causation, { socket }));
+        });
+    }
+}
+
+module.exports = WebSocketAuthService;